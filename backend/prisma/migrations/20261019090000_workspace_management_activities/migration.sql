@@ -0,0 +1,3 @@
+-- AlterEnum
+ALTER TYPE "public"."ActivityType" ADD VALUE 'MEMBER_ROLE_CHANGED';
+ALTER TYPE "public"."ActivityType" ADD VALUE 'OWNERSHIP_TRANSFERRED';
@@ -0,0 +1,3 @@
+-- AlterEnum
+ALTER TYPE "public"."ActivityType" ADD VALUE 'FILE_EXPIRED';
+ALTER TYPE "public"."ActivityType" ADD VALUE 'SHARE_REVOKED';
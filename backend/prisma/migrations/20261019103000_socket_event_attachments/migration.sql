@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "public"."SocketEventAttachment" (
+    "id" TEXT NOT NULL,
+    "payload" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SocketEventAttachment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SocketEventAttachment_createdAt_idx" ON "public"."SocketEventAttachment"("createdAt");
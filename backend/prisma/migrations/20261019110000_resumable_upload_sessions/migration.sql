@@ -0,0 +1,47 @@
+-- CreateEnum
+CREATE TYPE "public"."UploadSessionStatus" AS ENUM ('ACTIVE', 'COMPLETED', 'ABORTED');
+
+-- CreateTable
+CREATE TABLE "public"."UploadSession" (
+    "id" TEXT NOT NULL,
+    "s3Key" TEXT NOT NULL,
+    "uploadId" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "partSize" INTEGER,
+    "totalParts" INTEGER NOT NULL,
+    "status" "public"."UploadSessionStatus" NOT NULL DEFAULT 'ACTIVE',
+    "userId" TEXT NOT NULL,
+    "folderId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "UploadSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."UploadPart" (
+    "id" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "partNumber" INTEGER NOT NULL,
+    "eTag" TEXT NOT NULL,
+    "size" INTEGER,
+    "uploadedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "UploadPart_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UploadSession_s3Key_key" ON "public"."UploadSession"("s3Key");
+
+-- CreateIndex
+CREATE INDEX "UploadSession_userId_status_idx" ON "public"."UploadSession"("userId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UploadPart_sessionId_partNumber_key" ON "public"."UploadPart"("sessionId", "partNumber");
+
+-- AddForeignKey
+ALTER TABLE "public"."UploadSession" ADD CONSTRAINT "UploadSession_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."UploadPart" ADD CONSTRAINT "UploadPart_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "public"."UploadSession"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- DropForeignKey
+ALTER TABLE "public"."DeletionActivity" DROP CONSTRAINT "DeletionActivity_fileId_fkey";
+
+-- AlterTable
+ALTER TABLE "public"."DeletionActivity" ALTER COLUMN "fileId" DROP NOT NULL;
+
+-- AddForeignKey
+ALTER TABLE "public"."DeletionActivity" ADD CONSTRAINT "DeletionActivity_fileId_fkey" FOREIGN KEY ("fileId") REFERENCES "public"."File"("id") ON DELETE SET NULL ON UPDATE CASCADE;
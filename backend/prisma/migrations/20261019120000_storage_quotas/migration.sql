@@ -0,0 +1,93 @@
+-- AlterTable
+ALTER TABLE "public"."User" ADD COLUMN     "plan" TEXT NOT NULL DEFAULT 'free';
+
+-- AlterTable
+ALTER TABLE "public"."Workspace" ADD COLUMN     "plan" TEXT NOT NULL DEFAULT 'free';
+
+-- CreateTable
+CREATE TABLE "public"."PlanLimit" (
+    "name" TEXT NOT NULL,
+    "maxFileSize" BIGINT NOT NULL,
+    "storageQuota" BIGINT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PlanLimit_pkey" PRIMARY KEY ("name")
+);
+
+-- CreateTable
+CREATE TABLE "public"."StorageUsage" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT,
+    "workspaceId" TEXT,
+    "usedBytes" BIGINT NOT NULL DEFAULT 0,
+    "reservedBytes" BIGINT NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StorageUsage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."StorageReservation" (
+    "id" TEXT NOT NULL,
+    "s3Key" TEXT NOT NULL,
+    "bytes" BIGINT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "workspaceId" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StorageReservation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StorageUsage_userId_key" ON "public"."StorageUsage"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StorageUsage_workspaceId_key" ON "public"."StorageUsage"("workspaceId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StorageReservation_s3Key_key" ON "public"."StorageReservation"("s3Key");
+
+-- CreateIndex
+CREATE INDEX "StorageReservation_expiresAt_idx" ON "public"."StorageReservation"("expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."StorageUsage" ADD CONSTRAINT "StorageUsage_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."StorageUsage" ADD CONSTRAINT "StorageUsage_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "public"."Workspace"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."StorageReservation" ADD CONSTRAINT "StorageReservation_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."StorageReservation" ADD CONSTRAINT "StorageReservation_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "public"."Workspace"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Seed the default plans (sizes in bytes): 5MB uploads for anonymous drops, 50MB / 1GB for free accounts.
+INSERT INTO "public"."PlanLimit" ("name", "maxFileSize", "storageQuota", "updatedAt") VALUES
+    ('anonymous', 5242880, 52428800, CURRENT_TIMESTAMP),
+    ('free', 52428800, 1073741824, CURRENT_TIMESTAMP),
+    ('pro', 5368709120, 107374182400, CURRENT_TIMESTAMP);
+
+-- Backfill per-user usage from existing files.
+INSERT INTO "public"."StorageUsage" ("id", "userId", "usedBytes", "updatedAt")
+SELECT gen_random_uuid()::text, "ownerId", SUM("size"), CURRENT_TIMESTAMP
+FROM "public"."File"
+GROUP BY "ownerId";
+
+-- Backfill per-workspace usage: a file counts towards the workspace of its nearest ancestor folder that has one.
+WITH RECURSIVE "chain" AS (
+    SELECT "id" AS "folderId", "workspaceId", "parentId", 0 AS "depth"
+    FROM "public"."Folder"
+    UNION ALL
+    SELECT "chain"."folderId", "parent"."workspaceId", "parent"."parentId", "chain"."depth" + 1
+    FROM "chain"
+    JOIN "public"."Folder" AS "parent" ON "parent"."id" = "chain"."parentId"
+    WHERE "chain"."workspaceId" IS NULL AND "chain"."depth" < 64
+)
+INSERT INTO "public"."StorageUsage" ("id", "workspaceId", "usedBytes", "updatedAt")
+SELECT gen_random_uuid()::text, "chain"."workspaceId", SUM("file"."size"), CURRENT_TIMESTAMP
+FROM "public"."File" AS "file"
+JOIN "chain" ON "chain"."folderId" = "file"."folderId" AND "chain"."workspaceId" IS NOT NULL
+GROUP BY "chain"."workspaceId";
@@ -0,0 +1,45 @@
+-- AlterEnum
+ALTER TYPE "public"."ActivityType" ADD VALUE 'DROP_CLAIMED';
+
+-- AlterTable
+ALTER TABLE "public"."File" ALTER COLUMN "ownerId" DROP NOT NULL;
+
+-- CreateTable
+CREATE TABLE "public"."AnonymousDrop" (
+    "id" TEXT NOT NULL,
+    "s3Key" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "size" BIGINT NOT NULL,
+    "ipAddress" TEXT NOT NULL,
+    "manageTokenHash" TEXT NOT NULL,
+    "downloadToken" TEXT NOT NULL,
+    "fileId" TEXT,
+    "revokedAt" TIMESTAMP(3),
+    "claimedAt" TIMESTAMP(3),
+    "claimedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AnonymousDrop_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AnonymousDrop_s3Key_key" ON "public"."AnonymousDrop"("s3Key");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AnonymousDrop_manageTokenHash_key" ON "public"."AnonymousDrop"("manageTokenHash");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AnonymousDrop_downloadToken_key" ON "public"."AnonymousDrop"("downloadToken");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AnonymousDrop_fileId_key" ON "public"."AnonymousDrop"("fileId");
+
+-- CreateIndex
+CREATE INDEX "AnonymousDrop_ipAddress_createdAt_idx" ON "public"."AnonymousDrop"("ipAddress", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."AnonymousDrop" ADD CONSTRAINT "AnonymousDrop_fileId_fkey" FOREIGN KEY ("fileId") REFERENCES "public"."File"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."AnonymousDrop" ADD CONSTRAINT "AnonymousDrop_claimedById_fkey" FOREIGN KEY ("claimedById") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE "public"."Key" ADD COLUMN     "algorithm" TEXT,
+ADD COLUMN     "publicKeyId" TEXT,
+ADD COLUMN     "recipientId" TEXT,
+ADD COLUMN     "shareId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."PublicKey" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "algorithm" TEXT NOT NULL,
+    "publicKey" TEXT NOT NULL,
+    "fingerprint" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "revokedAt" TIMESTAMP(3),
+
+    CONSTRAINT "PublicKey_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Key_recipientId_idx" ON "public"."Key"("recipientId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Key_fileId_recipientId_publicKeyId_key" ON "public"."Key"("fileId", "recipientId", "publicKeyId");
+
+-- CreateIndex
+CREATE INDEX "PublicKey_userId_revokedAt_idx" ON "public"."PublicKey"("userId", "revokedAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."Key" ADD CONSTRAINT "Key_recipientId_fkey" FOREIGN KEY ("recipientId") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Key" ADD CONSTRAINT "Key_publicKeyId_fkey" FOREIGN KEY ("publicKeyId") REFERENCES "public"."PublicKey"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Key" ADD CONSTRAINT "Key_shareId_fkey" FOREIGN KEY ("shareId") REFERENCES "public"."Share"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."PublicKey" ADD CONSTRAINT "PublicKey_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."Share" ADD COLUMN     "kdfAlgorithm" TEXT,
+ADD COLUMN     "kdfIterations" INTEGER,
+ADD COLUMN     "kdfSalt" TEXT,
+ADD COLUMN     "verifierHash" TEXT,
+ADD COLUMN     "verifierSalt" TEXT;
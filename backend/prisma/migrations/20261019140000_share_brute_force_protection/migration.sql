@@ -0,0 +1,21 @@
+-- AlterEnum
+ALTER TYPE "public"."ActivityType" ADD VALUE 'SHARE_THROTTLED';
+ALTER TYPE "public"."ActivityType" ADD VALUE 'SHARE_LOCKED';
+
+-- AlterTable
+ALTER TABLE "public"."Share" ADD COLUMN     "blockedUntil" TIMESTAMP(3),
+ADD COLUMN     "failedAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lockedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."ShareAccessThrottle" (
+    "ipAddress" TEXT NOT NULL,
+    "failures" INTEGER NOT NULL DEFAULT 0,
+    "lastFailureAt" TIMESTAMP(3) NOT NULL,
+    "blockedUntil" TIMESTAMP(3),
+
+    CONSTRAINT "ShareAccessThrottle_pkey" PRIMARY KEY ("ipAddress")
+);
+
+-- CreateIndex
+CREATE INDEX "ShareAccessThrottle_lastFailureAt_idx" ON "public"."ShareAccessThrottle"("lastFailureAt");
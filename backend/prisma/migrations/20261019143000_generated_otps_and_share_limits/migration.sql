@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "public"."Share" ADD COLUMN     "downloadCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "maxDownloads" INTEGER,
+ADD COLUMN     "maxUses" INTEGER,
+ADD COLUMN     "otpConsumedAt" TIMESTAMP(3),
+ADD COLUMN     "otpExpiresAt" TIMESTAMP(3),
+ADD COLUMN     "otpTtlMinutes" INTEGER,
+ADD COLUMN     "useCount" INTEGER NOT NULL DEFAULT 0;
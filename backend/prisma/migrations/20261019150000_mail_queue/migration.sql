@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "public"."MailStatus" AS ENUM ('PENDING', 'SENDING', 'SENT', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "public"."AnonymousDrop" ADD COLUMN     "notifyEmail" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."File" ADD COLUMN     "expiryNoticeSentAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."MailMessage" (
+    "id" TEXT NOT NULL,
+    "to" TEXT NOT NULL,
+    "template" TEXT NOT NULL,
+    "templateVersion" INTEGER NOT NULL,
+    "subject" TEXT NOT NULL,
+    "text" TEXT,
+    "html" TEXT,
+    "status" "public"."MailStatus" NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedUntil" TIMESTAMP(3),
+    "lastError" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MailMessage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MailMessage_status_nextAttemptAt_idx" ON "public"."MailMessage"("status", "nextAttemptAt");
@@ -0,0 +1,9 @@
+-- AlterEnum
+ALTER TYPE "public"."ActivityType" ADD VALUE 'SHARE_UPDATED';
+
+-- AlterTable
+ALTER TABLE "public"."Share" ADD COLUMN     "lastAccessedAt" TIMESTAMP(3),
+ADD COLUMN     "revokedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Share_creatorId_createdAt_idx" ON "public"."Share"("creatorId", "createdAt");
@@ -0,0 +1,46 @@
+-- CreateEnum
+CREATE TYPE "public"."AccessAction" AS ENUM ('VIEW', 'DOWNLOAD');
+
+-- CreateEnum
+CREATE TYPE "public"."AccessOutcome" AS ENUM ('GRANTED', 'DENIED');
+
+-- CreateEnum
+CREATE TYPE "public"."AccessActorType" AS ENUM ('USER', 'SHARE', 'ANONYMOUS');
+
+-- CreateTable
+CREATE TABLE "public"."AccessLog" (
+    "id" TEXT NOT NULL,
+    "action" "public"."AccessAction" NOT NULL,
+    "outcome" "public"."AccessOutcome" NOT NULL,
+    "statusCode" INTEGER NOT NULL,
+    "reason" TEXT,
+    "actorType" "public"."AccessActorType" NOT NULL,
+    "userId" TEXT,
+    "shareToken" TEXT,
+    "fileId" TEXT,
+    "shareId" TEXT,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "bytesServed" BIGINT NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AccessLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AccessLog_fileId_createdAt_idx" ON "public"."AccessLog"("fileId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AccessLog_shareId_createdAt_idx" ON "public"."AccessLog"("shareId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AccessLog_createdAt_idx" ON "public"."AccessLog"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."AccessLog" ADD CONSTRAINT "AccessLog_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."AccessLog" ADD CONSTRAINT "AccessLog_fileId_fkey" FOREIGN KEY ("fileId") REFERENCES "public"."File"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."AccessLog" ADD CONSTRAINT "AccessLog_shareId_fkey" FOREIGN KEY ("shareId") REFERENCES "public"."Share"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."File" ADD COLUMN     "downloadsRemaining" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."Share" ADD COLUMN     "burnOnLimit" BOOLEAN NOT NULL DEFAULT false;
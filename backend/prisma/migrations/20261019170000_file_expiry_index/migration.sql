@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "File_expiry_idx" ON "public"."File"("expiry");
@@ -0,0 +1,29 @@
+-- CreateEnum
+CREATE TYPE "public"."CleanupRunStatus" AS ENUM ('RUNNING', 'SUCCEEDED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "public"."CleanupRun" (
+    "id" TEXT NOT NULL,
+    "status" "public"."CleanupRunStatus" NOT NULL DEFAULT 'RUNNING',
+    "trigger" TEXT NOT NULL,
+    "dryRun" BOOLEAN NOT NULL DEFAULT false,
+    "since" TIMESTAMP(3),
+    "summary" JSONB,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "CleanupRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."JobLock" (
+    "name" TEXT NOT NULL,
+    "holder" TEXT NOT NULL,
+    "lockedUntil" TIMESTAMP(3) NOT NULL,
+    "acquiredAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "JobLock_pkey" PRIMARY KEY ("name")
+);
+
+-- CreateIndex
+CREATE INDEX "CleanupRun_startedAt_idx" ON "public"."CleanupRun"("startedAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."AccessLog" DROP COLUMN "shareToken";
@@ -0,0 +1,66 @@
+/**
+ * Runs the cleanup job once (see src/services/cleanupService.js) and prints its summary as JSON.
+ *
+ *   pnpm cleanup [--dry-run] [--since <when>]
+ *
+ *   --dry-run       Count what would be cleaned up without changing anything.
+ *   --since <when>  Only consider items that became due since then: an ISO date, or a duration back from now
+ *                   such as 30m, 12h or 7d.
+ *
+ * Exits with 0 if the job ran or is already running on another instance, 1 if a stage failed and 2 on bad options.
+ */
+
+require('dotenv').config();
+
+const prisma = require('../src/utils/prisma');
+const { runCleanup } = require('../src/services/cleanupService');
+
+const USAGE = 'Usage: pnpm cleanup [--dry-run] [--since <ISO date | 30m | 12h | 7d>]';
+const DURATION_UNITS_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const parseSince = (value) => {
+  const duration = /^(\d+)([mhd])$/.exec(value);
+  if (duration) return new Date(Date.now() - parseInt(duration[1], 10) * DURATION_UNITS_MS[duration[2]]);
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) throw new Error(`Invalid --since value: ${value}`);
+  return date;
+};
+
+const parseArgs = (args) => {
+  const options = { dryRun: false, since: null };
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].split(/=(.*)/s);
+    if (flag === '--dry-run') {
+      options.dryRun = true;
+    } else if (flag === '--since') {
+      options.since = parseSince(inlineValue ?? args[++i]);
+    } else {
+      throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+  return options;
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n${USAGE}`);
+    return 2;
+  }
+
+  const result = await runCleanup({ ...options, trigger: 'cli' });
+  console.log(JSON.stringify(result, null, 2));
+  return result.status === 'FAILED' ? 1 : 0;
+};
+
+main()
+  .catch((err) => {
+    console.error('Cleanup failed:', err);
+    return 1;
+  })
+  .then(async (code) => {
+    await prisma.$disconnect();
+    process.exit(code);
+  });
@@ -1,4 +1,14 @@
+// Parses a human-readable size such as "100MB" or "5 GiB" into bytes (plain numbers are bytes).
+const parseSize = (value) => {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([KMGT]?)i?B?\s*$/i.exec(String(value));
+  if (!match) throw new Error(`Invalid size: ${value}`);
+  const exponent = ' KMGT'.indexOf(match[2].toUpperCase() || ' ');
+  return Math.floor(parseFloat(match[1]) * 1024 ** exponent);
+};
+
 const config = {
+  // Public URL of the web app; links in emails and QR codes point here.
+  appUrl: (process.env.APP_URL || 'http://localhost:5173').replace(/\/+$/, ''),
   allowedMimeTypes: [
     'application/pdf',
     'image/png',
@@ -16,6 +26,91 @@ const config = {
     'text/x-java-source',
     'application/x-typescript',
   ],
+  // Plan assigned to users and workspaces that have none, and the limits used for plans missing from PlanLimit.
+  defaultPlan: 'free',
+  defaultPlanLimits: {
+    maxFileSize: parseSize(process.env.MAX_FILE_SIZE || '50MB'),
+    storageQuota: parseSize(process.env.STORAGE_QUOTA || '1GB'),
+  },
+  // Account-free uploads (see anonymousDropService).
+  anonymousDrops: {
+    plan: 'anonymous', // PlanLimit row that sets the size limit
+    ttlHours: parseInt(process.env.ANONYMOUS_DROP_TTL_HOURS || '24', 10),
+    maxTtlHours: parseInt(process.env.ANONYMOUS_DROP_MAX_TTL_HOURS || '72', 10),
+    ipByteBudget: parseSize(process.env.ANONYMOUS_DROP_IP_BYTE_BUDGET || '100MB'),
+    ipBudgetWindowHours: parseInt(process.env.ANONYMOUS_DROP_IP_BUDGET_WINDOW_HOURS || '24', 10),
+    rateLimitWindowMs: parseInt(process.env.ANONYMOUS_DROP_RATE_LIMIT_WINDOW_MS || String(60 * 60 * 1000), 10),
+    rateLimitMax: parseInt(process.env.ANONYMOUS_DROP_RATE_LIMIT_MAX || '10', 10),
+  },
+  // Links that confirm a user owns their email address (see emailVerificationService).
+  emailVerification: {
+    ttlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24', 10),
+  },
+  // One-time passwords and access grants of shares (see shareAccessService).
+  shareAccess: {
+    otpTtlMinutes: parseInt(process.env.SHARE_OTP_TTL_MINUTES || '15', 10), // Default validity of a generated OTP
+    grantTtlMinutes: parseInt(process.env.SHARE_GRANT_TTL_MINUTES || '10', 10), // Access grant returned on open
+  },
+  // Outgoing email (see mailService). `transport` is one of the registered transports: smtp, file or console.
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'GhostDrop <no-reply@ghostdrop.local>',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true', // TLS from the start (port 465); otherwise STARTTLS
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+    fileDir: process.env.MAIL_FILE_DIR || 'tmp/mail', // Where the file transport writes messages
+    maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS || '5', 10),
+    retryBaseMs: parseInt(process.env.MAIL_RETRY_BASE_MS || '30000', 10), // Doubles with each failed attempt
+    pollIntervalMs: parseInt(process.env.MAIL_POLL_INTERVAL_MS || '10000', 10),
+    expiryNoticeLeadMinutes: parseInt(process.env.EXPIRY_NOTICE_LEAD_MINUTES || '60', 10),
+  },
+  // Deleting files at their expiry (see fileExpiryService).
+  expiry: {
+    maxLatenessMs: parseInt(process.env.EXPIRY_MAX_LATENESS_MS || '60000', 10), // Longest a file outlives its expiry
+  },
+  // Where file contents are stored (see storageService). `driver` is one of the registered drivers: s3 or local.
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 's3',
+    // Validity of pre-signed upload and download URLs, in seconds (default 15 minutes)
+    presignExpires: parseInt(process.env.STORAGE_PRESIGN_EXPIRES || process.env.AWS_S3_PRESIGN_EXPIRES || '900', 10),
+    s3: {
+      region: process.env.AWS_REGION,
+      bucket: process.env.AWS_S3_BUCKET,
+    },
+    local: {
+      dir: process.env.STORAGE_LOCAL_DIR || 'storage', // Relative paths are resolved from the working directory
+      // Base of the signed URLs: where this server is reachable, followed by /storage.
+      publicUrl: (process.env.STORAGE_LOCAL_PUBLIC_URL
+        || `${process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 3000}`}/storage`).replace(/\/+$/, ''),
+      signingSecret: process.env.STORAGE_LOCAL_SIGNING_SECRET,
+    },
+  },
+  // Periodic cleanup job (see cleanupService).
+  cleanup: {
+    softDeleteRetentionMinutes: parseInt(process.env.SOFT_DELETE_RETENTION_MINUTES || '10', 10), // Before hard delete
+    // Uploads (and stray objects) younger than this are assumed to still be in progress.
+    abandonedUploadMaxAgeHours: parseInt(process.env.ABANDONED_UPLOAD_MAX_AGE_HOURS || '24', 10),
+    lockTtlMs: parseInt(process.env.CLEANUP_LOCK_TTL_MS || '300000', 10), // Renewed while a run is in progress
+  },
+  // Access logs of files and shares (see accessLogService).
+  accessLog: {
+    retentionDays: parseInt(process.env.ACCESS_LOG_RETENTION_DAYS || '30', 10), // Older entries are deleted by cleanup
+    exportMaxRows: parseInt(process.env.ACCESS_LOG_EXPORT_MAX_ROWS || '10000', 10), // Cap of one CSV export
+  },
+  // Brute-force protection for share passwords, OTPs and verifiers (see shareAttemptService).
+  shareAttempts: {
+    freeFailures: parseInt(process.env.SHARE_ATTEMPT_FREE_FAILURES || '3', 10), // Per share, before backoff starts
+    ipFreeFailures: parseInt(process.env.SHARE_ATTEMPT_IP_FREE_FAILURES || '10', 10), // Per IP, across shares
+    backoffBaseMs: parseInt(process.env.SHARE_ATTEMPT_BACKOFF_BASE_MS || '2000', 10), // Doubles with each failure
+    backoffMaxMs: parseInt(process.env.SHARE_ATTEMPT_BACKOFF_MAX_MS || String(15 * 60 * 1000), 10),
+    ipWindowMinutes: parseInt(process.env.SHARE_ATTEMPT_IP_WINDOW_MINUTES || '60', 10), // IP failures older than this are forgotten
+    otpMaxFailures: parseInt(process.env.SHARE_OTP_MAX_FAILURES || '5', 10), // OTP shares are locked after this many
+  },
 };
 
 module.exports = config;
+module.exports.parseSize = parseSize;
@@ -0,0 +1,18 @@
+// backend/src/config/workspaceRoles.js
+// Privilege ranking for the WorkspaceRole enum: OWNER > ADMIN > MEMBER > VIEWER.
+const WorkspaceRoleRank = {
+  OWNER: 4,
+  ADMIN: 3,
+  MEMBER: 2,
+  VIEWER: 1,
+};
+
+// True if `role` is at least as privileged as `minimumRole`.
+const hasWorkspaceRole = (role, minimumRole) =>
+  (WorkspaceRoleRank[role] || 0) >= WorkspaceRoleRank[minimumRole];
+
+// True if `role` is strictly more privileged than `otherRole`.
+const outranks = (role, otherRole) =>
+  (WorkspaceRoleRank[role] || 0) > (WorkspaceRoleRank[otherRole] || 0);
+
+module.exports = { WorkspaceRoleRank, hasWorkspaceRole, outranks };
@@ -0,0 +1,47 @@
+const logger = require('../utils/logger');
+const { validate, accessLogQuerySchema } = require('../utils/validation');
+const { buildAccessLogFilter, listAccessLogs, exportAccessLogsCsv } = require('../services/accessLogService');
+
+// Answers an access log request for the entries matching `scope`, as a JSON page or a CSV download.
+const sendAccessLog = async (req, res, scope, exportName) => {
+  const { value, errors } = validate(req.query, accessLogQuerySchema);
+  if (errors) return res.status(400).json({ errors });
+
+  const where = { ...scope, ...buildAccessLogFilter(value) };
+
+  if (value.format === 'csv') {
+    const csv = await exportAccessLogsCsv(where);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="access-log-${exportName}.csv"`);
+    res.set('Cache-Control', 'no-store');
+    return res.send(csv);
+  }
+
+  const { page, limit } = value;
+  const { entries, total } = await listAccessLogs(where, { page, limit });
+  res.json({ entries, page, limit, total });
+};
+
+// Who opened or downloaded a file, directly or through shares and drop links. Owners only (see `authorize`).
+const getFileAccessLog = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    await sendAccessLog(req, res, { fileId: id }, `file-${id}`);
+  } catch (err) {
+    logger.error('getFileAccessLog failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Every attempt to open or download through a share link. Its creator or the owner of the shared item only.
+const getShareAccessLog = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    await sendAccessLog(req, res, { shareId: id }, `share-${id}`);
+  } catch (err) {
+    logger.error('getShareAccessLog failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+module.exports = { getFileAccessLog, getShareAccessLog };
@@ -1,14 +1,31 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+const Roles = require('../config/roles');
+const { validate, registerSchema, refreshTokenSchema, verifyEmailSchema } = require('../utils/validation');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  findSessionByRefreshToken,
+  listActiveSessions,
+} = require('../services/tokenService');
+const { sendVerificationMail, verifyEmail } = require('../services/emailVerificationService');
+
+// Device details recorded on each session so users can recognise them in the sessions list.
+const getClientContext = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip,
+});
 
 const register = async (req, res) => {
-  const { email, password, role } = req.body;
+  const { value, errors } = validate(req.body, registerSchema);
+  if (errors) return res.status(400).json({ errors });
 
-  if (!email || !password || !role) {
-    return res.status(400).json({ error: 'Email, password, and role are required.' });
-  }
+  // Any `role` in the body is ignored: every account starts as a MEMBER. Permissions on
+  // files, folders and workspaces are resolved per resource by the authorization service.
+  const { email, password } = value;
+  const role = Roles.MEMBER;
 
   try {
     const existingUser = await prisma.user.findUnique({ where: { email } });
@@ -21,13 +38,10 @@ const register = async (req, res) => {
     const user = await prisma.user.create({
       data: { email, passwordHash, role },
     });
+    await sendVerificationMail(user);
 
-    const token = jwt.sign(
-      { userId: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' } // Increased for development convenience
-    );
-    res.status(201).json({ token });
+    const { token, refreshToken } = await createSession(user, getClientContext(req));
+    res.status(201).json({ token, refreshToken });
   } catch (error) {
     console.error('Registration error:', error);
     res.status(500).json({ error: 'Internal server error.' });
@@ -52,16 +66,130 @@ const login = async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const token = jwt.sign(
-      { userId: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' } // Increased for development convenience
-    );
-    res.json({ token });
+    const { token, refreshToken } = await createSession(user, getClientContext(req));
+    res.json({ token, refreshToken });
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Internal server error.' });
   }
 };
 
-module.exports = { register, login };
+// Exchanges a refresh token for a new token pair. The presented refresh token is consumed.
+const refresh = async (req, res, next) => {
+  try {
+    const { value, errors } = validate(req.body, refreshTokenSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const result = await rotateRefreshToken(value.refreshToken, getClientContext(req));
+    if (result.error) return res.status(401).json({ error: result.error });
+
+    res.json({ token: result.token, refreshToken: result.refreshToken });
+  } catch (err) {
+    logger.error('refresh failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Ends the session a refresh token belongs to. Always succeeds so it can't be used to probe tokens.
+const logout = async (req, res, next) => {
+  try {
+    const { value, errors } = validate(req.body, refreshTokenSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const record = await findSessionByRefreshToken(value.refreshToken);
+    if (record) {
+      await revokeSession(record.sessionId, 'logout');
+      logger.info(`Session ${record.sessionId} logged out by user ${record.userId}`);
+    }
+
+    res.status(204).send();
+  } catch (err) {
+    logger.error('logout failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+const getSessions = async (req, res, next) => {
+  try {
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const sessions = await listActiveSessions(userId);
+    res.json(sessions.map(session => ({ ...session, current: session.id === req.auth.sid })));
+  } catch (err) {
+    logger.error('getSessions failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+const revokeSessionById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    // Users can only revoke their own sessions.
+    const session = await prisma.session.findUnique({ where: { id }, select: { userId: true } });
+    if (!session || session.userId !== userId) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(id, 'revoked');
+
+    logger.info(`Session ${id} revoked by user ${userId}`);
+    res.status(204).send();
+  } catch (err) {
+    logger.error('revokeSessionById failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Confirms the user's email address with the token from a verification email. Needs no session: the link may be
+// opened on another device.
+const verifyEmailAddress = async (req, res, next) => {
+  try {
+    const { value, errors } = validate(req.body, verifyEmailSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const result = await verifyEmail(value.token);
+    if (result.error) return res.status(400).json({ error: result.error });
+
+    logger.info(`Email of user ${result.user.id} verified`);
+    res.json({ email: result.user.email, emailVerifiedAt: result.user.emailVerifiedAt });
+  } catch (err) {
+    logger.error('verifyEmailAddress failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Mails the current user a new verification link.
+const resendVerification = async (req, res, next) => {
+  try {
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, emailVerifiedAt: true },
+    });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.emailVerifiedAt) return res.status(409).json({ error: 'Email address is already verified' });
+
+    await sendVerificationMail(user);
+    res.status(202).json({ message: 'Verification email sent' });
+  } catch (err) {
+    logger.error('resendVerification failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  getSessions,
+  revokeSessionById,
+  verifyEmailAddress,
+  resendVerification,
+};
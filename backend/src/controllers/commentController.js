@@ -0,0 +1,204 @@
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+const Roles = require('../config/roles');
+const { hasPermission, getFolderChain } = require('../services/authorizationService');
+const { publish } = require('../services/eventBus');
+const { validate, paginationSchema, createCommentSchema, updateCommentSchema } = require('../utils/validation');
+
+// Mentions are written as "@user@example.com" in the comment body.
+const MENTION_PATTERN = /@([^\s@]+@[^\s@]+\.[^\s@,;:!?)]+)/g;
+
+const commentInclude = { user: { select: { id: true, email: true } } };
+
+// Resolves "@email" mentions in `content` to user IDs. Only people who can see the file's
+// workspace (its members, or the file owner for personal files) can be mentioned.
+const resolveMentions = async (content, file) => {
+  const emails = [...new Set([...content.matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase()))];
+  if (!emails.length) return [];
+
+  const chain = await getFolderChain(file.folderId);
+  const workspaceId = chain.find(folder => folder.workspaceId)?.workspaceId;
+
+  const users = await prisma.user.findMany({
+    where: {
+      email: { in: emails, mode: 'insensitive' },
+      OR: [
+        { id: file.ownerId },
+        ...(workspaceId ? [{ workspaceMembers: { some: { workspaceId } } }] : []),
+      ],
+    },
+    select: { id: true },
+  });
+  return users.map(user => user.id);
+};
+
+// Loads a comment and makes sure it belongs to the file in the URL.
+const findFileComment = async (fileId, commentId) => {
+  const comment = await prisma.comment.findUnique({ where: { id: commentId } });
+  return comment && comment.fileId === fileId ? comment : null;
+};
+
+// Creates a top-level comment, or a reply when `parentId` is given.
+const createComment = async (req, res, next) => {
+  try {
+    const { id: fileId } = req.params;
+    const { value, errors } = validate(req.body, createCommentSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const { content, parentId } = value;
+
+    const file = await prisma.file.findUnique({
+      where: { id: fileId },
+      select: { id: true, ownerId: true, folderId: true, fileName: true },
+    });
+
+    // Threads are one level deep: replying to a reply attaches to the thread's root comment.
+    let rootId = null;
+    if (parentId) {
+      const parent = await findFileComment(fileId, parentId);
+      if (!parent) {
+        return res.status(404).json({ error: 'Parent comment not found' });
+      }
+      rootId = parent.parentId || parent.id;
+    }
+
+    const mentions = await resolveMentions(content, file);
+
+    const { comment, activity } = await prisma.$transaction(async (tx) => {
+      const created = await tx.comment.create({
+        data: { content, mentions, fileId, userId, parentId: rootId },
+        include: commentInclude,
+      });
+
+      const activityRow = await tx.activity.create({
+        data: {
+          type: 'COMMENT_ADDED',
+          message: `Comment added on ${file.fileName}`,
+          userId,
+          fileId,
+          folderId: file.folderId,
+          commentId: created.id,
+          metadata: { parentId: rootId, mentions },
+        },
+      });
+
+      return { comment: created, activity: activityRow };
+    });
+
+    // Everyone watching the file sees the comment; mentioned users are notified directly.
+    publish('comment:added', { ...activity, comment }, { userIds: mentions, fileId });
+
+    logger.info(`Comment ${comment.id} added to file ${fileId} by user ${userId}`);
+    res.status(201).json(comment);
+  } catch (err) {
+    logger.error('createComment failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Lists top-level comments (paginated, oldest first), each with its replies.
+const getComments = async (req, res, next) => {
+  try {
+    const { id: fileId } = req.params;
+    const { value, errors } = validate(req.query, paginationSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const { page, limit } = value;
+    const where = { fileId, parentId: null };
+
+    const [total, comments] = await prisma.$transaction([
+      prisma.comment.count({ where }),
+      prisma.comment.findMany({
+        where,
+        include: {
+          ...commentInclude,
+          replies: { include: commentInclude, orderBy: { createdAt: 'asc' } },
+        },
+        orderBy: { createdAt: 'asc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+    ]);
+
+    res.json({ comments, page, limit, total });
+  } catch (err) {
+    logger.error('getComments failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Only the author can edit a comment. Mentions are re-resolved from the new content.
+const updateComment = async (req, res, next) => {
+  try {
+    const { id: fileId, commentId } = req.params;
+    const { value, errors } = validate(req.body, updateCommentSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const existing = await findFileComment(fileId, commentId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (existing.userId !== userId) {
+      return res.status(403).json({ error: 'Only the author can edit this comment' });
+    }
+
+    const file = await prisma.file.findUnique({
+      where: { id: fileId },
+      select: { ownerId: true, folderId: true },
+    });
+    const mentions = await resolveMentions(value.content, file);
+
+    const comment = await prisma.comment.update({
+      where: { id: commentId },
+      data: { content: value.content, mentions },
+      include: commentInclude,
+    });
+
+    publish('comment:updated', comment, { fileId });
+
+    logger.info(`Comment ${commentId} updated by user ${userId}`);
+    res.json(comment);
+  } catch (err) {
+    logger.error('updateComment failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// The author, or anyone with admin access to the file, can delete a comment. Deleting a
+// top-level comment removes its replies with it.
+const deleteComment = async (req, res, next) => {
+  try {
+    const { id: fileId, commentId } = req.params;
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const existing = await findFileComment(fileId, commentId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (existing.userId !== userId && !hasPermission(req.permissions?.file, Roles.ADMIN)) {
+      return res.status(403).json({ error: 'Unauthorized to delete this comment' });
+    }
+
+    await prisma.$transaction([
+      prisma.comment.deleteMany({ where: { parentId: commentId } }),
+      prisma.comment.delete({ where: { id: commentId } }),
+    ]);
+
+    publish('comment:deleted', { id: commentId, fileId, parentId: existing.parentId }, { fileId });
+
+    logger.info(`Comment ${commentId} deleted by user ${userId}`);
+    res.status(204).send();
+  } catch (err) {
+    logger.error('deleteComment failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+module.exports = { createComment, getComments, updateComment, deleteComment };
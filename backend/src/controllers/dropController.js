@@ -0,0 +1,341 @@
+const { v4: uuidv4 } = require('uuid');
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { getObjectKey, presignPutObject, getPresignedDownloadUrl, deleteObject } = require('../services/storageService');
+const { verifyUploadedObject } = require('../services/uploadVerificationService');
+const { getPlanLimits, commitStorage } = require('../services/quotaService');
+const { publish } = require('../services/eventBus');
+const { claimFileDownload } = require('../services/downloadLimitService');
+const { scheduleExpiry } = require('../services/fileExpiryService');
+const {
+  ANONYMOUS_KEY_OWNER,
+  createDrop,
+  findManagedDrop,
+  getDefaultExpiry,
+  getMaxExpiry,
+  getDropStatus,
+  serializeDrop,
+} = require('../services/anonymousDropService');
+const {
+  validate,
+  presignDropSchema,
+  completeDropSchema,
+  updateDropSchema,
+  claimDropSchema,
+} = require('../utils/validation');
+
+// The uploader proves they own a drop with the manage token they got at presign time.
+const getManageToken = (req) => req.get('X-Manage-Token');
+
+// Removes a drop's object from storage. Failures are left to the cleanup service's orphan sweep.
+const discardObject = async (s3Key) => {
+  try {
+    await deleteObject({ key: s3Key });
+  } catch (err) {
+    logger.error('Failed to delete drop object %s: %s', s3Key, err.message);
+  }
+};
+
+// Starts an anonymous drop: checks the anonymous size limit and the IP's byte budget, then presigns the upload.
+const presignDrop = async (req, res, next) => {
+  try {
+    const { value, errors } = validate(req.body, presignDropSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const { fileName, mimeType, size, expiresIn, notifyEmail } = value;
+
+    if (!config.allowedMimeTypes.includes(mimeType)) {
+      return res.status(400).json({ error: 'Unsupported file type.' });
+    }
+
+    const { maxFileSize } = await getPlanLimits(config.anonymousDrops.plan);
+    if (size > maxFileSize) {
+      return res.status(413).json({ error: `Anonymous uploads are limited to ${maxFileSize} bytes` });
+    }
+
+    const key = getObjectKey({ userId: ANONYMOUS_KEY_OWNER, fileName, uuid: uuidv4() });
+    const created = await createDrop({ s3Key: key, fileName, mimeType, size, ipAddress: req.ip, notifyEmail });
+    if (created.error) {
+      return res.status(429).json({ error: created.error });
+    }
+
+    const { url } = await presignPutObject({ key, mimeType, expiresIn });
+
+    logger.info(`Anonymous drop ${created.drop.id} started from ${req.ip}`);
+    res.status(201).json({
+      dropId: created.drop.id,
+      s3Key: key,
+      url,
+      expiresIn: expiresIn || undefined,
+      // Only returned here: needed to complete, manage or claim the drop.
+      manageToken: created.manageToken,
+    });
+  } catch (err) {
+    logger.error('presignDrop failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Verifies the uploaded object and turns the drop into an ownerless File with a forced expiry.
+const completeDrop = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { value, errors } = validate(req.body, completeDropSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const drop = await findManagedDrop(id, getManageToken(req));
+    if (!drop) {
+      return res.status(404).json({ error: 'Drop not found' });
+    }
+    if (drop.revokedAt) {
+      return res.status(410).json({ error: 'Drop has been revoked' });
+    }
+    if (drop.fileId) {
+      return res.status(409).json({ error: 'Drop already completed' });
+    }
+
+    const { encryptedKeyMetadata, maxDownloads } = value;
+    const verification = await verifyUploadedObject(
+      { s3Key: drop.s3Key, size: Number(drop.size), mimeType: drop.mimeType, encryptedKeyMetadata },
+      await getPlanLimits(config.anonymousDrops.plan)
+    );
+    if (verification.error) {
+      logger.warn(`Anonymous drop ${id} rejected: ${verification.reason}`);
+      await discardObject(drop.s3Key);
+      return res.status(400).json({ error: verification.error, reason: verification.reason });
+    }
+
+    const file = await prisma.$transaction(async (tx) => {
+      const created = await tx.file.create({
+        data: {
+          s3Key: drop.s3Key,
+          fileName: drop.fileName,
+          mimeType: drop.mimeType,
+          size: BigInt(verification.object.size),
+          isEncrypted: true,
+          encryptedKeyMetadata,
+          expiry: getDefaultExpiry(),
+          downloadsRemaining: maxDownloads || null,
+          uploadStatus: 'COMPLETED',
+          ownerId: null,
+        },
+      });
+      await tx.anonymousDrop.update({ where: { id }, data: { fileId: created.id } });
+      return created;
+    });
+
+    scheduleExpiry(file.expiry);
+
+    logger.info(`Anonymous drop ${id} completed as file ${file.id}`);
+    res.status(201).json(serializeDrop({ ...drop, fileId: file.id, file }));
+  } catch (err) {
+    logger.error('completeDrop failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+const getDrop = async (req, res, next) => {
+  try {
+    const drop = await findManagedDrop(req.params.id, getManageToken(req));
+    if (!drop) {
+      return res.status(404).json({ error: 'Drop not found' });
+    }
+    res.json(serializeDrop(drop));
+  } catch (err) {
+    logger.error('getDrop failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Extends (or shortens) an active drop's expiry, up to maxTtlHours after it was created.
+const updateDrop = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { value, errors } = validate(req.body, updateDropSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const drop = await findManagedDrop(id, getManageToken(req));
+    if (!drop) {
+      return res.status(404).json({ error: 'Drop not found' });
+    }
+    if (getDropStatus(drop) !== 'active') {
+      return res.status(409).json({ error: `Drop is ${getDropStatus(drop)}` });
+    }
+
+    const maxExpiry = getMaxExpiry(drop);
+    if (value.expiry > maxExpiry) {
+      return res.status(400).json({ error: `Anonymous drops cannot be kept past ${maxExpiry.toISOString()}` });
+    }
+
+    // A new expiry gets its own "expires soon" notice.
+    const file = await prisma.file.update({
+      where: { id: drop.fileId },
+      data: { expiry: value.expiry, expiryNoticeSentAt: null },
+    });
+    scheduleExpiry(file.expiry);
+
+    logger.info(`Anonymous drop ${id} expiry set to ${value.expiry.toISOString()}`);
+    res.json(serializeDrop({ ...drop, file }));
+  } catch (err) {
+    logger.error('updateDrop failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Revokes a drop. A completed drop's file is soft-deleted, so the cleanup service removes it after retention.
+const revokeDrop = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const drop = await findManagedDrop(id, getManageToken(req));
+    if (!drop) {
+      return res.status(404).json({ error: 'Drop not found' });
+    }
+    if (drop.revokedAt) {
+      return res.status(204).send();
+    }
+
+    const now = new Date();
+    await prisma.$transaction(async (tx) => {
+      await tx.anonymousDrop.update({ where: { id }, data: { revokedAt: now } });
+      if (drop.fileId) {
+        await tx.file.updateMany({ where: { id: drop.fileId, deletedAt: null }, data: { deletedAt: now } });
+      }
+    });
+    if (!drop.fileId) {
+      await discardObject(drop.s3Key);
+    }
+
+    logger.info(`Anonymous drop ${id} revoked`);
+    res.status(204).send();
+  } catch (err) {
+    logger.error('revokeDrop failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Moves an active drop into the caller's account. The file then counts towards their quota and stops
+// being reachable through the drop's manage token and public link.
+const claimDrop = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { value, errors } = validate(req.body, claimDropSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const drop = await findManagedDrop(id, getManageToken(req));
+    if (!drop) {
+      return res.status(404).json({ error: 'Drop not found' });
+    }
+    if (getDropStatus(drop) !== 'active') {
+      return res.status(409).json({ error: `Drop is ${getDropStatus(drop)}` });
+    }
+
+    // Mark the drop first so the same manage token cannot be used to claim it twice.
+    const { count } = await prisma.anonymousDrop.updateMany({
+      where: { id, claimedAt: null, revokedAt: null },
+      data: { claimedAt: new Date(), claimedById: userId },
+    });
+    if (!count) {
+      return res.status(409).json({ error: 'Drop has already been claimed or revoked' });
+    }
+
+    const charged = await commitStorage(
+      { s3Key: drop.s3Key, userId, workspaceId: null, bytes: Number(drop.file.size) },
+      async (tx) => {
+        const file = await tx.file.update({
+          where: { id: drop.fileId },
+          data: { ownerId: userId, expiry: value.expiry || null, expiryNoticeSentAt: null },
+        });
+        const activity = await tx.activity.create({
+          data: {
+            type: 'DROP_CLAIMED',
+            message: `Anonymous drop claimed: ${file.fileName}`,
+            userId,
+            fileId: file.id,
+            metadata: { dropId: id },
+          },
+        });
+        return { file, activity };
+      }
+    );
+    if (charged.error) {
+      await prisma.anonymousDrop.update({ where: { id }, data: { claimedAt: null, claimedById: null } });
+      return res.status(413).json({ error: charged.error, scope: charged.scope });
+    }
+
+    const { file, activity } = charged.result;
+    scheduleExpiry(file.expiry);
+    publish('drop:claimed', activity, { userIds: [userId], fileId: file.id });
+
+    logger.info(`Anonymous drop ${id} claimed by user ${userId}`);
+    res.json({ file: { ...file, size: file.size.toString() } });
+  } catch (err) {
+    logger.error('claimDrop failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Loads an active drop by its public download token, for recipients.
+const findPublicDrop = async (downloadToken) => {
+  const drop = await prisma.anonymousDrop.findUnique({ where: { downloadToken }, include: { file: true } });
+  return drop && getDropStatus(drop) === 'active' ? drop : null;
+};
+
+const getPublicDrop = async (req, res, next) => {
+  try {
+    const drop = await findPublicDrop(req.params.downloadToken);
+    if (!drop) {
+      return res.status(404).json({ error: 'Drop not found or expired' });
+    }
+
+    const { file } = drop;
+    res.json({
+      fileName: file.fileName,
+      mimeType: file.mimeType,
+      size: file.size.toString(),
+      isEncrypted: file.isEncrypted,
+      encryptedKeyMetadata: file.encryptedKeyMetadata,
+      expiry: file.expiry,
+    });
+  } catch (err) {
+    logger.error('getPublicDrop failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+const downloadDrop = async (req, res, next) => {
+  try {
+    const drop = await findPublicDrop(req.params.downloadToken);
+    if (!drop) {
+      return res.status(404).json({ error: 'Drop not found or expired' });
+    }
+
+    const claim = await claimFileDownload(drop.file);
+    if (claim.error) {
+      return res.status(410).json({ error: claim.error });
+    }
+
+    const { url: downloadUrl, expiresIn } = await getPresignedDownloadUrl({ key: drop.s3Key, expiresIn: 300 });
+    res.locals.accessLog = { bytesServed: drop.file.size };
+
+    logger.info(`Anonymous drop download issued: drop ${drop.id}`);
+    res.json({ downloadUrl, expiresIn, fileName: drop.fileName });
+  } catch (err) {
+    logger.error('downloadDrop failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+module.exports = {
+  presignDrop,
+  completeDrop,
+  getDrop,
+  updateDrop,
+  revokeDrop,
+  claimDrop,
+  getPublicDrop,
+  downloadDrop,
+};
@@ -10,21 +10,37 @@ const {
   presignPart,
   completeMultipart,
   abortMultipart,
-} = require('../services/s3Services');
+  deleteObject,
+} = require('../services/storageService');
+const { publish } = require('../services/eventBus');
+const { getRemainingParts } = require('../services/uploadSessionService');
+const { claimFileDownload } = require('../services/downloadLimitService');
+const { isFileAvailable, scheduleExpiry } = require('../services/fileExpiryService');
+const { ownsObjectKey, verifyUploadedObject } = require('../services/uploadVerificationService');
+const {
+  getUserLimits,
+  getWorkspaceIdForFolder,
+  reserveStorage,
+  commitStorage,
+  releaseReservation,
+} = require('../services/quotaService');
 const { validate, presignSchema, completeUploadSchema } = require('../utils/validation');
 
+// S3 requires every part except the last to be at least 5MB.
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
 const presign = async (req, res, next) => {
+  let reservedKey = null;
   try {
     const { value, errors } = validate(req.body, presignSchema);
     if (errors) return res.status(400).json({ errors });
 
-    const userId = req.auth?.userId; // Can be null for anonymous uploads
+    const userId = req.auth?.userId;
 
-    // If no userId, treat as anonymous. If required for certain operations, a separate check will be needed.
-    // For presign, we allow anonymous uploads but with a smaller size limit.
-    if (!userId) return res.status(401).json({ error: 'Unauthorized' }); // Re-added this line
+    // Anonymous uploads go through /api/drops, which has its own size limit and abuse controls.
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
 
-    const { fileName, mimeType, multipart, parts, expiresIn, size } = value; // Added size
+    const { fileName, mimeType, multipart, parts, partSize, expiresIn, folderId, size } = value; // Added size
     const uuid = uuidv4();
     const key = getObjectKey({ userId, fileName, uuid });
 
@@ -34,6 +50,27 @@ const presign = async (req, res, next) => {
       return res.status(400).json({ error: 'Unsupported file type.' });
     }
 
+    // 2. Plan size limit (checked again against the stored object on complete)
+    const { maxFileSize } = await getUserLimits(userId);
+    if (size > maxFileSize) {
+      return res.status(413).json({ error: `File exceeds the maximum size of ${maxFileSize} bytes` });
+    }
+
+    // 3. Multipart layout must be consistent with the declared size
+    if (multipart) {
+      const expectedParts = partSize ? Math.max(1, Math.ceil(size / partSize)) : null;
+      if (parts > Math.max(1, Math.ceil(size / MIN_PART_SIZE)) || (expectedParts && parts !== expectedParts)) {
+        return res.status(400).json({ error: 'Part count does not match the declared size' });
+      }
+    }
+
+    // 4. Storage quota: hold the space until the upload completes or is abandoned
+    const workspaceId = await getWorkspaceIdForFolder(folderId);
+    const reservation = await reserveStorage({ s3Key: key, userId, workspaceId, bytes: size });
+    if (reservation.error) {
+      return res.status(413).json({ error: reservation.error, scope: reservation.scope });
+    }
+    reservedKey = key;
 
     if (!multipart) {
       const { url } = await presignPutObject({ key, mimeType, expiresIn });
@@ -46,6 +83,21 @@ const presign = async (req, res, next) => {
     }
 
     const { uploadId } = await createMultipart({ key, mimeType });
+
+    // Track the upload server-side so it can be resumed (re-presigned parts, reported ETags).
+    const uploadSession = await prisma.uploadSession.create({
+      data: {
+        s3Key: key,
+        uploadId,
+        fileName,
+        mimeType,
+        partSize: partSize || null,
+        totalParts: parts,
+        userId,
+        folderId: folderId || null,
+      },
+    });
+
     const partNumbers = Array.from({ length: parts }, (_, i) => i + 1);
     const presignedParts = await Promise.all(
       partNumbers.map(partNumber => presignPart({ key, uploadId, partNumber, expiresIn }))
@@ -55,16 +107,37 @@ const presign = async (req, res, next) => {
       uploadType: 'multipart',
       s3Key: key,
       uploadId,
+      uploadSessionId: uploadSession.id,
+      partSize: uploadSession.partSize,
       parts: presignedParts,
     });
   } catch (err) {
     logger.error('presign failed: %s', err.message, { stack: err.stack });
+    if (reservedKey) {
+      await releaseReservation(reservedKey).catch(() => {});
+    }
     next(err);
   }
 };
 
+// Deletes an object that failed verification so it cannot linger in storage, and closes its upload session.
+const rejectUpload = async ({ s3Key, uploadSession, userId, reason }) => {
+  logger.warn(`Upload ${s3Key} by user ${userId} rejected: ${reason}`);
+  try {
+    await deleteObject({ key: s3Key });
+  } catch (err) {
+    // The cleanup service removes objects that have no File row, so this is not fatal.
+    logger.error('Failed to delete rejected upload %s: %s', s3Key, err.message);
+  }
+  await releaseReservation(s3Key);
+  if (uploadSession) {
+    await prisma.uploadSession.update({ where: { id: uploadSession.id }, data: { status: 'ABORTED' } });
+  }
+};
+
 const complete = async (req, res, next) => {
   let aborted = false;
+  let uploadSession = null;
   try {
     const { value, errors } = validate(req.body, completeUploadSchema);
     if (errors) return res.status(400).json({ errors });
@@ -75,20 +148,57 @@ const complete = async (req, res, next) => {
     const {
       s3Key,
       multipart,
-      uploadId,
-      parts,
+      uploadSessionId,
       fileName,
       mimeType,
       size,
       encryptedKeyMetadata,
       folderId,
       expiry,
+      maxDownloads,
     } = value;
 
+    let { uploadId, parts } = value;
+
+    // Never verify (and possibly delete) an object the caller was not presigned for.
+    if (!ownsObjectKey(s3Key, userId)) {
+      return res.status(403).json({ error: 'Upload does not belong to you' });
+    }
+    if (await prisma.file.findUnique({ where: { s3Key }, select: { id: true } })) {
+      return res.status(409).json({ error: 'Upload already completed' });
+    }
+
+    if (multipart && uploadSessionId) {
+      // Resumable upload: the uploadId and part ETags come from the server-side session.
+      uploadSession = await prisma.uploadSession.findUnique({
+        where: { id: uploadSessionId },
+        include: { parts: { orderBy: { partNumber: 'asc' } } },
+      });
+      if (!uploadSession || uploadSession.userId !== userId || uploadSession.s3Key !== s3Key) {
+        return res.status(404).json({ error: 'Upload session not found' });
+      }
+      if (uploadSession.status !== 'ACTIVE') {
+        return res.status(409).json({ error: `Upload session is ${uploadSession.status.toLowerCase()}` });
+      }
+
+      uploadId = uploadSession.uploadId;
+      if (!parts) {
+        const remainingParts = getRemainingParts(uploadSession);
+        if (remainingParts.length) {
+          return res.status(409).json({ error: 'Upload has missing parts', remainingParts });
+        }
+        parts = uploadSession.parts.map(({ partNumber, eTag }) => ({ partNumber, eTag }));
+      }
+    }
+
     if (multipart) {
       try {
         await completeMultipart({ key: s3Key, uploadId, parts });
       } catch (err) {
+        // A tracked upload stays resumable: the client can re-upload the bad parts and retry.
+        if (uploadSession) {
+          throw new Error(`Multipart completion failed: ${err.message}`);
+        }
         // If multipart fails, abort to clean up
         await abortMultipart({ key: s3Key, uploadId });
         aborted = true;
@@ -96,31 +206,59 @@ const complete = async (req, res, next) => {
       }
     }
 
-    const file = await prisma.file.create({
-      data: {
-        s3Key,
-        fileName,
-        mimeType,
-        size: BigInt(size),
-        isEncrypted: true,
-        encryptedKeyMetadata: encryptedKeyMetadata || null,
-        expiry: expiry || null,
-        uploadStatus: 'COMPLETED',
-        ownerId: userId,
-        folderId: folderId || null,
-      },
-    });
+    // Check the stored object itself rather than trusting the declared size, type and encryption layout.
+    const verification = await verifyUploadedObject(
+      { s3Key, size, mimeType, encryptedKeyMetadata },
+      await getUserLimits(userId)
+    );
+    if (verification.error) {
+      await rejectUpload({ s3Key, uploadSession, userId, reason: verification.reason });
+      return res.status(400).json({ error: verification.error, reason: verification.reason });
+    }
 
-    await prisma.activity.create({
+    // Charge the verified size to the uploader's (and workspace's) quota together with creating the row.
+    const charged = await commitStorage(
+      { s3Key, userId, workspaceId: await getWorkspaceIdForFolder(folderId), bytes: verification.object.size },
+      tx => tx.file.create({
+        data: {
+          s3Key,
+          fileName,
+          mimeType,
+          size: BigInt(verification.object.size),
+          isEncrypted: true,
+          encryptedKeyMetadata,
+          expiry: expiry || null,
+          downloadsRemaining: maxDownloads || null,
+          uploadStatus: 'COMPLETED',
+          ownerId: userId,
+          folderId: folderId || null,
+        },
+      })
+    );
+    if (charged.error) {
+      await rejectUpload({ s3Key, uploadSession, userId, reason: 'quota_exceeded' });
+      return res.status(413).json({ error: charged.error, scope: charged.scope, reason: 'quota_exceeded' });
+    }
+    const file = charged.result;
+    scheduleExpiry(file.expiry);
+
+    if (uploadSession) {
+      await prisma.uploadSession.update({ where: { id: uploadSession.id }, data: { status: 'COMPLETED' } });
+    }
+
+    const activity = await prisma.activity.create({
       data: {
         type: 'FILE_UPLOADED',
         message: `File uploaded: ${fileName}`,
         userId,
         fileId: file.id,
-        metadata: { size },
+        folderId: file.folderId,
+        metadata: { size, fileName, mimeType },
       },
     });
 
+    publish('file:uploaded', activity, { userIds: [userId], fileId: file.id, folderId: file.folderId });
+
     return res.status(201).json({
       file: {
         ...file,
@@ -129,7 +267,7 @@ const complete = async (req, res, next) => {
     });
   } catch (err) {
     logger.error('complete failed: %s', err.message, { stack: err.stack });
-    if (!aborted && req.body.multipart && req.body.uploadId) {
+    if (!aborted && !uploadSession && req.body.multipart && req.body.uploadId) {
       // Safety net: abort multipart if any unexpected error occurs
       try {
         await abortMultipart({ key: req.body.s3Key, uploadId: req.body.uploadId });
@@ -142,34 +280,46 @@ const complete = async (req, res, next) => {
 
 // Controller to securely generate a temporary download link for a file.
 const download = async (req, res, next) => {
-    try {
-      // Extract file ID from the URL (e.g., /files/:id/download).
-      const { id } = req.params;
-
-      const userId = req.auth?.userId;
-  
-      if (!userId) return res.status(401).json({ error: 'Unauthorized' });
-  
-      // 2. AUTHORIZATION: Find the file in the DB *and* verify the user owns it.
-      const file = await prisma.file.findUnique({
-        where: { id: id, ownerId: userId }, // Crucial security check!
-      });
-  
-      // If no file is found (or user is not the owner), deny access.
-      if (!file) {
-        return res.status(404).json({ error: 'File not found or unauthorized' });
-      }
-  
-      // 3. GENERATE LINK: Create a temporary, secure URL to the private S3 object.
-      const { url: downloadUrl } = await getPresignedDownloadUrl({ key: file.s3Key, expiresIn: 300 });
-  
-      // 4. SEND RESPONSE: Send the temporary URL back to the client.
-      return res.json({ downloadUrl });
-  
-    } catch (err) {
-      // If anything above fails, log the error and pass it to an error handler.
-      logger.error('download failed: %s', err.message, { stack: err.stack });
-      next(err);
-    }
-  };
+  try {
+    // Extract file ID from the URL (e.g., /files/:id/download).
+    const { id } = req.params;
+
+    const userId = req.auth?.userId;
+
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    // 2. AUTHORIZATION: Read access (owner, workspace, inherited or shared) was verified by the
+    // `authorize` middleware, so we only need to load the file here.
+    const file = await prisma.file.findUnique({
+      where: { id },
+    });
+
+    // If no file is found, deny access.
+    if (!file) {
+      return res.status(404).json({ error: 'File not found or unauthorized' });
+    }
+    // Expired files are refused even before the expiry scheduler has deleted them.
+    if (!isFileAvailable(file)) {
+      return res.status(410).json({ error: 'File has expired' });
+    }
+
+    // 3. DOWNLOAD LIMIT: Counts this download; the last allowed one deletes the file.
+    const claim = await claimFileDownload(file);
+    if (claim.error) {
+      return res.status(410).json({ error: claim.error });
+    }
+
+    // 4. GENERATE LINK: Create a temporary, secure URL to the private S3 object.
+    const { url: downloadUrl } = await getPresignedDownloadUrl({ key: file.s3Key, expiresIn: 300 });
+    res.locals.accessLog = { bytesServed: file.size };
+
+    // 5. SEND RESPONSE: Send the temporary URL back to the client.
+    return res.json({ downloadUrl });
+
+  } catch (err) {
+    // If anything above fails, log the error and pass it to an error handler.
+    logger.error('download failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
 module.exports = { presign, complete, download };
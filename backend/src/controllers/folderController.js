@@ -7,7 +7,16 @@
 
 const prisma = require('../utils/prisma');
 const logger = require('../utils/logger');
+const Roles = require('../config/roles');
 const { validate, createFolderSchema, updateFolderSchema } = require('../utils/validation');
+const { availableFileWhere } = require('../services/fileExpiryService');
+const { moveFolderStorage } = require('../services/quotaService');
+const {
+  getPermission,
+  hasPermission,
+  getFolderChain,
+  MAX_FOLDER_DEPTH,
+} = require('../services/authorizationService');
 
 const createFolder = async (req, res, next) => {
   try {
@@ -19,18 +28,7 @@ const createFolder = async (req, res, next) => {
 
     const { name, parentId, workspaceId } = value;
 
-    // Ensure parent folder belongs to the user or workspace
-    if (parentId) {
-      const parentFolder = await prisma.folder.findUnique({
-        where: { id: parentId },
-        select: { ownerId: true, workspaceId: true },
-      });
-
-      if (!parentFolder || (parentFolder.ownerId !== userId && parentFolder.workspaceId !== workspaceId)) {
-        return res.status(403).json({ error: 'Unauthorized to create folder in this parent' });
-      }
-    }
-
+    // Edit access to the parent folder and workspace is enforced by the `authorize` middleware.
     const folder = await prisma.folder.create({
       data: {
         name,
@@ -59,8 +57,9 @@ const getFolders = async (req, res, next) => {
       const { parentId, workspaceId } = req.query;
   
       // 2. DYNAMIC QUERY BUILDING: Start building the Prisma query filter.
-      // The base rule is to always fetch folders owned by the current user.
-      const whereClause = { ownerId: userId };
+      // Read access to `parentId` / `workspaceId` has already been checked by the `authorize`
+      // middleware, so those paths return everything inside, not just the user's own folders.
+      const whereClause = {};
   
       // This block chooses ONE of three paths based on the query parameters.
       if (parentId) {
@@ -70,18 +69,10 @@ const getFolders = async (req, res, next) => {
       } else if (workspaceId) {
         // PATH 2: If a workspaceId is provided, get the folders in that workspace.
         whereClause.workspaceId = workspaceId;
-        
-        // -- Authorization Check --
-        // Before fetching, ensure the user is actually a member of this workspace.
-        const workspaceMember = await prisma.workspaceMember.findUnique({
-          where: { userId_workspaceId: { userId, workspaceId } },
-        });
-        if (!workspaceMember) {
-          return res.status(403).json({ error: 'Not a member of this workspace' });
-        }
   
       } else {
         // PATH 3 (DEFAULT): If no params are given, get the user's top-level personal folders.
+        whereClause.ownerId = userId;
         whereClause.parentId = null; 
       }
   
@@ -90,7 +81,7 @@ const getFolders = async (req, res, next) => {
         where: whereClause,
         // Use 'include' to also fetch related files and sub-folders in one efficient query.
         include: {
-          files: { select: { id: true, fileName: true, mimeType: true, size: true, createdAt: true } },
+          files: { where: availableFileWhere(), select: { id: true, fileName: true, mimeType: true, size: true, createdAt: true } },
           children: { select: { id: true, name: true, createdAt: true } },
         },
       });
@@ -120,7 +111,7 @@ const getFolderById = async (req, res, next) => {
         where: { id },
         include: {
           owner: { select: { id: true, email: true } },
-          files: { select: { id: true, fileName: true, mimeType: true, size: true, createdAt: true } },
+          files: { where: availableFileWhere(), select: { id: true, fileName: true, mimeType: true, size: true, createdAt: true } },
           children: { select: { id: true, name: true, createdAt: true } },
           workspace: { select: { id: true, name: true } },
         },
@@ -131,27 +122,9 @@ const getFolderById = async (req, res, next) => {
         return res.status(404).json({ error: 'Folder not found' });
       }
   
-      // 3. AUTHORIZATION: Check if the user has permission to view this folder.
-      // First, check if the user is NOT the owner.
-      if (folder.ownerId !== userId) {
-        // If not the owner, check if the folder is in a workspace.
-        if (folder.workspaceId) {
-          // If it is, check if the user is a member of that workspace.
-          const workspaceMember = await prisma.workspaceMember.findUnique({
-            where: { userId_workspaceId: { userId, workspaceId: folder.workspaceId } },
-          });
-          // If they are not a member, deny access.
-          if (!workspaceMember) {
-            return res.status(403).json({ error: 'Unauthorized to access this folder' });
-          }
-        } else {
-          // If not the owner AND it's not a workspace folder, it's a private folder. Deny access.
-          return res.status(403).json({ error: 'Unauthorized to access this folder' });
-        }
-      }
-  
-      // 4. SUCCESS: If all checks pass, send the folder data.
-      res.json(folder);
+      // 3. SUCCESS: Read access (ownership, workspace role, inherited or shared) was already
+      // verified by the `authorize` middleware, so send the folder data with the caller's permission.
+      res.json({ ...folder, permission: req.permissions?.folder });
   
     } catch (err) {
       // If any server error occurs, log it and pass to an error handler.
@@ -169,20 +142,38 @@ const updateFolder = async (req, res, next) => {
     const userId = req.auth?.userId;
     if (!userId) return res.status(401).json({ error: 'Unauthorized' });
 
-    // Verify user is the owner of the folder
-    const existingFolder = await prisma.folder.findUnique({
+    // Edit access to the folder (and to any new parent/workspace) is enforced by the `authorize` middleware.
+    const folder = await prisma.folder.findUnique({
       where: { id },
-      select: { ownerId: true },
+      select: { id: true, parentId: true, workspaceId: true },
     });
 
-    if (!existingFolder || existingFolder.ownerId !== userId) {
-      return res.status(403).json({ error: 'Unauthorized to update this folder' });
+    // Moving takes the whole tree, with everyone's access to it, somewhere else: like deleting, it needs admin
+    // access to the folder itself. `req.permissions.folder` holds the permission on the new parent by now.
+    const moving = ['parentId', 'workspaceId'].some(key => value[key] !== undefined && value[key] !== folder[key]);
+    if (moving) {
+      const { permission } = await getPermission(userId, 'folder', id);
+      if (!hasPermission(permission, Roles.ADMIN)) {
+        return res.status(403).json({ error: 'Forbidden: moving a folder requires admin permission on it' });
+      }
+    }
+    if (value.parentId && value.parentId !== folder.parentId) {
+      // A chain cut off at MAX_FOLDER_DEPTH could hide the folder further up, so it is refused as well.
+      const newAncestors = await getFolderChain(value.parentId);
+      if (newAncestors.some(ancestor => ancestor.id === id) || newAncestors.length >= MAX_FOLDER_DEPTH) {
+        return res.status(400).json({ error: 'A folder cannot be moved into itself or one of its subfolders' });
+      }
     }
 
-    const updatedFolder = await prisma.folder.update({
+    // Moving the folder to another workspace moves the storage of its files too.
+    const moved = await moveFolderStorage(folder, value, tx => tx.folder.update({
       where: { id },
       data: value,
-    });
+    }));
+    if (moved.error) {
+      return res.status(413).json({ error: moved.error, scope: moved.scope, reason: 'quota_exceeded' });
+    }
+    const updatedFolder = moved.result;
 
     logger.info(`Folder updated: ${updatedFolder.name} by user ${userId}`);
     res.json(updatedFolder);
@@ -198,16 +189,12 @@ const deleteFolder = async (req, res, next) => {
     const userId = req.auth?.userId;
     if (!userId) return res.status(401).json({ error: 'Unauthorized' });
 
-    // Verify user is the owner of the folder
+    // Admin access to the folder is enforced by the `authorize` middleware.
     const existingFolder = await prisma.folder.findUnique({
       where: { id },
-      select: { ownerId: true, files: { select: { id: true } }, shares: { select: { id: true } } },
+      select: { files: { select: { id: true } }, shares: { select: { id: true } } },
     });
 
-    if (!existingFolder || existingFolder.ownerId !== userId) {
-      return res.status(403).json({ error: 'Unauthorized to delete this folder' });
-    }
-
     // Prevent deletion if folder contains files or shares
     if (existingFolder.files.length > 0 || existingFolder.shares.length > 0) {
       return res.status(400).json({ error: 'Folder contains files or shares and cannot be deleted' });
@@ -0,0 +1,194 @@
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+const { getFolderChain } = require('../services/authorizationService');
+const { isFileAvailable } = require('../services/fileExpiryService');
+const {
+  WRAP_ALGORITHM,
+  inspectPublicKey,
+  getActivePublicKey,
+  isWrappedFor,
+  serializePublicKey,
+} = require('../services/keyService');
+const {
+  validate,
+  registerPublicKeySchema,
+  publicKeyLookupSchema,
+  uploadFileKeysSchema,
+} = require('../utils/validation');
+
+// Registers the caller's public key. A new key retires the previous one; re-sending the active key is a no-op.
+const registerPublicKey = async (req, res, next) => {
+  try {
+    const { value, errors } = validate(req.body, registerPublicKeySchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const { publicKey, algorithm } = value;
+    const inspected = inspectPublicKey(publicKey);
+    if (inspected.error) {
+      return res.status(400).json({ error: inspected.error });
+    }
+
+    const current = await getActivePublicKey(userId);
+    if (current && current.fingerprint === inspected.fingerprint) {
+      return res.json(serializePublicKey(current));
+    }
+
+    const created = await prisma.$transaction(async (tx) => {
+      await tx.publicKey.updateMany({ where: { userId, revokedAt: null }, data: { revokedAt: new Date() } });
+      return tx.publicKey.create({
+        data: { userId, algorithm, publicKey, fingerprint: inspected.fingerprint },
+      });
+    });
+
+    logger.info(`Public key ${created.id} registered by user ${userId}`);
+    res.status(201).json(serializePublicKey(created));
+  } catch (err) {
+    logger.error('registerPublicKey failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Returns someone's active public key (by email or user ID) so a sharer can wrap a file key for them.
+const getPublicKey = async (req, res, next) => {
+  try {
+    const { value, errors } = validate(req.query, publicKeyLookupSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const user = await prisma.user.findUnique({
+      where: value.email ? { email: value.email } : { id: value.userId },
+      select: { id: true },
+    });
+    const publicKey = user && await getActivePublicKey(user.id);
+    if (!publicKey) {
+      return res.status(404).json({ error: 'No public key registered for this user' });
+    }
+
+    res.json(serializePublicKey(publicKey));
+  } catch (err) {
+    logger.error('getPublicKey failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// True if the share grants access to the file, directly or through a shared ancestor folder.
+const shareCoversFile = async (share, file) => {
+  if (share.fileId) return share.fileId === file.id;
+  const chain = await getFolderChain(file.folderId);
+  return chain.some(folder => folder.id === share.folderId);
+};
+
+/**
+ * Stores the file's key wrapped for one or more recipients. Each wrapped key must be made for the recipient's
+ * current public key; uploading again for the same recipient and public key replaces the previous one.
+ * Edit access to the file is verified by the `authorize` middleware.
+ */
+const uploadFileKeys = async (req, res, next) => {
+  try {
+    const { id: fileId } = req.params;
+    const { value, errors } = validate(req.body, uploadFileKeysSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const file = await prisma.file.findUnique({ where: { id: fileId }, select: { id: true, folderId: true } });
+
+    const publicKeys = await prisma.publicKey.findMany({
+      where: { id: { in: value.keys.map(key => key.publicKeyId) }, revokedAt: null },
+    });
+    const publicKeysById = new Map(publicKeys.map(publicKey => [publicKey.id, publicKey]));
+
+    for (const [index, entry] of value.keys.entries()) {
+      const publicKey = publicKeysById.get(entry.publicKeyId);
+      if (!publicKey || publicKey.userId !== entry.recipientId) {
+        return res.status(400).json({ error: `keys[${index}]: not the recipient's current public key` });
+      }
+      if (!isWrappedFor(entry.wrappedKey, publicKey)) {
+        return res.status(400).json({ error: `keys[${index}]: wrappedKey is not an ${WRAP_ALGORITHM} ciphertext for this public key` });
+      }
+      if (entry.shareId) {
+        const share = await prisma.share.findUnique({ where: { id: entry.shareId } });
+        if (!share || share.revokedAt || !(await shareCoversFile(share, file))) {
+          return res.status(400).json({ error: `keys[${index}]: share does not cover this file` });
+        }
+      }
+    }
+
+    const keys = await prisma.$transaction(value.keys.map(entry =>
+      prisma.key.upsert({
+        where: {
+          fileId_recipientId_publicKeyId: { fileId, recipientId: entry.recipientId, publicKeyId: entry.publicKeyId },
+        },
+        create: {
+          encryptedAesKey: entry.wrappedKey,
+          algorithm: WRAP_ALGORITHM,
+          ownerId: userId,
+          recipientId: entry.recipientId,
+          publicKeyId: entry.publicKeyId,
+          shareId: entry.shareId || null,
+          fileId,
+        },
+        update: {
+          encryptedAesKey: entry.wrappedKey,
+          ownerId: userId,
+          shareId: entry.shareId || null,
+        },
+        select: { id: true, recipientId: true, publicKeyId: true, shareId: true, createdAt: true },
+      })
+    ));
+
+    logger.info(`${keys.length} wrapped key(s) stored for file ${fileId} by user ${userId}`);
+    res.status(201).json({ keys });
+  } catch (err) {
+    logger.error('uploadFileKeys failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+/**
+ * Returns the file key wrapped for the caller, preferring the one made for their current public key.
+ * Read access to the file is verified by the `authorize` middleware.
+ */
+const getFileKey = async (req, res, next) => {
+  try {
+    const { id: fileId } = req.params;
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const keys = await prisma.key.findMany({
+      where: { fileId, recipientId: userId },
+      include: { publicKey: { select: { fingerprint: true, revokedAt: true } } },
+      orderBy: { createdAt: 'desc' },
+    });
+    const key = keys.find(candidate => candidate.publicKey && !candidate.publicKey.revokedAt) || keys[0];
+    if (!key) {
+      return res.status(404).json({ error: 'No key has been shared with you for this file' });
+    }
+
+    const file = await prisma.file.findUnique({
+      where: { id: fileId },
+      select: { encryptedKeyMetadata: true, expiry: true, deletedAt: true },
+    });
+    if (!isFileAvailable(file)) {
+      return res.status(410).json({ error: 'File has expired' });
+    }
+
+    res.json({
+      fileId,
+      wrappedKey: key.encryptedAesKey,
+      algorithm: key.algorithm,
+      publicKeyId: key.publicKeyId,
+      fingerprint: key.publicKey?.fingerprint || null,
+      encryptedKeyMetadata: file.encryptedKeyMetadata,
+      createdAt: key.createdAt,
+    });
+  } catch (err) {
+    logger.error('getFileKey failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+module.exports = { registerPublicKey, getPublicKey, uploadFileKeys, getFileKey };
@@ -6,8 +6,152 @@
 
 const prisma = require('../utils/prisma');
 const logger = require('../utils/logger');
-const { validate, createShareSchema, getShareSchema } = require('../utils/validation');
+const {
+  validate,
+  createShareSchema,
+  getShareSchema,
+  shareDownloadSchema,
+  listSharesSchema,
+  updateShareSchema,
+  regenerateOtpSchema,
+  shareQrSchema,
+  addShareKeysSchema,
+} = require('../utils/validation');
+const { getPresignedDownloadUrl } = require('../services/storageService');
+const { checkAttemptAllowed, recordFailedAttempt, recordSuccessfulAttempt } = require('../services/shareAttemptService');
+const {
+  issueOtp,
+  getOtpUnavailableReason,
+  consumeOtp,
+  isUseLimitReached,
+  claimUse,
+  signAccessGrant,
+  verifyAccessGrant,
+  getShareUrl,
+} = require('../services/shareAccessService');
+const { claimFileDownload } = require('../services/downloadLimitService');
+const { isFileAvailable, availableFileWhere } = require('../services/fileExpiryService');
+const { queueMail } = require('../services/mailService');
+const {
+  PASSWORD_WRAP_ALGORITHM,
+  isKeyWrapCiphertext,
+  verifierMatches,
+  getVerifierParams,
+  getKeyDerivationParams,
+  toShareKdfFields,
+} = require('../services/passwordKeyService');
+const { publish } = require('../services/eventBus');
 const bcrypt = require('bcrypt');
+const QRCode = require('qrcode');
+
+// bcrypt cost for share passwords.
+const PASSWORD_SALT_ROUNDS = 10;
+
+// Returns true if `folderId` is the shared folder itself or one of its descendants.
+const isWithinFolder = async (folderId, sharedFolderId) => {
+  const visited = new Set();
+  let currentId = folderId;
+  while (currentId && !visited.has(currentId)) {
+    if (currentId === sharedFolderId) return true;
+    visited.add(currentId);
+    const folder = await prisma.folder.findUnique({
+      where: { id: currentId },
+      select: { parentId: true },
+    });
+    currentId = folder?.parentId;
+  }
+  return false;
+};
+
+// Checks password-wrapped keys before they are stored. Returns an error message, or null if all are valid.
+const findInvalidWrappedKey = async (share, keys) => {
+  for (const [index, entry] of keys.entries()) {
+    if (!isKeyWrapCiphertext(entry.wrappedKey)) {
+      return `keys[${index}]: wrappedKey is not an ${PASSWORD_WRAP_ALGORITHM} ciphertext of an AES key`;
+    }
+    if (share.fileId) {
+      if (entry.fileId !== share.fileId) return `keys[${index}]: file is not part of this share`;
+      continue;
+    }
+    const file = await prisma.file.findUnique({ where: { id: entry.fileId }, select: { folderId: true } });
+    if (!file || !(await isWithinFolder(file.folderId, share.folderId))) {
+      return `keys[${index}]: file is not part of this share`;
+    }
+  }
+  return null;
+};
+
+// Stores keys wrapped with the share's password-derived key, replacing any earlier key for the same file.
+const storeWrappedKeys = async (client, share, keys, userId) => {
+  await client.key.deleteMany({
+    where: { shareId: share.id, recipientId: null, fileId: { in: keys.map(entry => entry.fileId) } },
+  });
+  await client.key.createMany({
+    data: keys.map(entry => ({
+      encryptedAesKey: entry.wrappedKey,
+      algorithm: PASSWORD_WRAP_ALGORITHM,
+      ownerId: userId,
+      shareId: share.id,
+      fileId: entry.fileId,
+    })),
+  });
+};
+
+const getShareStatus = (share, now = new Date()) => {
+  if (share.revokedAt) return 'revoked';
+  if (share.expiry && share.expiry < now) return 'expired';
+  if (share.lockedAt) return 'locked';
+  if (share.maxUses !== null && share.useCount >= share.maxUses) return 'exhausted';
+  return 'active';
+};
+
+// A share as its creator sees it: settings, state and access counts, but never the password/OTP/verifier hashes.
+const serializeShare = (share) => ({
+  id: share.id,
+  shareToken: share.shareToken,
+  accessType: share.accessType,
+  status: getShareStatus(share),
+  fileId: share.fileId,
+  folderId: share.folderId,
+  file: share.file,
+  folder: share.folder,
+  recipientEmail: share.recipientEmail,
+  hasPassword: Boolean(share.password),
+  expiry: share.expiry,
+  otpExpiresAt: share.otpExpiresAt,
+  maxUses: share.maxUses,
+  accessCount: share.useCount,
+  maxDownloads: share.maxDownloads,
+  downloadCount: share.downloadCount,
+  burnOnLimit: share.burnOnLimit,
+  lastAccessedAt: share.lastAccessedAt,
+  lockedAt: share.lockedAt,
+  revokedAt: share.revokedAt,
+  createdAt: share.createdAt,
+  updatedAt: share.updatedAt,
+});
+
+// Queues an email about a share to its recipientEmail, with the share link and, if given, a freshly issued OTP.
+const sendShareMail = async (share, template, issuedOtp) => {
+  const [creator, item] = await Promise.all([
+    prisma.user.findUnique({ where: { id: share.creatorId }, select: { email: true } }),
+    share.fileId
+      ? prisma.file.findUnique({ where: { id: share.fileId }, select: { fileName: true } })
+      : prisma.folder.findUnique({ where: { id: share.folderId }, select: { name: true } }),
+  ]);
+  await queueMail({
+    to: share.recipientEmail,
+    template,
+    data: {
+      senderEmail: creator?.email,
+      itemName: item?.fileName || item?.name,
+      shareUrl: getShareUrl(share),
+      otp: issuedOtp?.otp,
+      otpExpiresAt: issuedOtp?.data.otpExpiresAt.toISOString(),
+      expiry: share.expiry?.toISOString(),
+    },
+  });
+};
 
 const createShare = async (req, res, next) => {
   try {
@@ -17,7 +161,20 @@ const createShare = async (req, res, next) => {
     const userId = req.auth?.userId;
     if (!userId) return res.status(401).json({ error: 'Unauthorized' });
 
-    const { fileId, folderId, accessType, password, otp, expiry, recipientEmail } = value;
+    const {
+      fileId,
+      folderId,
+      accessType,
+      password,
+      passwordKey,
+      otpTtlMinutes,
+      emailOtp,
+      maxUses,
+      maxDownloads,
+      burnOnLimit,
+      expiry,
+      recipientEmail,
+    } = value;
 
     if (!fileId && !folderId) {
       return res.status(400).json({ error: 'Either fileId or folderId must be provided' });
@@ -26,128 +183,583 @@ const createShare = async (req, res, next) => {
       return res.status(400).json({ error: 'Cannot share both a file and a folder in one request' });
     } 
 
-    // Block ensures that a user cannot create a share link for a file or folder that they do not own.
-    if (fileId) {
-      const file = await prisma.file.findUnique({ where: { id: fileId } });
-      if (!file || file.ownerId !== userId) {
-        return res.status(403).json({ error: 'Unauthorized to share this file' });
-      }
-    } else if (folderId) {
-      const folder = await prisma.folder.findUnique({ where: { id: folderId } });
-      if (!folder || folder.ownerId !== userId) {
-        return res.status(403).json({ error: 'Unauthorized to share this folder' });
-      }
+    if (passwordKey) {
+      const invalid = await findInvalidWrappedKey({ fileId, folderId }, passwordKey.keys);
+      if (invalid) return res.status(400).json({ error: invalid });
     }
 
-// This block securely hashes the password using bcrypt's one-way algorithm.
-// It automatically generates a unique "salt" (random data) for each password.
-// This salting ensures two identical passwords result in different final hashes.
-// The `saltRounds` (e.g., 10) makes the process intentionally slow to resist attacks.
-// `await` is used because this is a computationally intensive, asynchronous operation.
-    const saltRounds = 5; 
+    // Edit access to the shared file or folder is enforced by the `authorize` middleware.
 
-    let hashedPassword = null;
-    if (password) {
-      // Use the constant defined above.
-      hashedPassword = await bcrypt.hash(password, saltRounds);
-    }
-
-    let hashedOtp = null;
-    if (otp) {
-      // Use the same constant here as well.
-      hashedOtp = await bcrypt.hash(otp, saltRounds);
-    }
+    let hashedPassword = null;
+    if (password) {
+      hashedPassword = await bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+    }
 
+    // OTP shares get a generated, time-boxed code; its plaintext is only in this response.
+    const issuedOtp = accessType === 'OTP' ? await issueOtp(otpTtlMinutes) : null;
 
     const shareToken = require('crypto').randomBytes(16).toString('hex'); // Generate a random token
 
-    const share = await prisma.share.create({
+    const share = await prisma.$transaction(async (tx) => {
+      const created = await tx.share.create({
+        data: {
+          fileId,
+          folderId,
+          creatorId: userId,
+          shareToken,
+          accessType,
+          password: hashedPassword,
+          ...(issuedOtp ? { ...issuedOtp.data, otpTtlMinutes: otpTtlMinutes || null } : {}),
+          ...(passwordKey ? toShareKdfFields(passwordKey) : {}),
+          maxUses,
+          maxDownloads,
+          burnOnLimit,
+          expiry,
+          recipientEmail,
+        },
+      });
+      if (passwordKey) {
+        await storeWrappedKeys(tx, created, passwordKey.keys, userId);
+      }
+      return created;
+    });
+
+    // The share token is a credential, so it is never part of the activity feed.
+    const activity = await prisma.activity.create({
       data: {
-        fileId,
-        folderId,
-        creatorId: userId,
-        shareToken,
-        accessType,
-        password: hashedPassword,
-        otp: hashedOtp,
-        expiry,
-        recipientEmail,
+        type: 'SHARE_CREATED',
+        message: `Share created (${accessType})`,
+        userId,
+        fileId: fileId || null,
+        folderId: folderId || null,
+        metadata: { shareId: share.id, accessType, expiry: expiry || null, recipientEmail: recipientEmail || null },
       },
     });
+    publish('share:created', activity, { userIds: [userId], fileId, folderId });
+
+    if (recipientEmail) {
+      await sendShareMail(share, 'share-invite', emailOtp ? issuedOtp : null);
+    }
 
     logger.info(`Share created: ${share.id} for user ${userId}`);
-    res.status(201).json(share);
+    res.status(201).json({ ...serializeShare(share), otp: issuedOtp?.otp });
   } catch (err) {
     logger.error('createShare failed: %s', err.message, { stack: err.stack });
     next(err);
   }
 };
 
+// Filters of the share list; `status` matches getShareStatus for active/expired/revoked.
+const buildShareFilter = ({ fileId, folderId, status, expiresAfter, expiresBefore }, now = new Date()) => {
+  const where = {};
+  if (fileId) where.fileId = fileId;
+  if (folderId) where.folderId = folderId;
+  if (expiresAfter || expiresBefore) {
+    where.expiry = { ...(expiresAfter && { gte: expiresAfter }), ...(expiresBefore && { lte: expiresBefore }) };
+  }
+
+  const and = [];
+  if (status === 'revoked') {
+    and.push({ revokedAt: { not: null } });
+  } else if (status === 'expired') {
+    and.push({ revokedAt: null }, { expiry: { lt: now } });
+  } else if (status === 'active') {
+    and.push({ revokedAt: null }, { OR: [{ expiry: null }, { expiry: { gte: now } }] });
+  }
+  if (and.length) where.AND = and;
+  return where;
+};
+
+// Lists the shares the caller created (newest first, paginated).
+const listShares = async (req, res, next) => {
+  try {
+    const { value, errors } = validate(req.query, listSharesSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const { page, limit } = value;
+    const where = { creatorId: userId, ...buildShareFilter(value) };
+
+    const [total, shares] = await prisma.$transaction([
+      prisma.share.count({ where }),
+      prisma.share.findMany({
+        where,
+        include: {
+          file: { select: { id: true, fileName: true } },
+          folder: { select: { id: true, name: true } },
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+    ]);
+
+    res.json({ shares: shares.map(serializeShare), page, limit, total });
+  } catch (err) {
+    logger.error('listShares failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+/**
+ * Changes a share's expiry, password (PASSWORD shares) or recipient. A new recipient gets an invite email.
+ * Management rights are verified by the `authorize` middleware.
+ */
+const updateShare = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { value, errors } = validate(req.body, updateShareSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const existing = await prisma.share.findUnique({ where: { id } });
+    if (!existing) return res.status(404).json({ error: 'Share not found' });
+    if (existing.revokedAt) {
+      return res.status(409).json({ error: 'Share has been revoked' });
+    }
+    if (value.password && existing.accessType !== 'PASSWORD') {
+      return res.status(400).json({ error: 'Only PASSWORD shares have a password to change' });
+    }
+
+    const data = {};
+    if (value.expiry !== undefined) data.expiry = value.expiry;
+    if (value.recipientEmail !== undefined) data.recipientEmail = value.recipientEmail;
+    if (value.password) {
+      // Guesses at the old password no longer count against the share.
+      const password = await bcrypt.hash(value.password, PASSWORD_SALT_ROUNDS);
+      Object.assign(data, { password, failedAttempts: 0, blockedUntil: null });
+    }
+    const changed = ['expiry', 'password', 'recipientEmail'].filter(field => value[field] !== undefined);
+
+    const { share, activity } = await prisma.$transaction(async (tx) => {
+      const updated = await tx.share.update({
+        where: { id },
+        data,
+        include: {
+          file: { select: { id: true, fileName: true } },
+          folder: { select: { id: true, name: true } },
+        },
+      });
+      const created = await tx.activity.create({
+        data: {
+          type: 'SHARE_UPDATED',
+          message: `Share updated (${changed.join(', ')})`,
+          userId,
+          fileId: updated.fileId,
+          folderId: updated.folderId,
+          metadata: {
+            shareId: id,
+            changed,
+            expiry: updated.expiry,
+            recipientEmail: updated.recipientEmail,
+          },
+        },
+      });
+      return { share: updated, activity: created };
+    });
+    publish('share:updated', activity, {
+      userIds: [userId, share.creatorId],
+      fileId: share.fileId,
+      folderId: share.folderId,
+    });
+
+    if (share.recipientEmail && share.recipientEmail !== existing.recipientEmail) {
+      await sendShareMail(share, 'share-invite', null);
+    }
+
+    logger.info(`Share ${id} updated by user ${userId}: ${changed.join(', ')}`);
+    res.json(serializeShare(share));
+  } catch (err) {
+    logger.error('updateShare failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Fields of a shared file that are safe to expose to anonymous recipients.
+// The s3Key is deliberately omitted: downloads go through a short-lived presigned URL instead.
+const publicFileSelect = {
+  id: true,
+  fileName: true,
+  mimeType: true,
+  size: true,
+  isEncrypted: true,
+  encryptedKeyMetadata: true,
+  expiry: true,
+};
+
+// How each protected access type checks the secret a recipient presents.
+const secretChecks = {
+  PASSWORD: {
+    error: 'Invalid password',
+    isProtected: share => Boolean(share.password),
+    presented: query => query.password,
+    matches: (share, query) => bcrypt.compare(query.password, share.password),
+  },
+  OTP: {
+    error: 'Invalid OTP',
+    isProtected: share => Boolean(share.otp),
+    unavailable: share => getOtpUnavailableReason(share),
+    presented: query => query.otp,
+    matches: (share, query) => bcrypt.compare(query.otp, share.otp),
+    consume: share => consumeOtp(share),
+  },
+  PASSWORD_KEY: {
+    error: 'Invalid password',
+    isProtected: () => true,
+    presented: query => query.verifier,
+    matches: async (share, query) => verifierMatches(share, query.verifier),
+  },
+};
+
+// Checks the share's password/OTP/verifier, subject to brute-force backoff. Only a wrong secret counts as a
+// failed attempt; a missing one just gets the 401 (with the verifier's KDF parameters for PASSWORD_KEY shares,
+// so the client can derive it from the password). Returns null if access is granted.
+const checkShareSecret = async (share, query, ipAddress) => {
+  const check = secretChecks[share.accessType];
+  if (!check || !check.isProtected(share)) return null;
+
+  const blocked = await checkAttemptAllowed(share, ipAddress);
+  if (blocked) return blocked;
+
+  const unavailable = check.unavailable?.(share);
+  if (unavailable) return { status: 401, error: unavailable };
+
+  const denied = {
+    status: 401,
+    error: check.error,
+    kdf: share.accessType === 'PASSWORD_KEY' ? getVerifierParams(share) : undefined,
+  };
+  if (!check.presented(query)) return denied;
+  if (!(await check.matches(share, query))) {
+    await recordFailedAttempt(share, ipAddress);
+    return denied;
+  }
+
+  await recordSuccessfulAttempt(share);
+  // Single-use secrets: a concurrent request may have used it between the check and now.
+  if (check.consume && !(await check.consume(share))) {
+    return { status: 401, error: 'OTP already used' };
+  }
+  return null;
+};
+
+// Loads a share by its token and enforces every access rule (existence/revocation, expiry, lockout/backoff,
+// password/OTP/verifier, usage limit). A valid access grant stands in for the secret and is not another use.
+// Returns { share, opened } when access is granted (`opened` if this request counted as a use), or
+// { status, error, kdf?, retryAfter? } describing why it was denied.
+const resolveShareAccess = async (shareToken, { password, otp, verifier, grant } = {}, ipAddress) => {
+  const share = await prisma.share.findUnique({
+    where: { shareToken },
+    include: {
+      file: { select: { ...publicFileSelect, deletedAt: true } },
+      folder: {
+        select: {
+          id: true,
+          name: true,
+          files: { where: availableFileWhere(), select: publicFileSelect },
+          children: { select: { id: true, name: true } },
+        },
+      },
+      keys: {
+        where: { recipientId: null, algorithm: PASSWORD_WRAP_ALGORITHM },
+        select: { fileId: true, encryptedAesKey: true, algorithm: true },
+      },
+    },
+  });
+
+  if (!share) {
+    return { status: 404, error: 'Share not found' };
+  }
+  if (share.revokedAt) {
+    return { status: 410, error: 'Share has been revoked' };
+  }
+
+  // Check expiry
+  if (share.expiry && new Date(share.expiry) < new Date()) {
+    return { status: 410, error: 'Share link expired' };
+  }
+  if (share.file && !isFileAvailable(share.file)) {
+    return { status: 410, error: 'Shared file has expired' };
+  }
+
+  if (verifyAccessGrant(grant, share)) {
+    return { share, opened: false };
+  }
+
+  const usageExhausted = { status: 410, error: 'Share usage limit reached' };
+  if (isUseLimitReached(share)) return usageExhausted;
+
+  const denial = await checkShareSecret(share, { password, otp, verifier }, ipAddress);
+  if (denial) return denial;
+
+  if (!(await claimUse(share))) return usageExhausted;
+  return { share, opened: true };
+};
+
+// Sends a denial from resolveShareAccess, with Retry-After while the share or client is in backoff.
+const sendDenial = (res, { status, error, kdf, retryAfter }) => {
+  if (retryAfter) res.set('Retry-After', String(retryAfter));
+  return res.status(status).json({ error, kdf, retryAfter });
+};
+
+// Converts BigInt sizes to strings for JSON serialization.
+const serializeFile = ({ deletedAt: _deletedAt, ...file }) => ({ ...file, size: file.size.toString() });
+
+// Builds the response sent to share recipients. Secrets (password/OTP/verifier hashes),
+// storage keys and the creator's email never leave the server. PASSWORD_KEY shares also carry the wrapped
+// file keys and how to derive the key that unwraps them; callers only build this once access is granted.
+const toPublicShare = (share) => ({
+  id: share.id,
+  shareToken: share.shareToken,
+  accessType: share.accessType,
+  expiry: share.expiry,
+  createdAt: share.createdAt,
+  file: share.file ? serializeFile(share.file) : null,
+  folder: share.folder
+    ? { ...share.folder, files: share.folder.files.map(serializeFile) }
+    : null,
+  ...(share.accessType === 'PASSWORD_KEY' && {
+    keyDerivation: getKeyDerivationParams(share),
+    wrappedKeys: share.keys.map(key => ({ fileId: key.fileId, wrappedKey: key.encryptedAesKey, algorithm: key.algorithm })),
+  }),
+});
+
 const getShareDetails = async (req, res, next) => {
   try {
     const { shareToken } = req.params;
     const { value, errors } = validate(req.query, getShareSchema); // For OTP or password validation
     if (errors) return res.status(400).json({ errors });
 
-    const share = await prisma.share.findUnique({
-      where: { shareToken },
-      include: {
-        file: { select: { id: true, fileName: true, mimeType: true, size: true, s3Key: true, isEncrypted: true, encryptedKeyMetadata: true } },
-        folder: { select: { id: true, name: true, ownerId: true } },
-        creator: { select: { id: true, email: true } },
-      },
-    });
+    const { share, opened, ...denial } = await resolveShareAccess(shareToken, value, req.ip);
+    if (!share) return sendDenial(res, denial);
 
-    if (!share) {
-      return res.status(404).json({ error: 'Share not found' });
-    }
+    // The grant lets the recipient download without the (possibly single-use) secret.
+    res.json({ ...toPublicShare(share), accessGrant: opened ? signAccessGrant(share) : undefined });
+  } catch (err) {
+    logger.error('getShareDetails failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
 
-    // Check expiry
-    if (share.expiry && new Date(share.expiry) < new Date()) {
-      return res.status(410).json({ error: 'Share link expired' });
-    }
+// Controller to issue a temporary download link to a share recipient.
+// For folder shares, `fileId` selects any file inside the shared folder (including sub-folders).
+const downloadShare = async (req, res, next) => {
+  try {
+    const { shareToken } = req.params;
+    const { value, errors } = validate(req.query, shareDownloadSchema);
+    if (errors) return res.status(400).json({ errors });
 
-    // Check password/OTP if required
-    if (share.accessType === 'PASSWORD' && share.password) {
-      if (!value.password || !(await bcrypt.compare(value.password, share.password))) {
-        return res.status(401).json({ error: 'Invalid password' });
+    const { share, ...denial } = await resolveShareAccess(shareToken, value, req.ip);
+    if (!share) return sendDenial(res, denial);
+
+    let file;
+    if (share.fileId) {
+      if (value.fileId && value.fileId !== share.fileId) {
+        return res.status(404).json({ error: 'File not found in this share' });
+      }
+      file = await prisma.file.findUnique({ where: { id: share.fileId } });
+    } else {
+      if (!value.fileId) {
+        return res.status(400).json({ error: 'fileId is required for folder shares' });
       }
-    } else if (share.accessType === 'OTP' && share.otp) {
-      if (!value.otp || !(await bcrypt.compare(value.otp, share.otp))) {
-        return res.status(401).json({ error: 'Invalid OTP' });
+      file = await prisma.file.findUnique({ where: { id: value.fileId } });
+      if (file && !(await isWithinFolder(file.folderId, share.folderId))) {
+        file = null;
       }
     }
 
-    // Convert BigInt to String for JSON serialization if file data is included
-    if (share.file && typeof share.file.size === 'bigint') {
-      share.file.size = share.file.size.toString();
+    if (!file) {
+      return res.status(404).json({ error: 'File not found in this share' });
+    }
+    if (!isFileAvailable(file)) {
+      return res.status(410).json({ error: 'File has expired' });
+    }
+
+    // Counts against the share's and the file's download limits; the last allowed download deletes the file.
+    const claim = await claimFileDownload(file, share);
+    if (claim.error) {
+      return res.status(410).json({ error: claim.error });
     }
 
-    res.json(share);
+    const { url: downloadUrl, expiresIn } = await getPresignedDownloadUrl({ key: file.s3Key, expiresIn: 300 });
+    res.locals.accessLog = { fileId: file.id, bytesServed: file.size };
+
+    logger.info(`Share download issued: share ${share.id}, file ${file.id}`);
+    return res.json({ downloadUrl, expiresIn, fileName: file.fileName });
   } catch (err) {
-    logger.error('getShareDetails failed: %s', err.message, { stack: err.stack });
+    logger.error('downloadShare failed: %s', err.message, { stack: err.stack });
     next(err);
   }
 };
 
-const revokeShare = async (req, res, next) => {
+// Replaces an OTP share's code with a fresh one, valid for the share's OTP window. This also lifts a lockout
+// caused by failed attempts, since those were guesses at the old code. Management rights are verified by `authorize`.
+const regenerateOtp = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const { value, errors } = validate(req.body || {}, regenerateOtpSchema);
+    if (errors) return res.status(400).json({ errors });
+
     const userId = req.auth?.userId;
     if (!userId) return res.status(401).json({ error: 'Unauthorized' });
 
-    // Verify user is the creator of the share
-    const existingShare = await prisma.share.findUnique({
+    const share = await prisma.share.findUnique({ where: { id } });
+    if (!share) return res.status(404).json({ error: 'Share not found' });
+    if (share.revokedAt) {
+      return res.status(409).json({ error: 'Share has been revoked' });
+    }
+    if (share.accessType !== 'OTP') {
+      return res.status(400).json({ error: 'Only OTP shares have a one-time password' });
+    }
+    if (value.emailOtp && !share.recipientEmail) {
+      return res.status(400).json({ error: 'This share has no recipientEmail to send the code to' });
+    }
+
+    const issuedOtp = await issueOtp(share.otpTtlMinutes);
+    const { otp, data } = issuedOtp;
+    await prisma.share.update({
       where: { id },
-      select: { creatorId: true },
+      data: { ...data, failedAttempts: 0, blockedUntil: null, lockedAt: null },
     });
+    if (value.emailOtp) {
+      await sendShareMail(share, 'share-otp', issuedOtp);
+    }
 
-    if (!existingShare || existingShare.creatorId !== userId) {
-      return res.status(403).json({ error: 'Unauthorized to revoke this share' });
+    logger.info(`OTP regenerated for share ${id} by user ${userId}`);
+    res.json({ otp, otpExpiresAt: data.otpExpiresAt });
+  } catch (err) {
+    logger.error('regenerateOtp failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+/**
+ * Renders the share link as a QR code (PNG or SVG), locally. Only the share's creator may fetch it.
+ * With `includeOtp`, an OTP share gets a new code that is put in the URL fragment, so one scan opens the file;
+ * the fragment never reaches a server. Issuing the code revokes the previous one, which may already have been sent
+ * to the recipient, so while that one is still usable the caller must confirm with `regenerate`.
+ * X-Otp-Revoked tells whether a usable code was revoked.
+ */
+const getShareQr = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { value, errors } = validate(req.query, shareQrSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const share = await prisma.share.findUnique({ where: { id } });
+    if (!share) return res.status(404).json({ error: 'Share not found' });
+    if (share.creatorId !== userId) {
+      return res.status(403).json({ error: 'Only the creator of a share can get its QR code' });
+    }
+    if (share.revokedAt) {
+      return res.status(409).json({ error: 'Share has been revoked' });
+    }
+    if (value.includeOtp && share.accessType !== 'OTP') {
+      return res.status(400).json({ error: 'includeOtp is only available for OTP shares' });
+    }
+    const revokesOtp = Boolean(value.includeOtp && share.otp && !getOtpUnavailableReason(share));
+    if (revokesOtp && !value.regenerate) {
+      return res.status(409).json({
+        error: 'The share has an unused OTP that a new code would revoke; pass regenerate=true to replace it',
+      });
     }
 
-    await prisma.share.delete({
-      where: { id },
+    let url = getShareUrl(share);
+    if (value.includeOtp) {
+      const { otp, data } = await issueOtp(share.otpTtlMinutes);
+      await prisma.share.update({ where: { id }, data });
+      url += `#otp=${otp}`;
+      res.set({ 'X-Otp-Expires-At': data.otpExpiresAt.toISOString(), 'X-Otp-Revoked': String(revokesOtp) });
+      if (revokesOtp) logger.info(`OTP of share ${id} replaced for a QR code by user ${userId}`);
+    }
+
+    const options = { errorCorrectionLevel: value.errorCorrection, width: value.size, margin: value.margin };
+    // The code may carry a credential, so it must not be cached anywhere.
+    res.set('Cache-Control', 'no-store');
+    if (value.format === 'svg') {
+      res.type('image/svg+xml').send(await QRCode.toString(url, { ...options, type: 'svg' }));
+    } else {
+      res.type('png').send(await QRCode.toBuffer(url, { ...options, type: 'png' }));
+    }
+  } catch (err) {
+    logger.error('getShareQr failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Adds password-wrapped keys to a PASSWORD_KEY share, e.g. for files uploaded to a shared folder later.
+// The caller's client must know the share password to produce them; management rights are verified by `authorize`.
+const addShareKeys = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { value, errors } = validate(req.body, addShareKeysSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const share = await prisma.share.findUnique({ where: { id } });
+    if (!share) return res.status(404).json({ error: 'Share not found' });
+    if (share.revokedAt) {
+      return res.status(409).json({ error: 'Share has been revoked' });
+    }
+    if (share.accessType !== 'PASSWORD_KEY') {
+      return res.status(400).json({ error: 'Only PASSWORD_KEY shares hold password-wrapped keys' });
+    }
+
+    const invalid = await findInvalidWrappedKey(share, value.keys);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    await prisma.$transaction(tx => storeWrappedKeys(tx, share, value.keys, userId));
+
+    logger.info(`${value.keys.length} password-wrapped key(s) added to share ${id} by user ${userId}`);
+    res.status(201).json({ fileIds: value.keys.map(entry => entry.fileId) });
+  } catch (err) {
+    logger.error('addShareKeys failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Revokes a share. The row is kept for the creator's history; the file keys wrapped for it are deleted.
+// Revoking an already revoked share is a no-op.
+const revokeShare = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    // The creator, or an admin of the shared file/folder, is verified by the `authorize` middleware.
+    const revoked = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.share.updateMany({ where: { id, revokedAt: null }, data: { revokedAt: new Date() } });
+      if (!count) return null;
+      await tx.key.deleteMany({ where: { shareId: id } });
+      const share = await tx.share.findUnique({ where: { id } });
+      const activity = await tx.activity.create({
+        data: {
+          type: 'SHARE_REVOKED',
+          message: `Share revoked (${share.accessType})`,
+          userId,
+          fileId: share.fileId,
+          folderId: share.folderId,
+          metadata: { shareId: share.id, accessType: share.accessType },
+        },
+      });
+      return { share, activity };
+    });
+    if (!revoked) return res.status(204).send();
+
+    const { share, activity } = revoked;
+    publish('share:revoked', activity, {
+      userIds: [userId, share.creatorId],
+      fileId: share.fileId,
+      folderId: share.folderId,
     });
 
     logger.info(`Share revoked: ${id} by user ${userId}`);
@@ -158,4 +770,14 @@ const revokeShare = async (req, res, next) => {
   }
 };
 
-module.exports = { createShare, getShareDetails, revokeShare };
+module.exports = {
+  createShare,
+  listShares,
+  updateShare,
+  getShareDetails,
+  downloadShare,
+  regenerateOtp,
+  getShareQr,
+  addShareKeys,
+  revokeShare,
+};
@@ -0,0 +1,123 @@
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+const { presignPart } = require('../services/storageService');
+const { findUserUploadSession, serializeUploadSession } = require('../services/uploadSessionService');
+const { validate, presignPartsSchema, reportPartsSchema } = require('../utils/validation');
+
+// Lists the caller's unfinished uploads so a client can offer to resume them after a refresh.
+const listUploadSessions = async (req, res, next) => {
+  try {
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const uploadSessions = await prisma.uploadSession.findMany({
+      where: { userId, status: 'ACTIVE' },
+      include: { parts: { orderBy: { partNumber: 'asc' } } },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.json(uploadSessions.map(serializeUploadSession));
+  } catch (err) {
+    logger.error('listUploadSessions failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Returns an upload's progress: the parts already uploaded and the ones that remain.
+const getUploadSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const uploadSession = await findUserUploadSession(sessionId, userId);
+    if (!uploadSession) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+
+    res.json(serializeUploadSession(uploadSession));
+  } catch (err) {
+    logger.error('getUploadSession failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Issues fresh presigned URLs for specific parts, e.g. after the original URLs expired.
+const presignUploadParts = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { value, errors } = validate(req.body, presignPartsSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const { partNumbers, expiresIn } = value;
+
+    const uploadSession = await findUserUploadSession(sessionId, userId);
+    if (!uploadSession) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+    if (uploadSession.status !== 'ACTIVE') {
+      return res.status(409).json({ error: `Upload session is ${uploadSession.status.toLowerCase()}` });
+    }
+    if (partNumbers.some(partNumber => partNumber > uploadSession.totalParts)) {
+      return res.status(400).json({ error: `Part numbers must be between 1 and ${uploadSession.totalParts}` });
+    }
+
+    const parts = await Promise.all(
+      partNumbers.map(partNumber => presignPart({
+        key: uploadSession.s3Key,
+        uploadId: uploadSession.uploadId,
+        partNumber,
+        expiresIn,
+      }))
+    );
+
+    res.json({ uploadSessionId: uploadSession.id, parts });
+  } catch (err) {
+    logger.error('presignUploadParts failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Records parts the client finished uploading. Re-reporting a part replaces its ETag (re-uploads are allowed).
+const reportUploadedParts = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { value, errors } = validate(req.body, reportPartsSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const uploadSession = await findUserUploadSession(sessionId, userId);
+    if (!uploadSession) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+    if (uploadSession.status !== 'ACTIVE') {
+      return res.status(409).json({ error: `Upload session is ${uploadSession.status.toLowerCase()}` });
+    }
+    if (value.parts.some(part => part.partNumber > uploadSession.totalParts)) {
+      return res.status(400).json({ error: `Part numbers must be between 1 and ${uploadSession.totalParts}` });
+    }
+
+    await prisma.$transaction([
+      ...value.parts.map(({ partNumber, eTag, size }) => prisma.uploadPart.upsert({
+        where: { sessionId_partNumber: { sessionId, partNumber } },
+        create: { sessionId, partNumber, eTag, size: size ?? null },
+        update: { eTag, size: size ?? null, uploadedAt: new Date() },
+      })),
+      // Touch the session so its updatedAt reflects upload activity.
+      prisma.uploadSession.update({ where: { id: sessionId }, data: { updatedAt: new Date() } }),
+    ]);
+
+    const updated = await findUserUploadSession(sessionId, userId);
+    res.json(serializeUploadSession(updated));
+  } catch (err) {
+    logger.error('reportUploadedParts failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+module.exports = { listUploadSessions, getUploadSession, presignUploadParts, reportUploadedParts };
@@ -0,0 +1,17 @@
+const logger = require('../utils/logger');
+const { getUsage } = require('../services/quotaService');
+
+// Returns the caller's plan limits and storage usage, plus the usage of each workspace they belong to.
+const getMyUsage = async (req, res, next) => {
+  try {
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    res.json(await getUsage(userId));
+  } catch (err) {
+    logger.error('getMyUsage failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+module.exports = { getMyUsage };
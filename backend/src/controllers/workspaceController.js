@@ -0,0 +1,408 @@
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { hasWorkspaceRole, outranks } = require('../config/workspaceRoles');
+const { queueMail } = require('../services/mailService');
+const {
+  validate,
+  createWorkspaceSchema,
+  updateWorkspaceSchema,
+  inviteMemberSchema,
+  updateMemberRoleSchema,
+  transferOwnershipSchema,
+} = require('../utils/validation');
+
+const memberInclude = { user: { select: { id: true, email: true } } };
+
+// Looks up the caller's membership row for a workspace (null if they are not a member).
+const getMembership = (userId, workspaceId) =>
+  prisma.workspaceMember.findUnique({
+    where: { userId_workspaceId: { userId, workspaceId } },
+  });
+
+const createWorkspace = async (req, res, next) => {
+  try {
+    const { value, errors } = validate(req.body, createWorkspaceSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const { name, description } = value;
+
+    // The creator becomes both the workspace owner and its first OWNER member.
+    const workspace = await prisma.$transaction(async (tx) => {
+      const created = await tx.workspace.create({
+        data: {
+          name,
+          description: description || null,
+          ownerId: userId,
+          members: { create: { userId, role: 'OWNER' } },
+        },
+        include: { members: { include: memberInclude } },
+      });
+
+      await tx.activity.create({
+        data: {
+          type: 'WORKSPACE_CREATED',
+          message: `Workspace created: ${name}`,
+          userId,
+          workspaceId: created.id,
+        },
+      });
+
+      return created;
+    });
+
+    logger.info(`Workspace created: ${workspace.id} by user ${userId}`);
+    res.status(201).json(workspace);
+  } catch (err) {
+    logger.error('createWorkspace failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Lists every workspace the caller belongs to, along with their role in each.
+const getMyWorkspaces = async (req, res, next) => {
+  try {
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const memberships = await prisma.workspaceMember.findMany({
+      where: { userId },
+      include: {
+        workspace: { include: { _count: { select: { members: true, folders: true } } } },
+      },
+      orderBy: { joinedAt: 'asc' },
+    });
+
+    res.json(memberships.map(({ workspace, role, joinedAt }) => ({ ...workspace, role, joinedAt })));
+  } catch (err) {
+    logger.error('getMyWorkspaces failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+const getWorkspaceById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const membership = await getMembership(userId, id);
+    if (!membership) {
+      return res.status(403).json({ error: 'Not a member of this workspace' });
+    }
+
+    const workspace = await prisma.workspace.findUnique({
+      where: { id },
+      include: { members: { include: memberInclude, orderBy: { joinedAt: 'asc' } } },
+    });
+
+    res.json({ ...workspace, role: membership.role });
+  } catch (err) {
+    logger.error('getWorkspaceById failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+const updateWorkspace = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { value, errors } = validate(req.body, updateWorkspaceSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    // Only admins and the owner may change workspace settings.
+    const membership = await getMembership(userId, id);
+    if (!membership || !hasWorkspaceRole(membership.role, 'ADMIN')) {
+      return res.status(403).json({ error: 'Unauthorized to update this workspace' });
+    }
+
+    const workspace = await prisma.$transaction(async (tx) => {
+      const updated = await tx.workspace.update({ where: { id }, data: value });
+
+      await tx.activity.create({
+        data: {
+          type: 'WORKSPACE_UPDATED',
+          message: `Workspace updated: ${updated.name}`,
+          userId,
+          workspaceId: id,
+          metadata: { changes: Object.keys(value) },
+        },
+      });
+
+      return updated;
+    });
+
+    logger.info(`Workspace updated: ${id} by user ${userId}`);
+    res.json(workspace);
+  } catch (err) {
+    logger.error('updateWorkspace failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Adds an existing user to the workspace by email. Callers can only grant roles below their own.
+const inviteMember = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { value, errors } = validate(req.body, inviteMemberSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const { email, role } = value;
+
+    const membership = await getMembership(userId, id);
+    if (!membership || !hasWorkspaceRole(membership.role, 'ADMIN')) {
+      return res.status(403).json({ error: 'Unauthorized to invite members to this workspace' });
+    }
+    if (!outranks(membership.role, role)) {
+      return res.status(403).json({ error: `Cannot grant the ${role} role` });
+    }
+
+    const invitee = await prisma.user.findUnique({ where: { email }, select: { id: true, email: true } });
+    if (!invitee) {
+      return res.status(404).json({ error: 'No user found with this email' });
+    }
+
+    if (await getMembership(invitee.id, id)) {
+      return res.status(409).json({ error: 'User is already a member of this workspace' });
+    }
+
+    const member = await prisma.$transaction(async (tx) => {
+      const created = await tx.workspaceMember.create({
+        data: { userId: invitee.id, workspaceId: id, role },
+        include: memberInclude,
+      });
+
+      await tx.activity.create({
+        data: {
+          type: 'MEMBER_ADDED',
+          message: `${invitee.email} was added as ${role}`,
+          userId,
+          workspaceId: id,
+          metadata: { memberId: invitee.id, role },
+        },
+      });
+
+      return created;
+    });
+
+    const [inviter, workspace] = await Promise.all([
+      prisma.user.findUnique({ where: { id: userId }, select: { email: true } }),
+      prisma.workspace.findUnique({ where: { id }, select: { name: true } }),
+    ]);
+    await queueMail({
+      to: invitee.email,
+      template: 'workspace-invite',
+      data: {
+        inviterEmail: inviter?.email,
+        workspaceName: workspace?.name,
+        role,
+        workspaceUrl: `${config.appUrl}/workspaces/${id}`,
+      },
+    });
+
+    logger.info(`Member ${invitee.id} added to workspace ${id} by user ${userId}`);
+    res.status(201).json(member);
+  } catch (err) {
+    logger.error('inviteMember failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Changes a member's role. The caller must outrank both the member's current and new role.
+const updateMemberRole = async (req, res, next) => {
+  try {
+    const { id, userId: memberId } = req.params;
+    const { value, errors } = validate(req.body, updateMemberRoleSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const { role } = value;
+
+    const membership = await getMembership(userId, id);
+    if (!membership || !hasWorkspaceRole(membership.role, 'ADMIN')) {
+      return res.status(403).json({ error: 'Unauthorized to change member roles in this workspace' });
+    }
+
+    const target = await getMembership(memberId, id);
+    if (!target) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (!outranks(membership.role, target.role) || !outranks(membership.role, role)) {
+      return res.status(403).json({ error: 'Cannot change the role of a member at or above your own role' });
+    }
+
+    const member = await prisma.$transaction(async (tx) => {
+      const updated = await tx.workspaceMember.update({
+        where: { id: target.id },
+        data: { role },
+        include: memberInclude,
+      });
+
+      await tx.activity.create({
+        data: {
+          type: 'MEMBER_ROLE_CHANGED',
+          message: `${updated.user.email} changed from ${target.role} to ${role}`,
+          userId,
+          workspaceId: id,
+          metadata: { memberId, previousRole: target.role, role },
+        },
+      });
+
+      return updated;
+    });
+
+    logger.info(`Member ${memberId} role changed to ${role} in workspace ${id} by user ${userId}`);
+    res.json(member);
+  } catch (err) {
+    logger.error('updateMemberRole failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Removes a member row and records a MEMBER_REMOVED activity. Shared by remove and leave.
+const deleteMembership = (target, workspaceId, actorId, reason) =>
+  prisma.$transaction(async (tx) => {
+    await tx.workspaceMember.delete({ where: { id: target.id } });
+
+    await tx.activity.create({
+      data: {
+        type: 'MEMBER_REMOVED',
+        message: reason === 'left' ? 'A member left the workspace' : 'A member was removed from the workspace',
+        userId: actorId,
+        workspaceId,
+        metadata: { memberId: target.userId, role: target.role, reason },
+      },
+    });
+  });
+
+const removeMember = async (req, res, next) => {
+  try {
+    const { id, userId: memberId } = req.params;
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    if (memberId === userId) {
+      return res.status(400).json({ error: 'Use the leave endpoint to remove yourself' });
+    }
+
+    const membership = await getMembership(userId, id);
+    if (!membership || !hasWorkspaceRole(membership.role, 'ADMIN')) {
+      return res.status(403).json({ error: 'Unauthorized to remove members from this workspace' });
+    }
+
+    const target = await getMembership(memberId, id);
+    if (!target) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (!outranks(membership.role, target.role)) {
+      return res.status(403).json({ error: 'Cannot remove a member at or above your own role' });
+    }
+
+    await deleteMembership(target, id, userId, 'removed');
+
+    logger.info(`Member ${memberId} removed from workspace ${id} by user ${userId}`);
+    res.status(204).send();
+  } catch (err) {
+    logger.error('removeMember failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+const leaveWorkspace = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const membership = await getMembership(userId, id);
+    if (!membership) {
+      return res.status(404).json({ error: 'Not a member of this workspace' });
+    }
+
+    // A workspace must always have an owner.
+    if (membership.role === 'OWNER') {
+      return res.status(400).json({ error: 'Transfer ownership before leaving this workspace' });
+    }
+
+    await deleteMembership(membership, id, userId, 'left');
+
+    logger.info(`User ${userId} left workspace ${id}`);
+    res.status(204).send();
+  } catch (err) {
+    logger.error('leaveWorkspace failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+// Hands ownership to another existing member. The previous owner stays on as an ADMIN.
+const transferOwnership = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { value, errors } = validate(req.body, transferOwnershipSchema);
+    if (errors) return res.status(400).json({ errors });
+
+    const userId = req.auth?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const { userId: newOwnerId } = value;
+
+    const membership = await getMembership(userId, id);
+    if (!membership || membership.role !== 'OWNER') {
+      return res.status(403).json({ error: 'Only the workspace owner can transfer ownership' });
+    }
+    if (newOwnerId === userId) {
+      return res.status(400).json({ error: 'You already own this workspace' });
+    }
+
+    const target = await getMembership(newOwnerId, id);
+    if (!target) {
+      return res.status(404).json({ error: 'New owner must already be a member of this workspace' });
+    }
+
+    const workspace = await prisma.$transaction(async (tx) => {
+      await tx.workspaceMember.update({ where: { id: membership.id }, data: { role: 'ADMIN' } });
+      await tx.workspaceMember.update({ where: { id: target.id }, data: { role: 'OWNER' } });
+      const updated = await tx.workspace.update({ where: { id }, data: { ownerId: newOwnerId } });
+
+      await tx.activity.create({
+        data: {
+          type: 'OWNERSHIP_TRANSFERRED',
+          message: `Workspace ownership transferred: ${updated.name}`,
+          userId,
+          workspaceId: id,
+          metadata: { previousOwnerId: userId, newOwnerId },
+        },
+      });
+
+      return updated;
+    });
+
+    logger.info(`Workspace ${id} ownership transferred from ${userId} to ${newOwnerId}`);
+    res.json(workspace);
+  } catch (err) {
+    logger.error('transferOwnership failed: %s', err.message, { stack: err.stack });
+    next(err);
+  }
+};
+
+module.exports = {
+  createWorkspace,
+  getMyWorkspaces,
+  getWorkspaceById,
+  updateWorkspace,
+  inviteMember,
+  updateMemberRole,
+  removeMember,
+  leaveWorkspace,
+  transferOwnership,
+};
@@ -0,0 +1,73 @@
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+const { recordAccess } = require('../services/accessLogService');
+
+// Finds what a request was about once it is answered. Requests for something that does not exist return null
+// and are not logged, as there is no owner to show them to.
+const resolvers = {
+  // Signed-in users; `authorize` answers 404 before a 403, so any other status means the file exists.
+  file: async (req, res) => (res.statusCode === 404 ? null : { actorType: 'USER', fileId: req.params.id }),
+
+  share: async (req) => {
+    const { shareToken } = req.params;
+    const share = await prisma.share.findUnique({ where: { shareToken }, select: { id: true, fileId: true } });
+    return share && { actorType: 'SHARE', shareId: share.id, fileId: share.fileId };
+  },
+
+  drop: async (req) => {
+    const drop = await prisma.anonymousDrop.findUnique({
+      where: { downloadToken: req.params.downloadToken },
+      select: { fileId: true },
+    });
+    return drop?.fileId ? { actorType: 'ANONYMOUS', fileId: drop.fileId } : null;
+  },
+};
+
+/**
+ * Writes an access log entry (see accessLogService) when the response is sent, for granted and denied requests
+ * alike. Put it before `authorize` so that requests rejected there are logged too. Server errors are not
+ * access decisions and are skipped.
+ * Controllers add what only they know through `res.locals.accessLog`: `fileId` (a file inside a shared
+ * folder) and `bytesServed` (the size of the file a download link was issued for).
+ *
+ * @param {'VIEW'|'DOWNLOAD'} action
+ * @param {'file'|'share'|'drop'} via - How the file is reached: by ID, share link or anonymous drop link.
+ */
+const logAccess = (action, via) => (req, res, next) => {
+  // The error message of a denial becomes its reason.
+  let reason = null;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    reason = body?.error || (body?.errors ? 'Invalid request' : null);
+    return json(body);
+  };
+
+  res.on('finish', async () => {
+    if (res.statusCode >= 500) return;
+    try {
+      const resource = await resolvers[via](req, res);
+      if (!resource) return;
+
+      const { fileId, bytesServed } = res.locals.accessLog || {};
+      const granted = res.statusCode < 400;
+      await recordAccess({
+        ...resource,
+        fileId: fileId || resource.fileId || null,
+        action,
+        outcome: granted ? 'GRANTED' : 'DENIED',
+        statusCode: res.statusCode,
+        reason: granted ? null : reason,
+        userId: req.auth?.userId || null,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        bytesServed: granted ? bytesServed || 0 : 0,
+      });
+    } catch (err) {
+      logger.error('logAccess failed: %s', err.message, { stack: err.stack });
+    }
+  });
+
+  next();
+};
+
+module.exports = logAccess;
@@ -1,4 +1,4 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../services/tokenService');
 
 const authMiddleware = (allowedRoles = []) => async (req, res, next) => {
   // Allow OPTIONS requests to pass through without authentication
@@ -13,8 +13,9 @@ const authMiddleware = (allowedRoles = []) => async (req, res, next) => {
 
   const token = authHeader.split(' ')[1];
   try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-    req.auth = payload; // { userId, role }
+    // Checks the signature/expiry and that the token's session has not been revoked.
+    const payload = await verifyAccessToken(token);
+    req.auth = payload; // { userId, role, sid }
 
     if (allowedRoles.length && !allowedRoles.includes(payload.role)) {
       return res.status(403).json({ error: 'Forbidden: Role not allowed' });
@@ -0,0 +1,45 @@
+const { getPermission, hasPermission } = require('../services/authorizationService');
+const logger = require('../utils/logger');
+
+/**
+ * Resource-scoped authorization middleware. Must run after `authMiddleware`.
+ * Resolves the caller's effective permission on the resource identified in the request
+ * and rejects the request unless it is at least `minimumPermission`.
+ * The resolved permission is exposed as `req.permissions[resourceType]`.
+ *
+ * @param {'file'|'folder'|'workspace'|'share'} resourceType - The kind of resource being accessed.
+ * @param {string} minimumPermission - One of Roles.OWNER, ADMIN, EDITOR or VIEWER.
+ * @param {object} [options]
+ * @param {'params'|'body'|'query'} [options.from='params'] - Where the resource ID lives in the request.
+ * @param {string} [options.key='id'] - The name of the ID field.
+ * @param {boolean} [options.optional=false] - Skip the check when the ID is absent (e.g. an optional folderId).
+ */
+const authorize = (resourceType, minimumPermission, { from = 'params', key = 'id', optional = false } = {}) =>
+  async (req, res, next) => {
+    try {
+      const userId = req.auth?.userId;
+      if (!userId) return res.status(401).json({ error: 'Unauthenticated' });
+
+      const resourceId = req[from]?.[key];
+      if (!resourceId) {
+        if (optional) return next();
+        return res.status(400).json({ error: `${key} is required` });
+      }
+
+      const { found, permission } = await getPermission(userId, resourceType, resourceId);
+      if (!found) {
+        return res.status(404).json({ error: `${resourceType.charAt(0).toUpperCase()}${resourceType.slice(1)} not found` });
+      }
+      if (!hasPermission(permission, minimumPermission)) {
+        return res.status(403).json({ error: `Forbidden: insufficient permission on this ${resourceType}` });
+      }
+
+      req.permissions = { ...req.permissions, [resourceType]: permission };
+      next();
+    } catch (err) {
+      logger.error('authorize failed: %s', err.message, { stack: err.stack });
+      next(err);
+    }
+  };
+
+module.exports = authorize;
@@ -0,0 +1,28 @@
+const { verifyAccessToken } = require('../services/tokenService');
+const logger = require('../utils/logger');
+
+/**
+ * Socket.IO handshake middleware. Verifies the access token exactly like `authMiddleware`
+ * (signature, expiry and session revocation) before a connection is accepted.
+ * Clients pass the token as `io(url, { auth: { token } })` or in an `Authorization: Bearer` header.
+ * The verified payload is available to handlers as `socket.data.auth`.
+ */
+const socketAuthMiddleware = async (socket, next) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  const authHeader = headers.authorization;
+  const token = auth.token || (authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null);
+
+  if (!token) {
+    return next(new Error('Unauthenticated'));
+  }
+
+  try {
+    socket.data.auth = await verifyAccessToken(token); // { userId, role, sid }
+    next();
+  } catch (error) {
+    logger.warn(`[Socket] Rejected handshake from ${socket.handshake.address}: ${error.message}`);
+    next(new Error('Unauthenticated'));
+  }
+};
+
+module.exports = socketAuthMiddleware;
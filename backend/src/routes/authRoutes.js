@@ -1,8 +1,24 @@
 const express = require('express');
-const { register, login } = require('../controllers/authController');
+const authMiddleware = require('../middleware/authMiddleware');
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  getSessions,
+  revokeSessionById,
+  verifyEmailAddress,
+  resendVerification,
+} = require('../controllers/authController');
 const router = express.Router();
 
 router.post('/register', register);
 router.post('/login', login);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+router.post('/verify-email', verifyEmailAddress);
+router.post('/verify-email/resend', authMiddleware(), resendVerification);
+router.get('/sessions', authMiddleware(), getSessions);
+router.delete('/sessions/:id', authMiddleware(), revokeSessionById);
 
 module.exports = router;
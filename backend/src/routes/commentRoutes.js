@@ -0,0 +1,17 @@
+const express = require('express');
+// mergeParams exposes the parent file route's `:id` to these handlers.
+const router = express.Router({ mergeParams: true });
+const authMiddleware = require('../middleware/authMiddleware');
+const authorize = require('../middleware/authorize');
+const Roles = require('../config/roles');
+const { createComment, getComments, updateComment, deleteComment } = require('../controllers/commentController');
+
+// Anyone who can view the file (owner, workspace member or share recipient) can read and write comments.
+router.use(authMiddleware(), authorize('file', Roles.VIEWER));
+
+router.post('/', createComment);
+router.get('/', getComments);
+router.patch('/:commentId', updateComment);
+router.delete('/:commentId', deleteComment);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const authMiddleware = require('../middleware/authMiddleware');
+const logAccess = require('../middleware/accessLog');
+const config = require('../config');
+const {
+  presignDrop,
+  completeDrop,
+  getDrop,
+  updateDrop,
+  revokeDrop,
+  claimDrop,
+  getPublicDrop,
+  downloadDrop,
+} = require('../controllers/dropController');
+
+// Anonymous uploads have no account to throttle, so new drops are limited per IP address
+// (on top of the per-IP byte budget enforced when the drop is created).
+const dropCreationLimiter = rateLimit({
+  windowMs: config.anonymousDrops.rateLimitWindowMs,
+  max: config.anonymousDrops.rateLimitMax,
+  message: { error: 'Too many anonymous uploads from this IP, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Public: recipients open a drop through its download token.
+router.get('/public/:downloadToken', logAccess('VIEW', 'drop'), getPublicDrop);
+router.get('/public/:downloadToken/download', logAccess('DOWNLOAD', 'drop'), downloadDrop);
+
+// Uploader: authenticated by the X-Manage-Token header instead of an account.
+router.post('/presign', dropCreationLimiter, presignDrop);
+router.post('/:id/complete', completeDrop);
+router.get('/:id', getDrop);
+router.patch('/:id', updateDrop);
+router.delete('/:id', revokeDrop);
+
+// Claiming needs both the manage token and a logged-in account to move the drop into.
+router.post('/:id/claim', authMiddleware(), claimDrop);
+
+module.exports = router;
@@ -2,12 +2,39 @@ const express = require('express');
 const router = express.Router();
 
 const authMiddleware = require('../middleware/authMiddleware');
+const authorize = require('../middleware/authorize');
+const logAccess = require('../middleware/accessLog');
 
 const Roles = require('../config/roles');
 const { presign, complete, download } = require('../controllers/fileController');
+const {
+  listUploadSessions,
+  getUploadSession,
+  presignUploadParts,
+  reportUploadedParts,
+} = require('../controllers/uploadSessionController');
+const { uploadFileKeys, getFileKey } = require('../controllers/keyController');
+const { getFileAccessLog } = require('../controllers/accessLogController');
+const commentRoutes = require('./commentRoutes');
 
-router.post('/presign', authMiddleware([Roles.OWNER, Roles.EDITOR]), presign);
-router.post('/complete', authMiddleware([Roles.OWNER, Roles.EDITOR]), complete);
-router.get('/:id/download', authMiddleware([Roles.OWNER, Roles.EDITOR, Roles.VIEWER]), download);
+// Uploading into a folder requires edit access to it; uploads without a folderId go to the caller's root.
+const canUploadToFolder = authorize('folder', Roles.EDITOR, { from: 'body', key: 'folderId', optional: true });
+
+router.post('/presign', authMiddleware(), canUploadToFolder, presign);
+router.post('/complete', authMiddleware(), canUploadToFolder, complete);
+
+// Resumable multipart uploads (sessions are only visible to the user who started them)
+router.get('/uploads', authMiddleware(), listUploadSessions);
+router.get('/uploads/:sessionId', authMiddleware(), getUploadSession);
+router.post('/uploads/:sessionId/parts/presign', authMiddleware(), presignUploadParts);
+router.post('/uploads/:sessionId/parts', authMiddleware(), reportUploadedParts);
+
+router.get('/:id/download', authMiddleware(), logAccess('DOWNLOAD', 'file'), authorize('file', Roles.VIEWER), download);
+router.get('/:id/access-log', authMiddleware(), authorize('file', Roles.OWNER), getFileAccessLog); // JSON or CSV
+
+// Wrapped file keys: anyone who can edit the file may wrap its key for others; readers fetch their own.
+router.post('/:id/keys', authMiddleware(), authorize('file', Roles.EDITOR), uploadFileKeys);
+router.get('/:id/key', authMiddleware(), authorize('file', Roles.VIEWER), getFileKey);
+router.use('/:id/comments', commentRoutes);
 
 module.exports = router; 
@@ -1,16 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/authMiddleware');
+const authorize = require('../middleware/authorize');
 const Roles = require('../config/roles');
 const { createFolder, getFolders, getFolderById, updateFolder, deleteFolder } = require('../controllers/folderController');
 
 // Protect all folder routes
 router.use(authMiddleware());
 
-router.post('/', authMiddleware([Roles.OWNER, Roles.EDITOR]), createFolder);
-router.get('/', authMiddleware([Roles.OWNER, Roles.EDITOR, Roles.VIEWER]), getFolders);
-router.get('/:id', authMiddleware([Roles.OWNER, Roles.EDITOR, Roles.VIEWER]), getFolderById);
-router.put('/:id', authMiddleware([Roles.OWNER, Roles.EDITOR]), updateFolder);
-router.delete('/:id', authMiddleware([Roles.OWNER]), deleteFolder);
+// Placing a folder under a parent or into a workspace requires edit access to the target.
+const canWriteInto = (from) => [
+  authorize('folder', Roles.EDITOR, { from, key: 'parentId', optional: true }),
+  authorize('workspace', Roles.EDITOR, { from, key: 'workspaceId', optional: true }),
+];
+
+router.post('/', canWriteInto('body'), createFolder);
+router.get('/',
+  authorize('folder', Roles.VIEWER, { from: 'query', key: 'parentId', optional: true }),
+  authorize('workspace', Roles.VIEWER, { from: 'query', key: 'workspaceId', optional: true }),
+  getFolders);
+router.get('/:id', authorize('folder', Roles.VIEWER), getFolderById);
+router.put('/:id', authorize('folder', Roles.EDITOR), canWriteInto('body'), updateFolder);
+router.delete('/:id', authorize('folder', Roles.ADMIN), deleteFolder);
 
 module.exports = router;
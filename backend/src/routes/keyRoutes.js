@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/authMiddleware');
+const { registerPublicKey, getPublicKey } = require('../controllers/keyController');
+
+router.use(authMiddleware());
+
+// Public keys used to wrap file keys for recipients (the private keys stay in the users' browsers).
+router.put('/public', registerPublicKey);
+router.get('/public', getPublicKey);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/authMiddleware');
+const { getMyUsage } = require('../controllers/usageController');
+
+// Endpoints about the authenticated user themselves.
+router.use(authMiddleware());
+
+router.get('/usage', getMyUsage);
+
+module.exports = router;
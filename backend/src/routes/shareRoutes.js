@@ -1,12 +1,37 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/authMiddleware');
+const authorize = require('../middleware/authorize');
+const logAccess = require('../middleware/accessLog');
 const Roles = require('../config/roles');
-const { createShare, getShareDetails, revokeShare } = require('../controllers/shareController');
+const {
+  createShare,
+  listShares,
+  updateShare,
+  getShareDetails,
+  downloadShare,
+  regenerateOtp,
+  getShareQr,
+  addShareKeys,
+  revokeShare,
+} = require('../controllers/shareController');
+const { getShareAccessLog } = require('../controllers/accessLogController');
 
 // Protect all share creation/revocation routes (getting details might be public if OTP/password protected)
-router.post('/', authMiddleware([Roles.OWNER, Roles.EDITOR]), createShare);
-router.get('/:shareToken', getShareDetails); // Public, but details protected by password/OTP
-router.delete('/:id', authMiddleware([Roles.OWNER, Roles.EDITOR]), revokeShare);
+router.post('/',
+  authMiddleware(),
+  authorize('file', Roles.EDITOR, { from: 'body', key: 'fileId', optional: true }),
+  authorize('folder', Roles.EDITOR, { from: 'body', key: 'folderId', optional: true }),
+  createShare);
+router.get('/', authMiddleware(), listShares); // Shares the caller created
+router.get('/:shareToken', logAccess('VIEW', 'share'), getShareDetails); // Public, but details protected by password/OTP
+router.get('/:shareToken/download', logAccess('DOWNLOAD', 'share'), downloadShare); // Public, re-checks the same rules before issuing a URL
+router.get('/:id/access-log', authMiddleware(), authorize('share', Roles.OWNER), getShareAccessLog); // JSON or CSV
+router.get('/:id/qr', authMiddleware(), getShareQr); // Creator only, checked in the controller
+router.post('/:id/otp', authMiddleware(), authorize('share', Roles.ADMIN), regenerateOtp); // OTP shares only
+router.post('/:id/keys', authMiddleware(), authorize('share', Roles.ADMIN), addShareKeys); // PASSWORD_KEY shares only
+router.patch('/:id', authMiddleware(), authorize('share', Roles.ADMIN), updateShare);
+router.post('/:id/revoke', authMiddleware(), authorize('share', Roles.ADMIN), revokeShare);
+router.delete('/:id', authMiddleware(), authorize('share', Roles.ADMIN), revokeShare); // Same as POST /:id/revoke
 
 module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/authMiddleware');
+const {
+  createWorkspace,
+  getMyWorkspaces,
+  getWorkspaceById,
+  updateWorkspace,
+  inviteMember,
+  updateMemberRole,
+  removeMember,
+  leaveWorkspace,
+  transferOwnership,
+} = require('../controllers/workspaceController');
+
+// Protect all workspace routes. Permissions inside a workspace come from WorkspaceMember.role,
+// so the controllers enforce them per workspace rather than via the global JWT role.
+router.use(authMiddleware());
+
+router.post('/', createWorkspace);
+router.get('/', getMyWorkspaces);
+router.get('/:id', getWorkspaceById);
+router.put('/:id', updateWorkspace);
+router.post('/:id/members', inviteMember);
+router.patch('/:id/members/:userId', updateMemberRole);
+router.delete('/:id/members/:userId', removeMember);
+router.post('/:id/leave', leaveWorkspace);
+router.post('/:id/transfer', transferOwnership);
+
+module.exports = router;
@@ -20,9 +20,21 @@ const Roles = require('./config/roles');
 const fileRoutes = require('./routes/fileRoutes');
 const folderRoutes = require('./routes/folderRoutes');
 const shareRoutes = require('./routes/shareRoutes');
+const workspaceRoutes = require('./routes/workspaceRoutes');
+const meRoutes = require('./routes/meRoutes');
+const dropRoutes = require('./routes/dropRoutes');
+const keyRoutes = require('./routes/keyRoutes');
+const socketAuthMiddleware = require('./middleware/socketAuthMiddleware');
+const roomHandler = require('./socketHandlers/roomHandler');
 const uploadProgressHandler = require('./socketHandlers/uploadProgressHandler');
+const eventBridge = require('./socketHandlers/eventBridge');
+const { createPostgresAdapter } = require('./services/postgresSocketAdapter');
 const cron = require('node-cron');
-const { cleanupExpiredFiles } = require('./services/cleanupService');
+const { runCleanup } = require('./services/cleanupService');
+const { startMailWorker } = require('./services/mailService');
+const { sendExpiryNotices } = require('./services/expiryNoticeService');
+const { startExpiryScheduler } = require('./services/fileExpiryService');
+const { getStorageRouter } = require('./services/storageService');
 
 const app = express();
 app.set('trust proxy', 1);
@@ -47,20 +59,32 @@ const io = new Server(server, {
   }
 });
 
+// Relay room broadcasts between backend instances over Postgres LISTEN/NOTIFY.
+// Set SOCKET_PUBSUB=local to keep rooms in this process only (single-instance setups).
+if (process.env.SOCKET_PUBSUB !== 'local') {
+  const socketPubSub = createPostgresAdapter({
+    connectionString: process.env.SOCKET_PUBSUB_DATABASE_URL || process.env.DATABASE_URL,
+  });
+  io.adapter(socketPubSub.Adapter);
+}
+
+// Every socket must present a valid access token during the handshake.
+io.use(socketAuthMiddleware);
+
 io.on('connection', (socket) => {
-  logger.info(`[Socket] User connected: ${socket.id}`);
+  logger.info(`[Socket] User ${socket.data.auth.userId} connected: ${socket.id}`);
+  roomHandler(io, socket);
   uploadProgressHandler(io, socket);
 });
 
+// Push server-side events (uploads, shares, deletions, ...) to the relevant rooms.
+eventBridge(io);
+
 // --- Middleware --- //
 
 // Security headers
 app.use(helmet());
 
-// Body parsers
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
 // --- CORS setup for API routes ---
 app.use(cors({
   origin: (origin, callback) => {
@@ -76,12 +100,22 @@ app.use(cors({
   },
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "Accept", "Origin", "x-client-id", "x-client-secret"]
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'x-client-id', 'x-client-secret', 'X-Manage-Token'],
+  exposedHeaders: ['Retry-After', 'X-Otp-Expires-At', 'X-Otp-Revoked', 'ETag']
 }));
 
 // Handle preflight OPTIONS requests globally
 app.options('*', cors());
 
+// Signed upload and download URLs of storage drivers that serve them (local disk), ahead of the body parsers
+// so uploads reach them as raw streams
+const storageRouter = getStorageRouter();
+if (storageRouter) app.use('/storage', storageRouter);
+
+// Body parsers
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
 // --- Rate limiting middleware ---
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || 15 * 60 * 1000), // 15 min
@@ -91,14 +125,18 @@ const limiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Apply rate limiting (before the routes, which would otherwise answer first)
+app.use('/api/', limiter);
+
 // --- Routes ---
 app.use('/api/auth', authRoutes);
 app.use('/api/files', fileRoutes);
 app.use('/api/folders', folderRoutes);
 app.use('/api/shares', shareRoutes);
-
-// Apply rate limiting
-app.use('/api/', limiter);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/drops', dropRoutes);
+app.use('/api/keys', keyRoutes);
 
 // --- Example protected route ---
 app.get('/api/protected', authMiddleware([Roles.ADMIN, Roles.OWNER]), (req, res) => {
@@ -159,12 +197,32 @@ app.use((req, res) => {
   });
 });
 
-// Schedule the cleanup service to run every 30 minutes
+// Schedule the cleanup service to run every 30 minutes (files are expired on time by the expiry scheduler below)
+// Only one instance runs it at a time (see cleanupService)
 cron.schedule('*/30 * * * *', async () => {
   logger.info('Running scheduled cleanup job...');
-  await cleanupExpiredFiles();
+  try {
+    await runCleanup({ trigger: 'cron' });
+  } catch (err) {
+    logger.error('Cleanup job failed: %s', err.message, { stack: err.stack });
+  }
 });
 
+// Queue "expires soon" emails every 5 minutes
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    await sendExpiryNotices();
+  } catch (err) {
+    logger.error('Expiry notice job failed: %s', err.message, { stack: err.stack });
+  }
+});
+
+// Deliver queued emails
+startMailWorker();
+
+// Soft-delete files as they expire
+startExpiryScheduler();
+
 // --- Start server ---
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
@@ -0,0 +1,126 @@
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Access logs: one AccessLog row per successful or denied attempt to open or download a file, share or
+ * anonymous drop, written by the `logAccess` middleware. Owners read them per file and share creators per
+ * share, as JSON pages or as a CSV export. Like the files themselves they are not kept forever: rows older than
+ * ACCESS_LOG_RETENTION_DAYS are deleted by the cleanup job, and a file's or share's rows go with it.
+ */
+
+const { retentionDays, exportMaxRows } = config.accessLog;
+const USER_AGENT_MAX_LENGTH = 512;
+
+const CSV_COLUMNS = [
+  'createdAt',
+  'action',
+  'outcome',
+  'statusCode',
+  'reason',
+  'actorType',
+  'userId',
+  'userEmail',
+  'shareId',
+  'fileId',
+  'ipAddress',
+  'userAgent',
+  'bytesServed',
+];
+
+const accessLogInclude = { user: { select: { email: true } } };
+
+/**
+ * Stores one access. Never throws: failing to log an access must not fail the request being logged.
+ * @param {object} entry - AccessLog columns.
+ */
+const recordAccess = async (entry) => {
+  try {
+    await prisma.accessLog.create({
+      data: { ...entry, userAgent: entry.userAgent?.slice(0, USER_AGENT_MAX_LENGTH) || null },
+    });
+  } catch (err) {
+    logger.error('recordAccess failed: %s', err.message, { stack: err.stack });
+  }
+};
+
+// Filters of the access log endpoints, on top of the file or share being reported on.
+const buildAccessLogFilter = ({ action, outcome, since, until }) => ({
+  ...(action && { action }),
+  ...(outcome && { outcome }),
+  ...((since || until) && { createdAt: { ...(since && { gte: since }), ...(until && { lte: until }) } }),
+});
+
+const serializeAccessLog = ({ user, bytesServed, ...entry }) => ({
+  ...entry,
+  userEmail: user?.email || null,
+  bytesServed: bytesServed.toString(),
+});
+
+/**
+ * One page of log entries, newest first.
+ * @returns {Promise<{ entries: object[], total: number }>}
+ */
+const listAccessLogs = async (where, { page, limit }) => {
+  const [total, entries] = await prisma.$transaction([
+    prisma.accessLog.count({ where }),
+    prisma.accessLog.findMany({
+      where,
+      include: accessLogInclude,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+  ]);
+  return { entries: entries.map(serializeAccessLog), total };
+};
+
+// Quotes a CSV field. Values starting with a formula character are prefixed with ' so spreadsheets show
+// them as text; user agents and reasons come from the requester.
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * The newest entries (at most ACCESS_LOG_EXPORT_MAX_ROWS) as CSV, with a header row.
+ * @returns {Promise<string>}
+ */
+const exportAccessLogsCsv = async (where) => {
+  const entries = await prisma.accessLog.findMany({
+    where,
+    include: accessLogInclude,
+    orderBy: { createdAt: 'desc' },
+    take: exportMaxRows,
+  });
+  const rows = entries
+    .map(serializeAccessLog)
+    .map(entry => CSV_COLUMNS.map(column => toCsvField(entry[column])).join(','));
+  return `${[CSV_COLUMNS.join(','), ...rows].join('\r\n')}\r\n`;
+};
+
+/**
+ * Deletes entries past the retention period.
+ * @param {Date} [now]
+ * @param {{ since?: Date|null, dryRun?: boolean }} [options] - `since`: only entries created after it;
+ *   `dryRun`: count them without deleting.
+ * @returns {Promise<number>} - How many entries were (or would be) deleted.
+ */
+const pruneAccessLogs = async (now = new Date(), { since = null, dryRun = false } = {}) => {
+  const where = {
+    createdAt: { lt: new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000), ...(since && { gte: since }) },
+  };
+  if (dryRun) return prisma.accessLog.count({ where });
+  const { count } = await prisma.accessLog.deleteMany({ where });
+  return count;
+};
+
+module.exports = {
+  recordAccess,
+  buildAccessLogFilter,
+  listAccessLogs,
+  exportAccessLogsCsv,
+  pruneAccessLogs,
+};
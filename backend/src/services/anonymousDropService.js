@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const prisma = require('../utils/prisma');
+const config = require('../config');
+const { hashToken } = require('./tokenService');
+
+/**
+ * Anonymous drops: uploads made without an account.
+ * Presigning creates an AnonymousDrop and hands the uploader a manage token, shown only once, which is needed to
+ * complete, revoke, extend or claim the drop. Drops use the `anonymous` plan's size limit, always expire
+ * (ttlHours, extendable up to maxTtlHours after creation), and each IP address may only drop a limited number
+ * of bytes per budget window.
+ */
+
+const { ttlHours, maxTtlHours, ipByteBudget, ipBudgetWindowHours } = config.anonymousDrops;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Objects of anonymous drops live under `uploads/anonymous/`, next to users' `uploads/<userId>/` folders.
+const ANONYMOUS_KEY_OWNER = 'anonymous';
+
+const generateToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Bytes this IP address has dropped within the budget window (declared sizes, completed or not).
+const getBytesDroppedByIp = async (client, ipAddress, now) => {
+  const { _sum } = await client.anonymousDrop.aggregate({
+    where: { ipAddress, createdAt: { gte: new Date(now.getTime() - ipBudgetWindowHours * HOUR_MS) } },
+    _sum: { size: true },
+  });
+  return Number(_sum.size || 0);
+};
+
+/**
+ * Records a new drop if the uploader's IP still has byte budget left.
+ * @returns {Promise<{ drop: object, manageToken: string } | { error: string }>}
+ */
+const createDrop = async ({ s3Key, fileName, mimeType, size, ipAddress, notifyEmail }) => {
+  const manageToken = generateToken();
+  const now = new Date();
+  try {
+    // Serializable, so concurrent drops from one IP cannot both fit into the same remaining budget.
+    return await prisma.$transaction(async (tx) => {
+      const used = await getBytesDroppedByIp(tx, ipAddress, now);
+      if (used + size > ipByteBudget) {
+        return { error: `Anonymous upload limit reached: ${ipByteBudget} bytes per ${ipBudgetWindowHours} hours` };
+      }
+      const drop = await tx.anonymousDrop.create({
+        data: {
+          s3Key,
+          fileName,
+          mimeType,
+          size: BigInt(size),
+          ipAddress,
+          notifyEmail: notifyEmail || null,
+          manageTokenHash: hashToken(manageToken),
+          downloadToken: generateToken(),
+        },
+      });
+      return { drop, manageToken };
+    }, { isolationLevel: Prisma.TransactionIsolationLevel.Serializable });
+  } catch (err) {
+    if (err.code === 'P2034') return { error: 'Too many concurrent uploads, please retry' };
+    throw err;
+  }
+};
+
+/**
+ * Loads a drop for its uploader. Returns null unless the manage token matches and the drop is still anonymous.
+ */
+const findManagedDrop = async (id, manageToken) => {
+  if (!manageToken) return null;
+  const drop = await prisma.anonymousDrop.findUnique({ where: { id }, include: { file: true } });
+  if (!drop || drop.claimedAt) return null;
+
+  const expected = Buffer.from(drop.manageTokenHash, 'hex');
+  const actual = Buffer.from(hashToken(manageToken), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? drop : null;
+};
+
+// Expiry forced on a newly completed drop.
+const getDefaultExpiry = (now = new Date()) => new Date(now.getTime() + ttlHours * HOUR_MS);
+
+// Latest expiry a drop can be extended to.
+const getMaxExpiry = (drop) => new Date(drop.createdAt.getTime() + maxTtlHours * HOUR_MS);
+
+const getDropStatus = (drop, now = new Date()) => {
+  if (drop.claimedAt) return 'claimed';
+  if (drop.revokedAt) return 'revoked';
+  if (!drop.file) return 'pending';
+  if (drop.file.deletedAt || (drop.file.expiry && drop.file.expiry < now)) return 'expired';
+  return 'active';
+};
+
+// Shape returned to the uploader. The download token is only included once there is something to download.
+const serializeDrop = (drop) => {
+  const status = getDropStatus(drop);
+  return {
+    id: drop.id,
+    fileName: drop.fileName,
+    mimeType: drop.mimeType,
+    size: drop.size.toString(),
+    status,
+    expiry: drop.file?.expiry || null,
+    maxExpiry: getMaxExpiry(drop),
+    downloadToken: status === 'active' ? drop.downloadToken : undefined,
+    createdAt: drop.createdAt,
+  };
+};
+
+module.exports = {
+  ANONYMOUS_KEY_OWNER,
+  createDrop,
+  findManagedDrop,
+  getDefaultExpiry,
+  getMaxExpiry,
+  getDropStatus,
+  serializeDrop,
+};
@@ -0,0 +1,175 @@
+const prisma = require('../utils/prisma');
+const Roles = require('../config/roles');
+
+/**
+ * Resource-scoped authorization.
+ * Resolves the effective permission a user holds on a specific file, folder, workspace or share by combining:
+ *   - direct ownership of the resource,
+ *   - ownership of an ancestor folder (inherited through `parentId`),
+ *   - the user's WorkspaceMember.role in the workspace the folder tree belongs to,
+ *   - EMAIL shares addressed to the user's verified email on the resource or one of its ancestors.
+ * The highest permission from any of these sources wins.
+ */
+
+// Effective permissions ordered from most to least privileged.
+const PermissionRank = {
+  [Roles.OWNER]: 4,
+  [Roles.ADMIN]: 3,
+  [Roles.EDITOR]: 2,
+  [Roles.VIEWER]: 1,
+};
+
+// How each WorkspaceRole translates into a permission on the resources inside the workspace.
+const workspaceRolePermission = {
+  OWNER: Roles.ADMIN,
+  ADMIN: Roles.ADMIN,
+  MEMBER: Roles.EDITOR,
+  VIEWER: Roles.VIEWER,
+};
+
+// Guards against runaway loops if the folder tree ever contains a cycle.
+const MAX_FOLDER_DEPTH = 64;
+
+// True if `permission` is at least as privileged as `minimumPermission`.
+const hasPermission = (permission, minimumPermission) =>
+  (PermissionRank[permission] || 0) >= PermissionRank[minimumPermission];
+
+const highest = (...permissions) =>
+  permissions.reduce((best, p) => ((PermissionRank[p] || 0) > (PermissionRank[best] || 0) ? p : best), null);
+
+// Returns the folder and its ancestors, nearest first.
+const getFolderChain = async (folderId) => {
+  const chain = [];
+  const visited = new Set();
+  let currentId = folderId;
+  while (currentId && !visited.has(currentId) && chain.length < MAX_FOLDER_DEPTH) {
+    visited.add(currentId);
+    const folder = await prisma.folder.findUnique({
+      where: { id: currentId },
+      select: { id: true, ownerId: true, workspaceId: true, parentId: true },
+    });
+    if (!folder) break;
+    chain.push(folder);
+    currentId = folder.parentId;
+  }
+  return chain;
+};
+
+const getWorkspacePermissionFor = async (userId, workspaceId) => {
+  if (!workspaceId) return null;
+  const membership = await prisma.workspaceMember.findUnique({
+    where: { userId_workspaceId: { userId, workspaceId } },
+    select: { role: true },
+  });
+  return membership ? workspaceRolePermission[membership.role] : null;
+};
+
+// VIEWER if an unexpired, unrevoked EMAIL share without use or download limits, addressed to the user's verified
+// email, covers the file or any folder in the chain. Shares with a secret (password, OTP, key) or limits are only
+// opened through the share endpoints, which check the secret and count uses and downloads.
+const getSharePermissionFor = async (userId, { fileId = null, folderIds = [] }) => {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { email: true, emailVerifiedAt: true } });
+  if (!user?.emailVerifiedAt) return null;
+
+  const grant = await prisma.share.findFirst({
+    where: {
+      recipientEmail: user.email,
+      accessType: 'EMAIL',
+      maxUses: null,
+      maxDownloads: null,
+      revokedAt: null,
+      OR: [
+        ...(fileId ? [{ fileId }] : []),
+        ...(folderIds.length ? [{ folderId: { in: folderIds } }] : []),
+      ],
+      AND: [{ OR: [{ expiry: null }, { expiry: { gt: new Date() } }] }],
+    },
+    select: { id: true },
+  });
+  return grant ? Roles.VIEWER : null;
+};
+
+// Combines ownership, inherited folder ownership, workspace role and share grants over a folder chain.
+const resolveChainPermission = async (userId, chain, { ownsResource, fileId = null }) => {
+  if (ownsResource) return Roles.OWNER;
+
+  const inherited = chain.some(folder => folder.ownerId === userId) ? Roles.ADMIN : null;
+
+  // Only the nearest folder that belongs to a workspace decides the workspace role.
+  const workspaceId = chain.find(folder => folder.workspaceId)?.workspaceId;
+  const workspace = await getWorkspacePermissionFor(userId, workspaceId);
+
+  const share = await getSharePermissionFor(userId, { fileId, folderIds: chain.map(folder => folder.id) });
+  return highest(inherited, workspace, share);
+};
+
+const getFilePermission = async (userId, fileId) => {
+  const file = await prisma.file.findUnique({
+    where: { id: fileId },
+    select: { ownerId: true, folderId: true },
+  });
+  if (!file) return { found: false, permission: null };
+
+  const chain = await getFolderChain(file.folderId);
+  const permission = await resolveChainPermission(userId, chain, { ownsResource: file.ownerId === userId, fileId });
+  return { found: true, permission };
+};
+
+const getFolderPermission = async (userId, folderId) => {
+  const chain = await getFolderChain(folderId);
+  if (!chain.length) return { found: false, permission: null };
+
+  const permission = await resolveChainPermission(userId, chain, { ownsResource: chain[0].ownerId === userId });
+  return { found: true, permission };
+};
+
+const getWorkspacePermission = async (userId, workspaceId) => {
+  const workspace = await prisma.workspace.findUnique({ where: { id: workspaceId }, select: { ownerId: true } });
+  if (!workspace) return { found: false, permission: null };
+
+  const membership = await prisma.workspaceMember.findUnique({
+    where: { userId_workspaceId: { userId, workspaceId } },
+    select: { role: true },
+  });
+  if (workspace.ownerId === userId || membership?.role === 'OWNER') {
+    return { found: true, permission: Roles.OWNER };
+  }
+  return { found: true, permission: membership ? workspaceRolePermission[membership.role] : null };
+};
+
+// The share's creator owns it; anyone else inherits their permission on the shared file or folder.
+const getSharePermission = async (userId, shareId) => {
+  const share = await prisma.share.findUnique({
+    where: { id: shareId },
+    select: { creatorId: true, fileId: true, folderId: true },
+  });
+  if (!share) return { found: false, permission: null };
+  if (share.creatorId === userId) return { found: true, permission: Roles.OWNER };
+
+  const { permission } = share.fileId
+    ? await getFilePermission(userId, share.fileId)
+    : await getFolderPermission(userId, share.folderId);
+  return { found: true, permission };
+};
+
+const resolvers = {
+  file: getFilePermission,
+  folder: getFolderPermission,
+  workspace: getWorkspacePermission,
+  share: getSharePermission,
+};
+
+/**
+ * Resolves the effective permission of a user on a resource.
+ * @param {string} userId - The authenticated user.
+ * @param {'file'|'folder'|'workspace'|'share'} resourceType - The kind of resource.
+ * @param {string} resourceId - The resource's ID.
+ * @returns {Promise<{found: boolean, permission: string|null}>} - Whether the resource exists and the caller's permission on it.
+ */
+const getPermission = (userId, resourceType, resourceId) => {
+  const resolver = resolvers[resourceType];
+  if (!resolver) throw new Error(`Unknown resource type: ${resourceType}`);
+  return resolver(userId, resourceId);
+};
+
+module.exports = { PermissionRank, MAX_FOLDER_DEPTH, hasPermission, getPermission, getFolderChain };
@@ -1,230 +1,338 @@
-import { PrismaClient, DeletionStatus } from '@prisma/client'; // Import DeletionStatus enum
-import { S3Client, DeleteObjectsCommand } from '@aws-sdk/client-s3';
-const { logger } = require('../utils/logger'); 
+const { DeletionStatus } = require('@prisma/client');
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { abortMultipart, deleteObjects, listMultipartUploads, listObjects } = require('./storageService');
+const { releaseFileStorage, releaseReservation, releaseExpiredReservations } = require('./quotaService');
+const { ANONYMOUS_KEY_OWNER } = require('./anonymousDropService');
+const { pruneAccessThrottles } = require('./shareAttemptService');
+const { pruneAccessLogs } = require('./accessLogService');
+const { logDeletionActivity, recordFileEvent } = require('./fileDeletionService');
+const { expireDueFiles } = require('./fileExpiryService');
+const { acquireJobLock } = require('./jobLockService');
 
+/**
+ * Cleanup job: expires files, hard-deletes soft-deleted files past retention, reconciles storage with the
+ * database and prunes bookkeeping tables. Run every 30 minutes by the server and on demand by `pnpm cleanup`.
+ *
+ * A run holds the "cleanup" job lock, so only one instance runs it at a time; a run that finds the lock taken is
+ * skipped. Each run is recorded as a CleanupRun with its counts. A dry run only counts what a run would do, and
+ * `since` limits a run to items that became due after that time (e.g. files soft-deleted since then).
+ */
 
-const prisma = new PrismaClient();
-const s3 = new S3Client({
-  region: process.env.AWS_S3_REGION,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-});
-
-const BUCKET_NAME = process.env.AWS_S3_BUCKET_NAME;
+const { softDeleteRetentionMinutes, abandonedUploadMaxAgeHours, lockTtlMs } = config.cleanup;
+const LOCK_NAME = 'cleanup';
 const BATCH_SIZE = 100; // Number of files to delete in one S3 operation
 const RETRY_ATTEMPTS = 3;
 const RETRY_DELAY_MS = 5000; // 5 seconds
-
-const SOFT_DELETE_RETENTION_MINUTES = parseInt(process.env.SOFT_DELETE_RETENTION_MINUTES || '10');
+const UPLOADS_PREFIX = 'uploads/';
 
 async function deleteS3Objects(keys) {
-  if (keys.length === 0) return { deleted: [], errors: [] };
-
-  const deleteParams = {
-    Bucket: BUCKET_NAME,
-    Delete: {
-      Objects: keys.map(key => ({ Key: key })),
-      Quiet: true, // Tell S3 not to return deleted objects in the response
-    },
-  };
-
   try {
-    const command = new DeleteObjectsCommand(deleteParams);
-    const data = await s3.send(command);
-    // S3 DeleteObjectsCommand only returns errors if any, otherwise an empty array for Deleted
-    // We assume success if no errors are reported by S3
-    if (data.Errors && data.Errors.length > 0) {
-      logger.error('S3 deleteObjects encountered errors: %o', data.Errors);
-      return { deleted: [], errors: data.Errors.map(err => err.Key) };
-    }
-    logger.info('Successfully sent delete command to S3 for %d objects.', keys.length);
-    return { deleted: keys, errors: [] };
+    const result = await deleteObjects({ keys });
+    if (result.errors.length > 0) logger.error('S3 deleteObjects failed for %d objects', result.errors.length);
+    return result;
   } catch (error) {
     logger.error('Error deleting S3 objects: %s', error.message, { stack: error.stack, keys });
     return { deleted: [], errors: keys };
   }
 }
 
-async function logDeletionActivity(file, reason, status, error = null) {
-  try {
-    await prisma.deletionActivity.create({
-      data: {
-        fileId: file.id,
-        userId: file.ownerId || null, // Assuming file has ownerId
-        s3Key: file.s3Key,
-        fileName: file.fileName,
-        reason,
-        status,
-        error: error ? error.message : null,
-      },
-    });
-  } catch (logError) {
-    logger.error('Failed to log deletion activity for file %s: %s', file.s3Key, logError.message);
+// Deletes `keys`, retrying the failed ones. Returns every key deleted over all attempts, and those that never were.
+async function deleteS3ObjectsWithRetry(keys) {
+  const deleted = [];
+  let remaining = keys;
+  for (let i = 0; i < RETRY_ATTEMPTS && remaining.length > 0; i++) {
+    if (i > 0) {
+      logger.warn('S3 hard deletion retry %d/%d for %d objects in %dms...',
+        i, RETRY_ATTEMPTS - 1, remaining.length, RETRY_DELAY_MS);
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+    }
+    const result = await deleteS3Objects(remaining);
+    deleted.push(...result.deleted);
+    remaining = result.errors;
   }
+  return { deleted, errors: remaining };
 }
 
-
-async function softDeleteExpiredFiles() {
+/**
+ * Stage 1: Soft-deletes files past their expiry. The expiry scheduler normally does this on time; this run is a
+ * safety net for when it could not.
+ */
+async function softDeleteExpiredFiles({ now, since, dryRun }) {
   logger.info('Starting Stage 1: Marking expired files for soft deletion...');
-  const now = new Date();
+  const softDeletedCount = await expireDueFiles(now, { since, dryRun });
+  logger.info('Soft-deleted %d expired files. Stage 1 finished.', softDeletedCount);
+  return { softDeleted: softDeletedCount };
+}
+
+/**
+ * Stage 2: Identifies soft-deleted files that have passed their retention period and performs hard deletion from S3 and DB.
+ */
+async function hardDeleteSoftDeletedFiles({ now, since, dryRun }) {
+  logger.info('Starting Stage 2: Hard deleting files past retention period...');
   let filesProcessed = 0;
+  const failedIds = []; // Left soft-deleted and retried by the next run
 
-  try {
-    while (true) {
-      // Find files that have expired and are not yet soft-deleted
-      const expiredFiles = await prisma.file.findMany({
-        where: {
-          expiry: {
-            lt: now, // Files whose expiry is less than now
-          },
-          deletedAt: null, // Only process files not yet soft-deleted
-        },
-        take: BATCH_SIZE,
-        orderBy: {
-          id: 'asc' // Order by ID to help with consistent batching and potential for "SELECT ... FOR UPDATE" if needed
-        }
-      });
+  // Calculate the cutoff date for hard deletion based on the soft-delete retention period
+  const hardDeleteCutoff = new Date(now.getTime() - softDeleteRetentionMinutes * 60 * 1000);
+  const due = { deletedAt: { lt: hardDeleteCutoff, ...(since && { gte: since }) } };
 
-      if (expiredFiles.length === 0) {
-        logger.info('No more expired files found for soft deletion. Stage 1 finished.');
-        break;
+  if (dryRun) {
+    const count = await prisma.file.count({ where: due });
+    logger.info('Would hard-delete %d files. Stage 2 finished.', count);
+    return { hardDeleted: count };
+  }
+
+  for (;;) {
+    const filesToHardDelete = await prisma.file.findMany({
+      where: { ...due, id: { notIn: failedIds } },
+      take: BATCH_SIZE,
+      orderBy: {
+        id: 'asc' // Order by ID for consistent batching
       }
+    });
 
-      logger.info('Found %d expired files to soft-delete.', expiredFiles.length);
+    if (filesToHardDelete.length === 0) {
+      logger.info('No more files found for hard deletion. Stage 2 finished.');
+      break;
+    }
+
+    logger.info('Found %d soft-deleted files to hard-delete.', filesToHardDelete.length);
+
+    const s3DeletionResult = await deleteS3ObjectsWithRetry(filesToHardDelete.map(file => file.s3Key));
+    const s3SuccessfullyDeletedKeys = new Set(s3DeletionResult.deleted);
 
-      for (const file of expiredFiles) {
+    // --- Database Cleanup and Logging ---
+    for (const file of filesToHardDelete) {
+      if (s3SuccessfullyDeletedKeys.has(file.s3Key)) {
+        // SUCCESS PATH: S3 object deleted, now permanently remove from DB.
         try {
-          // Use transaction for atomicity if needed, or rely on `deletedAt: null` where clause for race condition safety
-          await prisma.file.update({
-            where: { id: file.id, deletedAt: null }, // Ensure we only update if not already soft-deleted
-            data: { deletedAt: now },
+          // Comments reference the file with a restrictive foreign key, so remove them first, along with
+          // the file's wrapped keys, which are useless without it.
+          // The file's bytes are given back to its owner's (and workspace's) quota in the same transaction.
+          await prisma.$transaction(async (tx) => {
+            await tx.comment.deleteMany({ where: { fileId: file.id } });
+            await tx.key.deleteMany({ where: { fileId: file.id } });
+            await tx.file.delete({ where: { id: file.id } });
+            await releaseFileStorage(tx, file);
           });
-          await logDeletionActivity(file, 'expired', DeletionStatus.SUCCESS_SOFT_DELETE);
-          logger.info('Soft-deleted file record: %s (s3Key: %s)', file.fileName, file.s3Key);
+          // The row is gone, so the record cannot reference it.
+          await logDeletionActivity({ ...file, id: null }, 'hard_delete', DeletionStatus.SUCCESS_HARD_DELETE);
+          await recordFileEvent(file, {
+            type: 'FILE_DELETED',
+            event: 'file:deleted',
+            message: `File deleted: ${file.fileName}`,
+            fileGone: true,
+          });
+          logger.info('Hard deleted file record from DB and logged: %s (s3Key: %s)', file.fileName, file.s3Key);
           filesProcessed++;
         } catch (dbError) {
-          if (dbError.code === 'P2025') { // Prisma's "Record not found" error, implies another process might have updated it
-            logger.warn('File %s already soft-deleted by another process, skipping.', file.s3Key);
-          } else {
-            logger.error('Error marking file %s as soft-deleted: %s', file.s3Key, dbError.message);
-            await logDeletionActivity(file, 'expired', DeletionStatus.FAILED_DB, dbError);
-          }
+          logger.error('Error hard deleting DB record for file %s: %s', file.s3Key, dbError.message);
+          await logDeletionActivity(file, 'hard_delete', DeletionStatus.FAILED_DB, dbError);
+          failedIds.push(file.id);
         }
+      } else {
+        // FAILURE PATH: S3 object could not be deleted after all retries.
+        logger.warn('S3 hard deletion failed for %s. Skipping DB deletion and logging as failed.', file.s3Key);
+        await logDeletionActivity(file, 'hard_delete', DeletionStatus.FAILED_S3, new Error('S3 deletion failed after retries'));
+        failedIds.push(file.id);
       }
     }
-  } catch (outerError) {
-    logger.error('Error in softDeleteExpiredFiles stage: %s', outerError.message, { stack: outerError.stack });
-    // This top-level catch logs unexpected errors that are not per-file DB update issues
   }
-  return { softDeletedCount: filesProcessed };
+  return { hardDeleted: filesProcessed };
+}
+
+
+// Builds the record logged for a storage object that has no File row.
+// Keys look like `uploads/<userId>/<uuid>-<fileName>` (see getObjectKey in storageService); anonymous drops use
+// `uploads/anonymous/...` and have no owner.
+function untrackedObject(key, fileName) {
+  const [, owner = null, objectName = key] = key.split('/');
+  const ownerId = owner === ANONYMOUS_KEY_OWNER ? null : owner;
+  return { id: null, ownerId, s3Key: key, fileName: fileName || objectName };
 }
 
 /**
- * Stage 2: Identifies soft-deleted files that have passed their retention period and performs hard deletion from S3 and DB.
+ * Stage 3a: Aborts multipart uploads that were started but never completed, once they pass the age threshold.
+ * Tracked uploads (UploadSession) are judged by their last reported part, so a slow resumable upload survives.
  */
-async function hardDeleteSoftDeletedFiles() {
-  logger.info('Starting Stage 2: Hard deleting files past retention period...');
-  const now = new Date();
-  let filesProcessed = 0;
+async function abortAbandonedMultipartUploads({ cutoff, since, dryRun }) {
+  logger.info('Starting Stage 3a: Aborting abandoned multipart uploads...');
+  let abortedCount = 0;
+  let keyMarker;
+  let uploadIdMarker;
 
-  // Calculate the cutoff date for hard deletion based on SOFT_DELETE_RETENTION_MINUTES
-  const hardDeleteCutoff = new Date(now.getTime() - SOFT_DELETE_RETENTION_MINUTES * 60 * 1000);
+  do {
+    const page = await listMultipartUploads({ prefix: UPLOADS_PREFIX, keyMarker, uploadIdMarker });
+    keyMarker = page.nextKeyMarker;
+    uploadIdMarker = page.nextUploadIdMarker;
 
-  try {
-    while (true) {
-      // Find files that were soft-deleted before the cutoff period
-      const filesToHardDelete = await prisma.file.findMany({
-        where: {
-          deletedAt: {
-            lt: hardDeleteCutoff, // Files soft-deleted before the cutoff
-            not: null, // Ensure it was actually soft-deleted
-          },
-        },
-        take: BATCH_SIZE,
-        orderBy: {
-          id: 'asc' // Order by ID for consistent batching
-        }
-      });
-
-      if (filesToHardDelete.length === 0) {
-        logger.info('No more files found for hard deletion. Stage 2 finished.');
-        break;
-      }
+    for (const upload of page.uploads) {
+      if (upload.initiated && upload.initiated >= cutoff) continue;
+      if (since && !(upload.initiated >= since)) continue;
 
-      logger.info('Found %d soft-deleted files to hard-delete.', filesToHardDelete.length);
+      const uploadSession = await prisma.uploadSession.findUnique({ where: { s3Key: upload.key } });
+      if (uploadSession && uploadSession.status === 'ACTIVE' && uploadSession.updatedAt >= cutoff) continue;
 
-      const s3KeysToAttemptDelete = filesToHardDelete.map(file => file.s3Key);
-      let s3DeletionResult = { deleted: [], errors: s3KeysToAttemptDelete }; // Initialize for retry loop
+      if (dryRun) {
+        abortedCount++;
+        continue;
+      }
 
-      // --- S3 Deletion with Retry Logic ---
-      for (let i = 0; i < RETRY_ATTEMPTS; i++) {
-        s3DeletionResult = await deleteS3Objects(s3DeletionResult.errors);
-        if (s3DeletionResult.errors.length === 0) {
-          break; // All S3 deletions successful
+      const record = untrackedObject(upload.key, uploadSession?.fileName);
+      try {
+        await abortMultipart({ key: upload.key, uploadId: upload.uploadId });
+        if (uploadSession && uploadSession.status === 'ACTIVE') {
+          await prisma.uploadSession.update({ where: { id: uploadSession.id }, data: { status: 'ABORTED' } });
         }
-        logger.warn('S3 hard deletion retry %d/%d for %d objects. Retrying in %dms...',
-          i + 1, RETRY_ATTEMPTS, s3DeletionResult.errors.length, RETRY_DELAY_MS);
-        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+        await releaseReservation(upload.key);
+        await logDeletionActivity(record, 'abandoned_multipart', DeletionStatus.SUCCESS_HARD_DELETE);
+        logger.info('Aborted abandoned multipart upload %s (s3Key: %s)', upload.uploadId, upload.key);
+        abortedCount++;
+      } catch (abortError) {
+        logger.error('Failed to abort multipart upload %s: %s', upload.uploadId, abortError.message);
+        await logDeletionActivity(record, 'abandoned_multipart', DeletionStatus.FAILED_S3, abortError);
       }
+    }
+  } while (keyMarker);
+  return { abortedUploads: abortedCount };
+}
 
-      const s3SuccessfullyDeletedKeys = new Set(s3DeletionResult.deleted);
-
-      // --- Database Cleanup and Logging ---
-      for (const file of filesToHardDelete) {
-        if (s3SuccessfullyDeletedKeys.has(file.s3Key)) {
-          // SUCCESS PATH: S3 object deleted, now permanently remove from DB.
-          try {
-            await prisma.file.delete({ where: { id: file.id } });
-            await logDeletionActivity(file, 'hard_delete', DeletionStatus.SUCCESS_HARD_DELETE);
-            logger.info('Hard deleted file record from DB and logged: %s (s3Key: %s)', file.fileName, file.s3Key);
-            filesProcessed++;
-          } catch (dbError) {
-            logger.error('Error hard deleting DB record for file %s: %s', file.s3Key, dbError.message);
-            await logDeletionActivity(file, 'hard_delete', DeletionStatus.FAILED_DB, dbError);
-          }
-        } else {
-          // FAILURE PATH: S3 object could not be deleted after all retries.
-          logger.warn('S3 hard deletion failed for %s. Skipping DB deletion and logging as failed.', file.s3Key);
-          await logDeletionActivity(file, 'hard_delete', DeletionStatus.FAILED_S3, new Error('S3 deletion failed after retries'));
-        }
+/**
+ * Stage 3b: Deletes objects under the uploads prefix that have no File row, i.e. files that were uploaded
+ * but never finalised through /complete. Objects are checked against the DB one listing page at a time.
+ */
+async function deleteOrphanedObjects({ cutoff, since, dryRun }) {
+  logger.info('Starting Stage 3b: Deleting orphaned upload objects...');
+  let deletedCount = 0;
+  let continuationToken;
+
+  do {
+    const page = await listObjects({ prefix: UPLOADS_PREFIX, continuationToken });
+    continuationToken = page.nextContinuationToken;
+
+    const candidates = page.objects.filter(object => object.lastModified && object.lastModified < cutoff
+      && !(since && object.lastModified < since));
+    if (candidates.length === 0) continue;
+
+    const tracked = await prisma.file.findMany({
+      where: { s3Key: { in: candidates.map(object => object.key) } },
+      select: { s3Key: true },
+    });
+    const trackedKeys = new Set(tracked.map(file => file.s3Key));
+    const orphanKeys = candidates.map(object => object.key).filter(key => !trackedKeys.has(key));
+
+    if (dryRun) {
+      deletedCount += orphanKeys.length;
+      continue;
+    }
+
+    for (let i = 0; i < orphanKeys.length; i += BATCH_SIZE) {
+      const batch = orphanKeys.slice(i, i + BATCH_SIZE);
+      const { deleted, errors } = await deleteS3Objects(batch);
+      for (const key of deleted) {
+        await logDeletionActivity(untrackedObject(key), 'orphaned_object', DeletionStatus.SUCCESS_HARD_DELETE);
       }
+      for (const key of errors) {
+        await logDeletionActivity(untrackedObject(key), 'orphaned_object', DeletionStatus.FAILED_S3,
+          new Error('S3 deletion failed'));
+      }
+      deletedCount += deleted.length;
     }
-  } catch (outerError) {
-    logger.error('Error in hardDeleteSoftDeletedFiles stage: %s', outerError.message, { stack: outerError.stack });
-  }
-  return { hardDeletedCount: filesProcessed };
+  } while (continuationToken);
+  return { orphansDeleted: deletedCount };
+}
+
+/**
+ * Stage 3c: Gives back quota space reserved at presign for uploads that were never completed.
+ */
+async function releaseAbandonedReservations({ now, since, dryRun }) {
+  logger.info('Starting Stage 3c: Releasing expired storage reservations...');
+  const releasedCount = await releaseExpiredReservations(now, { since, dryRun });
+  logger.info('Released %d expired storage reservations.', releasedCount);
+  return { reservationsReleased: releasedCount };
 }
 
+// Uploads (and stray objects) younger than the abandoned-upload age are assumed to still be in progress.
+const uploadCutoff = now => new Date(now.getTime() - abandonedUploadMaxAgeHours * 60 * 60 * 1000);
 
 /**
- * Main cleanup service function to be called by the cron job or manually.
+ * Stage 4: Deletes per-IP share access counters that no longer block anything.
  */
-export async function runCleanup() {
-  logger.info('Starting full cleanup service run...');
-  let softDeletedCount = 0;
-  let hardDeletedCount = 0;
+async function pruneShareAccessThrottles({ now, since, dryRun }) {
+  logger.info('Starting Stage 4: Pruning share access throttles...');
+  const prunedCount = await pruneAccessThrottles(now, { since, dryRun });
+  logger.info('Pruned %d share access throttles.', prunedCount);
+  return { throttlesPruned: prunedCount };
+}
 
-  try {
-    const softDeleteResult = await softDeleteExpiredFiles();
-    softDeletedCount = softDeleteResult.softDeletedCount;
-  } catch (error) {
-    logger.error('Unhandled error during soft delete stage of cleanup: %s', error.message, { stack: error.stack });
+/**
+ * Stage 5: Deletes access log entries past their retention period.
+ */
+async function pruneExpiredAccessLogs({ now, since, dryRun }) {
+  logger.info('Starting Stage 5: Pruning access logs past retention...');
+  const prunedCount = await pruneAccessLogs(now, { since, dryRun });
+  logger.info('Pruned %d access log entries.', prunedCount);
+  return { accessLogsPruned: prunedCount };
+}
+
+// Run in order. A failing stage is logged and recorded, and the run goes on with the next one.
+// Stage 3 (3a-3c) reconciles storage with the database, removing uploads that were abandoned before /complete.
+const STAGES = [
+  { name: 'softDeleteExpiredFiles', run: softDeleteExpiredFiles },
+  { name: 'hardDeleteSoftDeletedFiles', run: hardDeleteSoftDeletedFiles },
+  { name: 'abortAbandonedMultipartUploads', run: options => abortAbandonedMultipartUploads({ ...options, cutoff: uploadCutoff(options.now) }) },
+  { name: 'deleteOrphanedObjects', run: options => deleteOrphanedObjects({ ...options, cutoff: uploadCutoff(options.now) }) },
+  { name: 'releaseAbandonedReservations', run: releaseAbandonedReservations },
+  { name: 'pruneShareAccessThrottles', run: pruneShareAccessThrottles },
+  { name: 'pruneExpiredAccessLogs', run: pruneExpiredAccessLogs },
+];
+
+/**
+ * Main cleanup service function to be called by the cron job or the `pnpm cleanup` CLI.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Count what would be cleaned up without changing anything.
+ * @param {Date|null} [options.since] - Only consider items that became due at or after this time.
+ * @param {string} [options.trigger] - What started the run ("cron" or "cli"), stored on the CleanupRun.
+ * @returns {Promise<object>} - `{ skipped: true }` if another instance holds the lock, otherwise the run's ID,
+ *   status and counts, with `errors` listing the stages that failed.
+ */
+async function runCleanup({ dryRun = false, since = null, trigger = 'cron' } = {}) {
+  // A dry run changes nothing, so it does not need to wait for (or hold off) a real run.
+  const lock = dryRun ? null : await acquireJobLock(LOCK_NAME, lockTtlMs);
+  if (!dryRun && !lock) {
+    logger.info('Cleanup is already running on another instance; skipping this run');
+    return { skipped: true };
   }
 
   try {
-    const hardDeleteResult = await hardDeleteSoftDeletedFiles();
-    hardDeletedCount = hardDeleteResult.hardDeletedCount;
-  } catch (error) {
-    logger.error('Unhandled error during hard delete stage of cleanup: %s', error.message, { stack: error.stack });
+    const run = await prisma.cleanupRun.create({ data: { trigger, dryRun, since } });
+    logger.info(`Starting ${dryRun ? 'dry run of the' : 'full'} cleanup service run ${run.id}...`);
+
+    const options = { now: new Date(), since, dryRun };
+    const counts = {};
+    const errors = [];
+    for (const stage of STAGES) {
+      try {
+        Object.assign(counts, await stage.run(options));
+      } catch (error) {
+        logger.error('Error in %s stage of cleanup: %s', stage.name, error.message, { stack: error.stack });
+        errors.push({ stage: stage.name, error: error.message });
+      }
+    }
+
+    const status = errors.length ? 'FAILED' : 'SUCCEEDED';
+    await prisma.cleanupRun.update({
+      where: { id: run.id },
+      data: { status, summary: { ...counts, errors }, finishedAt: new Date() },
+    });
+
+    logger.info('Cleanup run %s finished (%s%s): %j', run.id, status, dryRun ? ', dry run' : '', counts);
+    return { runId: run.id, status, dryRun, since, ...counts, errors };
+  } finally {
+    if (lock) await lock.release();
   }
+}
 
-  logger.info('Full cleanup service finished. Soft-deleted: %d, Hard-deleted: %d',
-    softDeletedCount, hardDeletedCount);
-  return {
-    message: 'Cleanup service executed',
-    softDeleted: softDeletedCount,
-    hardDeleted: hardDeletedCount,
-  };
-}
\ No newline at end of file
+module.exports = { runCleanup };
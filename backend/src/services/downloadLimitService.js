@@ -0,0 +1,76 @@
+const { DeletionStatus } = require('@prisma/client');
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+const { claimDownload } = require('./shareAccessService');
+const { logDeletionActivity, recordFileEvent } = require('./fileDeletionService');
+
+/**
+ * "Delete after N downloads" (N = 1 is burn-after-reading).
+ *
+ * A file's `downloadsRemaining` goes down by one, through a conditional UPDATE, each time a download URL is
+ * issued for it, whether to its owner, through a share or through a drop link. A file share can carry the limit
+ * instead: with `burnOnLimit`, the share's last allowed download (`maxDownloads`) deletes the file.
+ *
+ * The download that uses up a limit soft-deletes the file in the same transaction, so no other request can get a
+ * URL afterwards, and records a DeletionActivity with reason "download_limit". From there the cleanup service's
+ * hard-delete stage removes it after the soft-delete retention period, which also gives the URL that was just
+ * issued time to be used.
+ */
+
+const DELETION_REASON = 'download_limit';
+
+// Thrown inside the claim transaction to roll back a share download when the file cannot be downloaded.
+class DownloadUnavailableError extends Error {}
+
+// Takes one download from the file. No row when the file is deleted, expired or has no downloads left.
+const takeFileDownload = (client, file) => client.$queryRaw`
+  UPDATE "File"
+  SET "downloadsRemaining" = "downloadsRemaining" - 1
+  WHERE "id" = ${file.id} AND "deletedAt" IS NULL AND ("expiry" IS NULL OR "expiry" > ${new Date()})
+    AND ("downloadsRemaining" IS NULL OR "downloadsRemaining" > 0)
+  RETURNING "downloadsRemaining"`;
+
+/**
+ * Claims a download of `file`, and of `share` when it is downloaded through one; both or neither are counted.
+ * Call it right before issuing the download URL.
+ * @param {object} file - File row.
+ * @param {object|null} [share] - Share row the download goes through.
+ * @returns {Promise<{ error?: string, deleted?: boolean }>} - `error` if the download is not allowed; `deleted`
+ *   if this download used up a limit and the file was deleted.
+ */
+const claimFileDownload = async (file, share = null) => {
+  let deleted;
+  try {
+    deleted = await prisma.$transaction(async (tx) => {
+      let shareUsedUp = false;
+      if (share) {
+        const claimed = await claimDownload(share, tx);
+        if (!claimed) throw new DownloadUnavailableError('Share download limit reached');
+        shareUsedUp = claimed.last && share.burnOnLimit;
+      }
+
+      const [taken] = await takeFileDownload(tx, file);
+      if (!taken) throw new DownloadUnavailableError('File is no longer available');
+
+      if (taken.downloadsRemaining !== 0 && !shareUsedUp) return false;
+      await tx.file.update({ where: { id: file.id }, data: { deletedAt: new Date() } });
+      return true;
+    });
+  } catch (err) {
+    if (err instanceof DownloadUnavailableError) return { error: err.message };
+    throw err;
+  }
+
+  if (deleted) {
+    await logDeletionActivity(file, DELETION_REASON, DeletionStatus.SUCCESS_SOFT_DELETE);
+    await recordFileEvent(file, {
+      type: 'FILE_DELETED',
+      event: 'file:deleted',
+      message: `File deleted after its last allowed download: ${file.fileName}`,
+    });
+    logger.info(`File ${file.id} reached its download limit and was soft-deleted`);
+  }
+  return { deleted };
+};
+
+module.exports = { claimFileDownload };
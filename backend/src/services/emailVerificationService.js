@@ -0,0 +1,58 @@
+const jwt = require('jsonwebtoken');
+const prisma = require('../utils/prisma');
+const config = require('../config');
+const { queueMail } = require('./mailService');
+
+/**
+ * Email address verification.
+ * Registering does not prove that the user owns their email address, so anything granted to an address (shares
+ * addressed to a recipientEmail) only applies once `User.emailVerifiedAt` is set. The user is mailed a link with a
+ * JWT bound to their id and address; opening it sets `emailVerifiedAt`. The token no longer verifies anything if
+ * the address of the account changes in the meantime.
+ */
+
+const { ttlHours } = config.emailVerification;
+const VERIFICATION_AUDIENCE = 'email-verification';
+
+// Mails `user` a link that verifies their current email address.
+const sendVerificationMail = async (user) => {
+  const token = jwt.sign({ userId: user.id, email: user.email }, process.env.JWT_SECRET, {
+    audience: VERIFICATION_AUDIENCE,
+    expiresIn: ttlHours * 60 * 60,
+  });
+  await queueMail({
+    to: user.email,
+    template: 'email-verification',
+    data: {
+      verifyUrl: `${config.appUrl}/verify-email?token=${encodeURIComponent(token)}`,
+      ttlHours,
+    },
+  });
+};
+
+/**
+ * Marks the address in a verification token as verified.
+ * @returns {Promise<{ user: object } | { error: string }>}
+ */
+const verifyEmail = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET, { audience: VERIFICATION_AUDIENCE });
+  } catch (_) {
+    return { error: 'Invalid or expired verification link' };
+  }
+
+  // Only the address the link was sent to; a no-op if it was verified already.
+  await prisma.user.updateMany({
+    where: { id: payload.userId, email: payload.email, emailVerifiedAt: null },
+    data: { emailVerifiedAt: new Date() },
+  });
+  const user = await prisma.user.findUnique({
+    where: { id: payload.userId },
+    select: { id: true, email: true, emailVerifiedAt: true },
+  });
+  if (!user || user.email !== payload.email) return { error: 'Invalid or expired verification link' };
+  return { user };
+};
+
+module.exports = { sendVerificationMail, verifyEmail };
@@ -0,0 +1,37 @@
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+
+/**
+ * In-process event bus for server-side realtime events.
+ * Controllers and services publish domain events (e.g. "file:uploaded") without knowing about Socket.IO;
+ * the socket bridge subscribes and fans each event out to the matching rooms.
+ *
+ * Each event carries:
+ *   - `event`:   the event name, also used as the Socket.IO event name.
+ *   - `payload`: the Activity row written for the same action, so live updates and the activity feed match.
+ *   - `scope`:   which resources the event concerns ({ userIds, fileId, folderId, workspaceId }),
+ *                from which the bridge derives the rooms to notify.
+ */
+const emitter = new EventEmitter();
+
+/**
+ * Publishes an event. Never throws: a failing subscriber must not break the request that published.
+ * @param {string} event - The event name.
+ * @param {object} payload - The Activity row (or equivalent) describing what happened.
+ * @param {{ userIds?: string[], fileId?: string, folderId?: string, workspaceId?: string }} scope
+ */
+const publish = (event, payload, scope = {}) => {
+  try {
+    emitter.emit('event', { event, payload, scope });
+  } catch (err) {
+    logger.error('eventBus publish of %s failed: %s', event, err.message, { stack: err.stack });
+  }
+};
+
+// Registers a handler for every published event. Returns a function that unsubscribes it.
+const subscribe = (handler) => {
+  emitter.on('event', handler);
+  return () => emitter.off('event', handler);
+};
+
+module.exports = { publish, subscribe };
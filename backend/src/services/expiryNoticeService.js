@@ -0,0 +1,79 @@
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { queueMail } = require('./mailService');
+
+/**
+ * "Expires soon" emails. Files that expire within the next expiryNoticeLeadMinutes get one notice, sent to the
+ * owner or, for anonymous drops, to the address given at upload (if any). File.expiryNoticeSentAt records the
+ * notice; code that changes a file's expiry clears it so the new expiry is announced again.
+ */
+
+const { expiryNoticeLeadMinutes } = config.mail;
+const BATCH_SIZE = 100;
+
+// "45 minutes", "1 hour", "2 hours".
+const describeDuration = (ms) => {
+  const minutes = Math.max(Math.round(ms / 60000), 1);
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.round(minutes / 60);
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+/**
+ * Queues notices for files entering the notice window.
+ * @returns {Promise<number>} - How many notices were queued.
+ */
+const sendExpiryNotices = async (now = new Date()) => {
+  const windowEnd = new Date(now.getTime() + expiryNoticeLeadMinutes * 60 * 1000);
+  let queued = 0;
+
+  for (;;) {
+    const files = await prisma.file.findMany({
+      where: {
+        expiry: { gt: now, lte: windowEnd },
+        expiryNoticeSentAt: null,
+        deletedAt: null,
+        uploadStatus: 'COMPLETED',
+      },
+      select: {
+        id: true,
+        fileName: true,
+        expiry: true,
+        owner: { select: { email: true } },
+        anonymousDrop: { select: { notifyEmail: true, revokedAt: true } },
+      },
+      take: BATCH_SIZE,
+    });
+    if (!files.length) break;
+
+    for (const file of files) {
+      // Marked first, so another instance running the same job cannot send it twice.
+      const { count } = await prisma.file.updateMany({
+        where: { id: file.id, expiryNoticeSentAt: null },
+        data: { expiryNoticeSentAt: now },
+      });
+      const drop = file.owner ? null : file.anonymousDrop;
+      const to = file.owner?.email || (drop && !drop.revokedAt ? drop.notifyEmail : null);
+      if (!count || !to) continue;
+
+      await queueMail({
+        to,
+        template: 'expiry-notice',
+        data: {
+          itemKind: drop ? 'drop' : 'file',
+          isDrop: Boolean(drop),
+          fileName: file.fileName,
+          expiresAt: file.expiry.toISOString(),
+          expiresIn: describeDuration(file.expiry.getTime() - now.getTime()),
+        },
+      });
+      queued++;
+    }
+  }
+
+  if (queued) logger.info(`Queued ${queued} expiry notice(s)`);
+  return queued;
+};
+
+module.exports = { sendExpiryNotices };
@@ -0,0 +1,58 @@
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+const { publish } = require('./eventBus');
+
+/**
+ * Records of file deletions, shared by the cleanup service and the download limits, which delete files as soon
+ * as their last allowed download is issued. Both helpers only log their own failures: a deletion that happened
+ * must not be reported as failed because its record could not be written.
+ */
+
+/**
+ * Writes the DeletionActivity row of a deletion step.
+ * @param {object} file - File row, or a storage object with at least s3Key and fileName.
+ * @param {string} reason - e.g. "expired", "download_limit", "hard_delete".
+ * @param {string} status - A DeletionStatus value.
+ * @param {Error|null} [error]
+ */
+const logDeletionActivity = async (file, reason, status, error = null) => {
+  try {
+    await prisma.deletionActivity.create({
+      data: {
+        fileId: file.id || null, // Null for storage objects without a File row
+        userId: file.ownerId || null,
+        s3Key: file.s3Key,
+        fileName: file.fileName,
+        reason,
+        status,
+        error: error ? error.message : null,
+      },
+    });
+  } catch (logError) {
+    logger.error('Failed to log deletion activity for file %s: %s', file.s3Key, logError.message);
+  }
+};
+
+/**
+ * Writes the Activity row for a deletion step on a file and publishes the matching realtime event
+ * with that row as its payload. Hard-deleted files no longer exist, so their row only keeps the ID in metadata.
+ */
+const recordFileEvent = async (file, { type, event, message, fileGone = false }) => {
+  try {
+    const activity = await prisma.activity.create({
+      data: {
+        type,
+        message,
+        userId: file.ownerId || null,
+        fileId: fileGone ? null : file.id,
+        folderId: file.folderId || null,
+        metadata: { fileId: file.id, fileName: file.fileName },
+      },
+    });
+    publish(event, activity, { userIds: [file.ownerId], fileId: file.id, folderId: file.folderId });
+  } catch (eventError) {
+    logger.error('Failed to record %s activity for file %s: %s', type, file.s3Key, eventError.message);
+  }
+};
+
+module.exports = { logDeletionActivity, recordFileEvent };
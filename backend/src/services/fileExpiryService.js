@@ -0,0 +1,179 @@
+const { DeletionStatus } = require('@prisma/client');
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { logDeletionActivity, recordFileEvent } = require('./fileDeletionService');
+
+/**
+ * File expiry.
+ *
+ * Expiry is enforced at read time: every path that serves a file (direct download, share, drop link, file key)
+ * treats a file past its `expiry` as gone, whether or not it has been deleted yet.
+ *
+ * Deletion itself is scheduled. The File table, indexed on `expiry`, is the job queue: it is persistent, so
+ * nothing is lost over a restart, and every instance works from it. The scheduler sleeps until the earliest
+ * pending expiry, but never longer than EXPIRY_MAX_LATENESS_MS, then soft-deletes every file that is due. Code
+ * that sets an expiry calls `scheduleExpiry` to wake it earlier when needed; expiries set by other instances are
+ * picked up on the next wake-up. A file is therefore soft-deleted at most maxLatenessMs (plus the time a run
+ * takes) after its expiry, and then hard-deleted by the cleanup service after the soft-delete retention period.
+ */
+
+const { maxLatenessMs } = config.expiry;
+const BATCH_SIZE = 100;
+
+// False once a file is deleted or past its expiry.
+const isFileAvailable = (file, now = new Date()) => !file.deletedAt && !(file.expiry && file.expiry <= now);
+
+// Prisma filter matching the files isFileAvailable accepts.
+const availableFileWhere = (now = new Date()) => ({
+  deletedAt: null,
+  OR: [{ expiry: null }, { expiry: { gt: now } }],
+});
+
+/**
+ * Soft-deletes every file whose expiry has passed, recording a DeletionActivity ("expired") for each.
+ * @param {Date} [now]
+ * @param {{ since?: Date|null, dryRun?: boolean }} [options] - `since`: only files that expired after it;
+ *   `dryRun`: count them without deleting.
+ * @returns {Promise<number>} - How many files were (or would be) soft-deleted.
+ */
+const expireDueFiles = async (now = new Date(), { since = null, dryRun = false } = {}) => {
+  const due = { expiry: { lte: now, ...(since && { gte: since }) }, deletedAt: null };
+  if (dryRun) return prisma.file.count({ where: due });
+
+  let expired = 0;
+  const failedIds = []; // Not retried in this run, so a file that cannot be updated does not stall the rest
+
+  for (;;) {
+    const files = await prisma.file.findMany({
+      where: { ...due, id: { notIn: failedIds } },
+      orderBy: { expiry: 'asc' },
+      take: BATCH_SIZE,
+    });
+    if (!files.length) break;
+
+    for (const file of files) {
+      try {
+        // Conditional, so a file expired by another instance meanwhile is skipped.
+        const { count } = await prisma.file.updateMany({
+          where: { id: file.id, deletedAt: null },
+          data: { deletedAt: now },
+        });
+        if (!count) continue;
+        await logDeletionActivity(file, 'expired', DeletionStatus.SUCCESS_SOFT_DELETE);
+        await recordFileEvent(file, { type: 'FILE_EXPIRED', event: 'file:expired', message: `File expired: ${file.fileName}` });
+        expired++;
+      } catch (err) {
+        logger.error('Error marking file %s as expired: %s', file.s3Key, err.message);
+        await logDeletionActivity(file, 'expired', DeletionStatus.FAILED_DB, err);
+        failedIds.push(file.id);
+      }
+    }
+  }
+
+  if (expired) logger.info(`Expired ${expired} file(s)`);
+  return expired;
+};
+
+// Earliest expiry still ahead, or null if no file has one.
+const findNextExpiry = async (now = new Date()) => {
+  const next = await prisma.file.findFirst({
+    where: { deletedAt: null, expiry: { gt: now } },
+    orderBy: { expiry: 'asc' },
+    select: { expiry: true },
+  });
+  return next?.expiry || null;
+};
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: timer => clearTimeout(timer),
+};
+
+/**
+ * Creates a scheduler that runs `expire` at each expiry, and at least every `maxLatenessMs`.
+ * @param {object} options
+ * @param {number} options.maxLatenessMs - Longest sleep between runs, i.e. how late an expiry can be handled.
+ * @param {(now: Date) => Promise<number>} options.expire - Expires what is due at `now`.
+ * @param {(now: Date) => Promise<Date|null>} options.findNextExpiry - Earliest expiry after `now`.
+ * @param {{ now: () => number, setTimeout: Function, clearTimeout: Function }} [options.clock] - Replaced by a
+ *   fake clock in tests.
+ * @returns {{ start: () => void, stop: () => void, schedule: (expiry: Date|null) => void }}
+ */
+const createExpiryScheduler = ({ maxLatenessMs: maxSleepMs, expire, findNextExpiry: findNext, clock = systemClock }) => {
+  let timer = null;
+  let wakeAt = null;
+  let running = false;
+  let stopped = true;
+
+  // Wakes up at `at` (ms since epoch), or sooner if already due to.
+  const wakeUpAt = (at) => {
+    const now = clock.now();
+    const target = Math.min(at ?? Infinity, now + maxSleepMs);
+    if (timer && wakeAt <= target) return;
+    if (timer) clock.clearTimeout(timer);
+    wakeAt = target;
+    timer = clock.setTimeout(run, Math.max(target - now, 0));
+    timer?.unref?.();
+  };
+
+  async function run() {
+    timer = null;
+    wakeAt = null;
+    // A run in progress re-arms the timer when it ends, from an up-to-date next expiry.
+    if (running || stopped) return;
+    running = true;
+    let next = null;
+    try {
+      const now = new Date(clock.now());
+      await expire(now);
+      next = await findNext(now);
+    } catch (err) {
+      logger.error('Expiry run failed: %s', err.message, { stack: err.stack });
+    } finally {
+      running = false;
+    }
+    if (!stopped) wakeUpAt(next ? next.getTime() : null);
+  }
+
+  return {
+    // Runs right away, which also catches up on expiries missed while the process was down.
+    start: () => {
+      stopped = false;
+      wakeUpAt(clock.now());
+    },
+    stop: () => {
+      stopped = true;
+      if (timer) clock.clearTimeout(timer);
+      timer = null;
+      wakeAt = null;
+    },
+    // Call after setting a file's expiry, so it is not handled up to maxLatenessMs late.
+    schedule: (expiry) => {
+      if (!stopped && expiry) wakeUpAt(new Date(expiry).getTime());
+    },
+  };
+};
+
+const scheduler = createExpiryScheduler({ maxLatenessMs, expire: expireDueFiles, findNextExpiry });
+
+// Starts the scheduler of this process. Returns a function that stops it.
+const startExpiryScheduler = () => {
+  scheduler.start();
+  logger.info(`Expiry scheduler started (max lateness: ${maxLatenessMs}ms)`);
+  return scheduler.stop;
+};
+
+// Tells this process's scheduler about a new or changed expiry. A no-op before it is started.
+const scheduleExpiry = expiry => scheduler.schedule(expiry);
+
+module.exports = {
+  isFileAvailable,
+  availableFileWhere,
+  expireDueFiles,
+  findNextExpiry,
+  createExpiryScheduler,
+  startExpiryScheduler,
+  scheduleExpiry,
+};
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+
+/**
+ * Locks that keep a background job to one instance at a time.
+ *
+ * A lock is a JobLock row leased until `lockedUntil`. The holder renews the lease while the job runs and deletes
+ * the row when it is done. If the holder dies, nobody renews the lease, and another instance can take the lock
+ * once the lease has run out. So the TTL must be long enough to cover a renewal being late, but short enough
+ * that a crashed job does not block the next run for long.
+ */
+
+/**
+ * Takes the lock `name` unless another process holds an unexpired lease on it.
+ * @param {string} name - Lock name, e.g. "cleanup".
+ * @param {number} ttlMs - Lease length. The lease is renewed every third of it until release.
+ * @returns {Promise<{ release: () => Promise<void> }|null>} - Null if the lock is held elsewhere.
+ */
+const acquireJobLock = async (name, ttlMs) => {
+  const holder = crypto.randomUUID();
+  const now = new Date();
+  const [acquired] = await prisma.$queryRaw`
+    INSERT INTO "JobLock" ("name", "holder", "lockedUntil", "acquiredAt")
+    VALUES (${name}, ${holder}, ${new Date(now.getTime() + ttlMs)}, ${now})
+    ON CONFLICT ("name") DO UPDATE
+    SET "holder" = EXCLUDED."holder", "lockedUntil" = EXCLUDED."lockedUntil", "acquiredAt" = EXCLUDED."acquiredAt"
+    WHERE "JobLock"."lockedUntil" < ${now}
+    RETURNING "holder"`;
+  if (!acquired) return null;
+
+  const renew = async () => {
+    try {
+      const { count } = await prisma.jobLock.updateMany({
+        where: { name, holder },
+        data: { lockedUntil: new Date(Date.now() + ttlMs) },
+      });
+      if (!count) logger.warn(`Lost the lease of job lock ${name}; another instance may run the job too`);
+    } catch (err) {
+      logger.error('Renewing job lock %s failed: %s', name, err.message, { stack: err.stack });
+    }
+  };
+  const timer = setInterval(renew, Math.floor(ttlMs / 3));
+  timer.unref();
+
+  return {
+    release: async () => {
+      clearInterval(timer);
+      await prisma.jobLock.deleteMany({ where: { name, holder } });
+    },
+  };
+};
+
+module.exports = { acquireJobLock };
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const prisma = require('../utils/prisma');
+
+/**
+ * Zero-knowledge key exchange.
+ * Users register an RSA public key generated in their browser; the private key never leaves it. To give someone
+ * access to a file, a client that holds the file's AES key wraps it for the recipient's public key (RSA-OAEP with
+ * SHA-256, as produced by Web Crypto's `wrapKey`) and uploads the result as a Key row. The server only stores and
+ * returns wrapped keys. It checks that each one has the size of an RSA-OAEP ciphertext for the recipient's key,
+ * so a raw AES key sent by mistake is rejected instead of stored.
+ */
+
+const WRAP_ALGORITHM = 'RSA-OAEP-256';
+const MIN_MODULUS_LENGTH = 2048;
+
+/**
+ * Parses a base64-encoded SubjectPublicKeyInfo.
+ * @returns {{ fingerprint: string, modulusLength: number } | { error: string }}
+ */
+const inspectPublicKey = (publicKey) => {
+  const der = Buffer.from(publicKey, 'base64');
+  let key;
+  try {
+    key = crypto.createPublicKey({ key: der, format: 'der', type: 'spki' });
+  } catch (_) {
+    return { error: 'publicKey must be a base64-encoded SPKI public key' };
+  }
+
+  if (key.asymmetricKeyType !== 'rsa') {
+    return { error: `Only RSA public keys are supported for ${WRAP_ALGORITHM}` };
+  }
+  const { modulusLength } = key.asymmetricKeyDetails;
+  if (modulusLength < MIN_MODULUS_LENGTH) {
+    return { error: `RSA public keys must be at least ${MIN_MODULUS_LENGTH} bits` };
+  }
+
+  return { fingerprint: crypto.createHash('sha256').update(der).digest('hex'), modulusLength };
+};
+
+// The public key other users should currently wrap keys for (null if the user has not registered one).
+const getActivePublicKey = (userId) =>
+  prisma.publicKey.findFirst({
+    where: { userId, revokedAt: null },
+    orderBy: { createdAt: 'desc' },
+  });
+
+// True if `wrappedKey` (base64) is exactly one RSA-OAEP block for the given public key record.
+const isWrappedFor = (wrappedKey, publicKeyRecord) => {
+  const { modulusLength } = inspectPublicKey(publicKeyRecord.publicKey);
+  return Buffer.from(wrappedKey, 'base64').length === modulusLength / 8;
+};
+
+const serializePublicKey = ({ id, userId, algorithm, publicKey, fingerprint, createdAt }) => ({
+  id,
+  userId,
+  algorithm,
+  publicKey,
+  fingerprint,
+  createdAt,
+});
+
+module.exports = { WRAP_ALGORITHM, inspectPublicKey, getActivePublicKey, isWrappedFor, serializePublicKey };
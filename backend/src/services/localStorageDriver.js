@@ -0,0 +1,419 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const express = require('express');
+const logger = require('../utils/logger');
+const { InvalidKeyError, keySegments } = require('./storageKeys');
+
+/**
+ * Storage driver that keeps objects in a directory on this server, for development, tests and self-hosting
+ * without AWS (see storageService for the interface).
+ *
+ * Clients use it exactly like the S3 driver: the API hands out signed URLs, and the client PUTs and GETs file
+ * contents at them. The URLs point to `router`, which the server mounts at /storage. Each carries an expiry and an
+ * HMAC (STORAGE_LOCAL_SIGNING_SECRET) over the operation, key, expiry and, where they apply, upload ID, part
+ * number and content type, so a URL only allows what it was issued for, until it expires.
+ *
+ * Layout under `dir`:
+ *   objects/<segment>/.../@data        object contents, one directory per key segment
+ *   objects/<segment>/.../@meta.json   { contentType, eTag }
+ *   multipart/<uploadId>/upload.json   { key, contentType, initiated }
+ *   multipart/<uploadId>/<partNumber>  uploaded parts
+ *   tmp/                               writes in progress, moved into place once complete
+ * Directory names are the URI-encoded segments, which never contain "@", so an object and objects under it as a
+ * prefix ("a" and "a/b") can both exist, as in S3.
+ * Listings walk the directory tree, so they get slow with very many objects. Several backend instances can only
+ * use this driver if `dir` is on storage they share.
+ */
+
+const PAGE_SIZE = 1000;
+const MAX_PART_NUMBER = 10000;
+const UPLOAD_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Failure of a storage operation that the caller caused, named like the matching S3 error.
+class LocalStorageError extends Error {
+  constructor(name, message, statusCode) {
+    super(message);
+    this.name = name;
+    this.statusCode = statusCode;
+  }
+}
+
+const DATA_FILE = '@data';
+const META_FILE = '@meta.json';
+
+// Plain code-unit order, as S3 lists keys.
+const compareKeys = (a, b) => {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+};
+
+const quote = md5 => `"${md5.toString('hex')}"`;
+const unquote = eTag => String(eTag).replace(/^"|"$/g, '');
+
+const isMissing = err => err.code === 'ENOENT' || err.code === 'ENOTDIR';
+
+const readJson = async (file) => {
+  try {
+    return JSON.parse(await fsp.readFile(file, 'utf8'));
+  } catch (err) {
+    if (isMissing(err)) return null;
+    throw err;
+  }
+};
+
+/**
+ * Creates the driver.
+ * @param {{ dir: string, publicUrl: string, signingSecret: string }} options
+ */
+const createLocalDriver = ({ dir, publicUrl, signingSecret }) => {
+  if (!signingSecret) {
+    throw new Error('STORAGE_LOCAL_SIGNING_SECRET must be set to use the local storage driver');
+  }
+
+  const root = path.resolve(dir);
+  const objectsDir = path.join(root, 'objects');
+  const multipartDir = path.join(root, 'multipart');
+  const tmpDir = path.join(root, 'tmp');
+
+  const objectDir = key => path.join(objectsDir, ...keySegments(key).map(encodeURIComponent));
+  const objectPath = key => path.join(objectDir(key), DATA_FILE);
+  const metaPath = key => path.join(objectDir(key), META_FILE);
+  const uploadDir = (uploadId) => {
+    if (!UPLOAD_ID_PATTERN.test(uploadId)) throw new LocalStorageError('NoSuchUpload', 'Upload not found', 404);
+    return path.join(multipartDir, uploadId);
+  };
+
+  // The multipart upload `uploadId` of `key`, or an error if there is none.
+  const findUpload = async (key, uploadId) => {
+    const upload = await readJson(path.join(uploadDir(uploadId), 'upload.json'));
+    if (!upload || upload.key !== key) throw new LocalStorageError('NoSuchUpload', 'Upload not found', 404);
+    return upload;
+  };
+
+  // Renames `file` to `target`, creating its directory. Retried if a delete prunes the directory in between.
+  const moveIntoPlace = async (file, target) => {
+    for (let attempt = 1; ; attempt++) {
+      await fsp.mkdir(path.dirname(target), { recursive: true });
+      try {
+        return await fsp.rename(file, target);
+      } catch (err) {
+        if (err.code !== 'ENOENT' || attempt === 3) throw err;
+      }
+    }
+  };
+
+  // Removes `directory` and then its parents, up to objects/, as long as they are empty.
+  const pruneEmptyDirs = async (directory) => {
+    while (directory.startsWith(`${objectsDir}${path.sep}`)) {
+      try {
+        await fsp.rmdir(directory);
+      } catch (err) {
+        if (err.code === 'ENOTEMPTY' || err.code === 'EEXIST' || isMissing(err)) return;
+        throw err;
+      }
+      directory = path.dirname(directory);
+    }
+  };
+
+  // Streams `source` into `target` through a temporary file. Resolves to the MD5 of what was written.
+  const writeFile = async (source, target) => {
+    await fsp.mkdir(tmpDir, { recursive: true });
+    const tmp = path.join(tmpDir, crypto.randomUUID());
+    const hash = crypto.createHash('md5');
+    try {
+      await pipeline(
+        source,
+        new Transform({
+          transform(chunk, _encoding, callback) {
+            hash.update(chunk);
+            callback(null, chunk);
+          },
+        }),
+        fs.createWriteStream(tmp),
+      );
+      await moveIntoPlace(tmp, target);
+    } catch (err) {
+      await fsp.rm(tmp, { force: true });
+      throw err;
+    }
+    return hash.digest();
+  };
+
+  const md5OfFile = async (file) => {
+    const hash = crypto.createHash('md5');
+    for await (const chunk of fs.createReadStream(file)) hash.update(chunk);
+    return hash.digest();
+  };
+
+  const putObject = async (key, source, contentType) => {
+    const md5 = await writeFile(source, objectPath(key));
+    const eTag = quote(md5);
+    await fsp.writeFile(metaPath(key), JSON.stringify({ contentType: contentType || null, eTag }));
+    return eTag;
+  };
+
+  // --- Signed URLs ---
+
+  const sign = ({ op, key, expires, uploadId = '', partNumber = '', contentType = '' }) => crypto
+    .createHmac('sha256', signingSecret)
+    .update([op, key, expires, uploadId, partNumber, contentType].join('\n'))
+    .digest('base64url');
+
+  const presign = ({ op, key, expiresIn, ...params }) => {
+    keySegments(key);
+    const expires = String(Math.floor(Date.now() / 1000) + expiresIn);
+    const query = Object.fromEntries(Object.entries(params).map(([name, value]) => [name, String(value)]));
+    const signature = sign({ op, key, expires, ...query });
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${publicUrl}/objects/${encodedKey}?${new URLSearchParams({ ...query, expires, signature })}`;
+  };
+
+  // Checks that the request's URL was signed for `op` on `key` and has not expired.
+  const verifySignature = (req, op, key) => {
+    const fields = ['expires', 'signature', 'uploadId', 'partNumber', 'contentType'];
+    const malformed = fields.some(field => req.query[field] !== undefined && typeof req.query[field] !== 'string');
+    if (malformed || !/^\d+$/.test(req.query.expires || '')) {
+      throw new LocalStorageError('AccessDenied', 'Invalid signed URL', 403);
+    }
+    const { expires, signature = '', uploadId, partNumber, contentType } = req.query;
+    const expected = Buffer.from(sign({ op, key, expires, uploadId, partNumber, contentType }));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw new LocalStorageError('AccessDenied', 'Invalid signed URL', 403);
+    }
+    if (Number(expires) * 1000 < Date.now()) {
+      throw new LocalStorageError('AccessDenied', 'Signed URL has expired', 403);
+    }
+  };
+
+  // --- Routes serving the signed URLs ---
+
+  const router = express.Router();
+
+  // Upload of a whole object, or of one part when the URL names an upload.
+  router.put('/objects/*', async (req, res, next) => {
+    try {
+      const key = req.params[0];
+      const { uploadId, partNumber, contentType } = req.query;
+
+      if (uploadId) {
+        verifySignature(req, 'part', key);
+        await findUpload(key, uploadId);
+        const md5 = await writeFile(req, path.join(uploadDir(uploadId), partNumber));
+        return res.set('ETag', quote(md5)).status(200).end();
+      }
+
+      verifySignature(req, 'put', key);
+      // Like S3, the content type fixed when the URL was issued must be sent with the upload.
+      if (contentType && req.get('Content-Type') !== contentType) {
+        throw new LocalStorageError('AccessDenied', 'Content-Type does not match the signed URL', 403);
+      }
+      const eTag = await putObject(key, req, contentType);
+      res.set('ETag', eTag).status(200).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/objects/*', async (req, res, next) => {
+    try {
+      const key = req.params[0];
+      verifySignature(req, 'get', key);
+      const meta = await readJson(metaPath(key));
+      if (!meta) throw new LocalStorageError('NoSuchKey', 'Object not found', 404);
+
+      // setHeader, not set: Express would append a charset, and the type must come back as it was stored.
+      res.setHeader('Content-Type', meta.contentType || 'application/octet-stream');
+      res.set({
+        ETag: meta.eTag,
+        'Cache-Control': 'private, no-store',
+        // Downloads are fetched from the web app's origin.
+        'Cross-Origin-Resource-Policy': 'cross-origin',
+      });
+      res.sendFile(objectPath(key), { dotfiles: 'allow', etag: false }, (err) => {
+        if (!err || res.headersSent) return;
+        next(isMissing(err) ? new LocalStorageError('NoSuchKey', 'Object not found', 404) : err);
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.use((err, req, res, _next) => {
+    if (!(err instanceof LocalStorageError || err instanceof InvalidKeyError)) {
+      logger.error('Local storage request failed: %s', err.message, { stack: err.stack });
+      return res.status(500).json({ error: 'Storage request failed' });
+    }
+    res.status(err.statusCode).json({ error: err.message });
+  });
+
+  return {
+    router,
+
+    presignPutObject: async ({ key, mimeType, expiresIn }) => ({
+      url: presign({ op: 'put', key, expiresIn, ...(mimeType && { contentType: mimeType }) }),
+      key,
+      expiresIn,
+    }),
+
+    getPresignedDownloadUrl: async ({ key, expiresIn }) => ({
+      url: presign({ op: 'get', key, expiresIn }),
+      key,
+      expiresIn,
+    }),
+
+    createMultipart: async ({ key, mimeType }) => {
+      keySegments(key);
+      const uploadId = crypto.randomUUID();
+      await fsp.mkdir(uploadDir(uploadId), { recursive: true });
+      await fsp.writeFile(
+        path.join(uploadDir(uploadId), 'upload.json'),
+        JSON.stringify({ key, contentType: mimeType || null, initiated: new Date().toISOString() }),
+      );
+      return { uploadId };
+    },
+
+    presignPart: async ({ key, uploadId, partNumber, expiresIn }) => {
+      if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > MAX_PART_NUMBER) {
+        throw new LocalStorageError('InvalidArgument', `Invalid part number: ${partNumber}`, 400);
+      }
+      return { partNumber, url: presign({ op: 'part', key, expiresIn, uploadId, partNumber }), expiresIn };
+    },
+
+    // Concatenates the parts in order. Like S3, every listed part must exist with the given ETag, and the
+    // object's ETag is the MD5 of the parts' MD5s followed by the number of parts.
+    completeMultipart: async ({ key, uploadId, parts }) => {
+      const upload = await findUpload(key, uploadId);
+      if (!parts.length) throw new LocalStorageError('InvalidPart', 'No parts given', 400);
+
+      const sorted = [...parts].sort((a, b) => a.partNumber - b.partNumber);
+      const files = [];
+      const md5s = [];
+      for (const part of sorted) {
+        const file = path.join(uploadDir(uploadId), String(part.partNumber));
+        let md5;
+        try {
+          md5 = await md5OfFile(file);
+        } catch (err) {
+          if (!isMissing(err)) throw err;
+        }
+        if (!md5 || md5.toString('hex') !== unquote(part.eTag)) {
+          throw new LocalStorageError('InvalidPart', `Part ${part.partNumber} was not uploaded as given`, 400);
+        }
+        files.push(file);
+        md5s.push(md5);
+      }
+
+      async function* concatenate() {
+        for (const file of files) yield* fs.createReadStream(file);
+      }
+      await writeFile(concatenate(), objectPath(key));
+      const eTag = `"${crypto.createHash('md5').update(Buffer.concat(md5s)).digest('hex')}-${md5s.length}"`;
+      await fsp.writeFile(metaPath(key), JSON.stringify({ contentType: upload.contentType, eTag }));
+      await fsp.rm(uploadDir(uploadId), { recursive: true, force: true });
+      return { key, eTag };
+    },
+
+    abortMultipart: async ({ key, uploadId }) => {
+      await findUpload(key, uploadId);
+      await fsp.rm(uploadDir(uploadId), { recursive: true, force: true });
+      logger.info(`Aborted multipart upload: ${uploadId} for key: ${key}`);
+    },
+
+    headObject: async ({ key }) => {
+      let stat;
+      try {
+        stat = await fsp.stat(objectPath(key));
+      } catch (err) {
+        if (isMissing(err)) return null;
+        throw err;
+      }
+      const meta = await readJson(metaPath(key)) || {};
+      return { size: stat.size, contentType: meta.contentType || null, eTag: meta.eTag || null };
+    },
+
+    deleteObjects: async ({ keys }) => {
+      const deleted = [];
+      const errors = [];
+      for (const key of keys) {
+        try {
+          await fsp.rm(objectPath(key), { force: true });
+          await fsp.rm(metaPath(key), { force: true });
+          await pruneEmptyDirs(objectDir(key));
+          deleted.push(key);
+        } catch (err) {
+          logger.error('Failed to delete stored object %s: %s', key, err.message);
+          errors.push(key);
+        }
+      }
+      return { deleted, errors };
+    },
+
+    listMultipartUploads: async ({ prefix = '', keyMarker, uploadIdMarker, maxUploads = PAGE_SIZE }) => {
+      let uploadIds = [];
+      try {
+        uploadIds = await fsp.readdir(multipartDir);
+      } catch (err) {
+        if (!isMissing(err)) throw err;
+      }
+
+      const uploads = [];
+      for (const uploadId of uploadIds.filter(id => UPLOAD_ID_PATTERN.test(id))) {
+        const upload = await readJson(path.join(multipartDir, uploadId, 'upload.json'));
+        if (upload && upload.key.startsWith(prefix)) {
+          uploads.push({ key: upload.key, uploadId, initiated: new Date(upload.initiated) });
+        }
+      }
+      uploads.sort((a, b) => compareKeys(a.key, b.key) || compareKeys(a.uploadId, b.uploadId));
+
+      // Same paging as S3: after keyMarker, or after uploadIdMarker within keyMarker.
+      const remaining = uploads.filter(upload => !keyMarker || upload.key > keyMarker
+        || (upload.key === keyMarker && uploadIdMarker && upload.uploadId > uploadIdMarker));
+      const page = remaining.slice(0, maxUploads);
+      const last = remaining.length > maxUploads ? page[page.length - 1] : null;
+      return { uploads: page, nextKeyMarker: last?.key, nextUploadIdMarker: last?.uploadId };
+    },
+
+    // The continuation token is the last key of the previous page.
+    listObjects: async ({ prefix = '', continuationToken, maxKeys = PAGE_SIZE }) => {
+      const objects = [];
+      // `keyPrefix` is the key of `directory` followed by "/", or '' for objects/ itself.
+      const walk = async (directory, keyPrefix) => {
+        let entries;
+        try {
+          entries = await fsp.readdir(directory, { withFileTypes: true });
+        } catch (err) {
+          if (isMissing(err)) return;
+          throw err;
+        }
+        for (const entry of entries) {
+          const entryPath = path.join(directory, entry.name);
+          if (entry.name === DATA_FILE && keyPrefix) {
+            const key = keyPrefix.slice(0, -1);
+            if (key.startsWith(prefix) && (!continuationToken || key > continuationToken)) {
+              const stat = await fsp.stat(entryPath);
+              objects.push({ key, size: stat.size, lastModified: stat.mtime });
+            }
+          } else if (entry.isDirectory()) {
+            const subPrefix = `${keyPrefix}${decodeURIComponent(entry.name)}/`;
+            if (prefix.startsWith(subPrefix) || subPrefix.startsWith(prefix)) await walk(entryPath, subPrefix);
+          }
+        }
+      };
+      await walk(objectsDir, '');
+
+      objects.sort((a, b) => compareKeys(a.key, b.key));
+      const page = objects.slice(0, maxKeys);
+      return {
+        objects: page,
+        nextContinuationToken: objects.length > maxKeys ? page[page.length - 1].key : undefined,
+      };
+    },
+  };
+};
+
+module.exports = { createLocalDriver };
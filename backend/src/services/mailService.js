@@ -0,0 +1,130 @@
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { createTransport } = require('./mailTransports');
+const { renderTemplate } = require('./mailTemplates');
+
+/**
+ * Outgoing email.
+ * `queueMail` renders a template and stores the message in the MailMessage table; it never talks to the mail
+ * server, so a slow or unreachable SMTP server cannot hold up the request that triggered the email. A worker in
+ * every backend instance drains the queue: each message is claimed with FOR UPDATE SKIP LOCKED, sent through the
+ * configured transport, and on failure retried with exponential backoff until maxAttempts is reached. A message
+ * whose worker died mid-send becomes claimable again once its lock expires.
+ */
+
+const { transport: transportName, from, maxAttempts, retryBaseMs, pollIntervalMs } = config.mail;
+const BATCH_SIZE = 10;
+const SEND_LOCK_MS = 5 * 60 * 1000;
+
+let transport;
+const getTransport = () => {
+  if (!transport) transport = createTransport(transportName, config.mail);
+  return transport;
+};
+
+/**
+ * Queues an email. Never throws: failing to queue an email must not fail the action that triggered it.
+ * @param {{ to: string, template: string, data: object }} mail
+ * @returns {Promise<object|null>} - The queued MailMessage, or null if it could not be queued.
+ */
+const queueMail = async ({ to, template, data }) => {
+  try {
+    const { version, subject, text, html } = renderTemplate(template, data);
+    const message = await prisma.mailMessage.create({
+      data: { to, template, templateVersion: version, subject, text, html },
+    });
+    // Send right away instead of waiting for the next poll.
+    setImmediate(processMailQueue);
+    return message;
+  } catch (err) {
+    logger.error('queueMail of %s failed: %s', template, err.message, { stack: err.stack });
+    return null;
+  }
+};
+
+// Claims due messages (new, retry due, or abandoned mid-send) for this worker.
+const claimDueMessages = (now) => prisma.$queryRaw`
+  UPDATE "MailMessage"
+  SET "status" = 'SENDING', "attempts" = "attempts" + 1, "lockedUntil" = ${new Date(now.getTime() + SEND_LOCK_MS)},
+      "updatedAt" = CURRENT_TIMESTAMP
+  WHERE "id" IN (
+    SELECT "id" FROM "MailMessage"
+    WHERE ("status" = 'PENDING' AND "nextAttemptAt" <= ${now})
+       OR ("status" = 'SENDING' AND "lockedUntil" < ${now})
+    ORDER BY "nextAttemptAt"
+    LIMIT ${BATCH_SIZE}
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING *`;
+
+// Bodies are dropped once a message is settled; they can hold OTPs and share links.
+const settledFields = { text: null, html: null, lockedUntil: null };
+
+const sendMessage = async (message) => {
+  try {
+    await getTransport().send({ from, to: message.to, subject: message.subject, text: message.text, html: message.html });
+    await prisma.mailMessage.update({
+      where: { id: message.id },
+      data: { ...settledFields, status: 'SENT', sentAt: new Date(), lastError: null },
+    });
+    return true;
+  } catch (err) {
+    const givingUp = message.attempts >= maxAttempts;
+    logger.warn(`Mail ${message.id} (${message.template}) attempt ${message.attempts} failed: ${err.message}`);
+    await prisma.mailMessage.update({
+      where: { id: message.id },
+      data: givingUp
+        ? { ...settledFields, status: 'FAILED', lastError: err.message }
+        : {
+          status: 'PENDING',
+          lockedUntil: null,
+          lastError: err.message,
+          nextAttemptAt: new Date(Date.now() + retryBaseMs * 2 ** (message.attempts - 1)),
+        },
+    });
+    if (givingUp) logger.error(`Mail ${message.id} (${message.template}) to ${message.to} failed permanently`);
+    return false;
+  }
+};
+
+let processing = false;
+
+/**
+ * Sends every message that is due. Runs one batch after another until none are left; overlapping calls in the
+ * same process return immediately.
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+const processMailQueue = async () => {
+  const totals = { sent: 0, failed: 0 };
+  if (processing) return totals;
+  processing = true;
+  try {
+    for (;;) {
+      const messages = await claimDueMessages(new Date());
+      if (!messages.length) break;
+      for (const message of messages) {
+        if (await sendMessage(message)) totals.sent++;
+        else totals.failed++;
+      }
+    }
+  } catch (err) {
+    logger.error('processMailQueue failed: %s', err.message, { stack: err.stack });
+  } finally {
+    processing = false;
+  }
+  return totals;
+};
+
+let timer = null;
+
+// Starts polling the queue. Returns a function that stops it.
+const startMailWorker = () => {
+  getTransport(); // Fail at startup on an unknown MAIL_TRANSPORT
+  timer = setInterval(() => processMailQueue(), pollIntervalMs);
+  timer.unref();
+  logger.info(`Mail worker started (transport: ${transportName})`);
+  return () => clearInterval(timer);
+};
+
+module.exports = { queueMail, processMailQueue, startMailWorker };
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Email templates, versioned in the repo under src/templates/mail/<template>/v<N>/:
+ *
+ *   subject.txt   body.txt   body.html
+ *
+ * `{{name}}` inserts a value (HTML-escaped in body.html) and `{{#name}}...{{/name}}` keeps its content only when
+ * the value is set. A changed email gets a new version directory rather than an edit, so the version recorded on
+ * each queued message always identifies the wording it was sent with.
+ */
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'mail');
+const PARTS = { subject: 'subject.txt', text: 'body.txt', html: 'body.html' };
+
+const cache = new Map();
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const isSet = (value) => value !== undefined && value !== null && value !== '' && value !== false;
+
+const fill = (source, data, escape) => source
+  .replace(/{{#(\w+)}}([\s\S]*?){{\/\1}}/g, (_, key, content) => (isSet(data[key]) ? content : ''))
+  .replace(/{{(\w+)}}/g, (_, key) => (isSet(data[key]) ? escape(data[key]) : ''));
+
+// Versions available for a template, highest first.
+const listVersions = (template) => {
+  const dir = path.join(TEMPLATE_DIR, template);
+  if (!fs.existsSync(dir)) throw new Error(`Unknown mail template "${template}"`);
+  return fs.readdirSync(dir)
+    .map(entry => /^v(\d+)$/.exec(entry))
+    .filter(Boolean)
+    .map(match => Number(match[1]))
+    .sort((a, b) => b - a);
+};
+
+const loadTemplate = (template, version) => {
+  const cacheKey = `${template}@${version}`;
+  if (!cache.has(cacheKey)) {
+    const dir = path.join(TEMPLATE_DIR, template, `v${version}`);
+    const sources = {};
+    for (const [part, fileName] of Object.entries(PARTS)) {
+      sources[part] = fs.readFileSync(path.join(dir, fileName), 'utf8');
+    }
+    cache.set(cacheKey, sources);
+  }
+  return cache.get(cacheKey);
+};
+
+/**
+ * Renders a template.
+ * @param {string} template - Template name, e.g. "share-invite".
+ * @param {object} data - Values for the placeholders.
+ * @param {number} [version] - Defaults to the latest version.
+ * @returns {{ version: number, subject: string, text: string, html: string }}
+ */
+const renderTemplate = (template, data, version = listVersions(template)[0]) => {
+  const sources = loadTemplate(template, version);
+  return {
+    version,
+    subject: fill(sources.subject, data, String).trim(),
+    text: fill(sources.text, data, String),
+    html: fill(sources.html, data, escapeHtml),
+  };
+};
+
+module.exports = { renderTemplate };
@@ -0,0 +1,71 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+/**
+ * Mail transports. A transport is an object with `send(message)`, where a message is
+ * `{ from, to, subject, text, html }`; it resolves once the message is accepted and rejects if it was not.
+ * Transports are created by name from config.mail, and other ones can be added with `registerTransport`.
+ */
+
+const factories = {
+  // Delivers through an SMTP server.
+  smtp: ({ smtp }) => {
+    const transporter = nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+      // A stalled server fails the attempt, which is then retried, instead of holding the queue.
+      connectionTimeout: 10000,
+      greetingTimeout: 10000,
+      socketTimeout: 30000,
+    });
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        return { id: info.messageId };
+      },
+    };
+  },
+
+  // Writes each message as a JSON file, for local development and tests.
+  file: ({ fileDir }) => ({
+    send: async (message) => {
+      const id = crypto.randomUUID();
+      await fs.mkdir(fileDir, { recursive: true });
+      await fs.writeFile(path.join(fileDir, `${Date.now()}-${id}.json`), JSON.stringify(message, null, 2));
+      return { id };
+    },
+  }),
+
+  // Logs each message.
+  console: () => ({
+    send: async (message) => {
+      const id = crypto.randomUUID();
+      logger.info(`[Mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+      return { id };
+    },
+  }),
+};
+
+/**
+ * Adds a transport that can then be selected with MAIL_TRANSPORT.
+ * @param {string} name
+ * @param {(options: object) => { send: (message: object) => Promise<{ id?: string }> }} factory
+ */
+const registerTransport = (name, factory) => {
+  factories[name] = factory;
+};
+
+const createTransport = (name, options) => {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport "${name}" (available: ${Object.keys(factories).join(', ')})`);
+  }
+  return factory(options);
+};
+
+module.exports = { registerTransport, createTransport };
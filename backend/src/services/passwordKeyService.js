@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+
+/**
+ * Password-derived keys for PASSWORD_KEY shares.
+ * The sharer's client runs PBKDF2-SHA256 over the share password twice, with the same iteration count and two
+ * different salts:
+ *
+ *   PBKDF2(password, kdfSalt)      -> AES-KW key that wraps each shared file's AES key
+ *   PBKDF2(password, verifierSalt) -> 32-byte verifier, sent to the server instead of the password
+ *
+ * The server stores the KDF parameters, a hash of the verifier and the wrapped keys (as Key rows without a
+ * recipient). Recipients first get only the verifier's salt and iteration count; once they present a matching
+ * verifier they receive kdfSalt and the wrapped keys, and unwrap them locally. A database leak therefore yields
+ * nothing that decrypts a file without guessing the password through the KDF.
+ */
+
+const KDF_ALGORITHM = 'PBKDF2-SHA256';
+const PASSWORD_WRAP_ALGORITHM = 'AES-KW';
+
+// AES-KW output is the wrapped key plus one 8-byte block; file keys are AES-128, -192 or -256.
+const WRAPPED_KEY_LENGTHS = [16, 24, 32].map(length => length + 8);
+
+const isKeyWrapCiphertext = (wrappedKey) =>
+  WRAPPED_KEY_LENGTHS.includes(Buffer.from(wrappedKey, 'base64').length);
+
+// Hashes the decoded bytes, so equivalent base64 spellings of a verifier compare equal.
+const hashVerifier = (verifier) =>
+  crypto.createHash('sha256').update(Buffer.from(verifier, 'base64')).digest('hex');
+
+const verifierMatches = (share, verifier) => {
+  if (!verifier || !share.verifierHash) return false;
+  const expected = Buffer.from(share.verifierHash, 'hex');
+  const actual = Buffer.from(hashVerifier(verifier), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// What a recipient needs to compute the verifier. Safe to return before access is granted.
+const getVerifierParams = (share) => ({
+  algorithm: share.kdfAlgorithm,
+  iterations: share.kdfIterations,
+  salt: share.verifierSalt,
+});
+
+// What a recipient needs to derive the wrapping key. Only returned after the verifier check.
+const getKeyDerivationParams = (share) => ({
+  algorithm: share.kdfAlgorithm,
+  iterations: share.kdfIterations,
+  salt: share.kdfSalt,
+});
+
+// Share columns for a validated `passwordKey` request body.
+const toShareKdfFields = ({ algorithm = KDF_ALGORITHM, iterations, salt, verifierSalt, verifier }) => ({
+  kdfAlgorithm: algorithm,
+  kdfIterations: iterations,
+  kdfSalt: salt,
+  verifierSalt,
+  verifierHash: hashVerifier(verifier),
+});
+
+module.exports = {
+  KDF_ALGORITHM,
+  PASSWORD_WRAP_ALGORITHM,
+  isKeyWrapCiphertext,
+  verifierMatches,
+  getVerifierParams,
+  getKeyDerivationParams,
+  toShareKdfFields,
+};
@@ -0,0 +1,182 @@
+const { randomUUID } = require('crypto');
+const { Client } = require('pg');
+const { Adapter } = require('socket.io-adapter');
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+
+/**
+ * Socket.IO adapter that fans room broadcasts out to every backend instance over Postgres LISTEN/NOTIFY.
+ *
+ * Each instance broadcasts to its own sockets as usual and publishes the packet with `pg_notify`. Every other
+ * instance holds a dedicated LISTEN connection and replays received packets to its local sockets in the same
+ * rooms. Packets that exceed the NOTIFY payload limit travel through the SocketEventAttachment table instead.
+ * Broadcast payloads must be JSON-serialisable (binary attachments are only delivered locally).
+ *
+ * Delivery is at most once. Postgres does not queue notifications for a listener that is not connected, so
+ * broadcasts that other instances publish while this instance's LISTEN connection is down (from the drop until it
+ * has reconnected) never reach the sockets here, and they are not replayed. The gap is logged as a warning once the
+ * listener is back; clients that must not miss an event should refetch state when it matters.
+ *
+ * Usage:
+ *   const pubsub = createPostgresAdapter({ connectionString: process.env.DATABASE_URL });
+ *   io.adapter(pubsub.Adapter);
+ *   ...
+ *   await pubsub.close();
+ *
+ * With Neon, `connectionString` must be a direct (non-pooled) URL: LISTEN does not work through PgBouncer.
+ */
+
+// Postgres rejects NOTIFY payloads of 8000 bytes or more; keep a margin for the envelope.
+const MAX_NOTIFY_PAYLOAD_BYTES = 7800;
+const RECONNECT_MIN_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30 * 1000;
+// Attachments only need to live long enough for every listener to fetch them.
+const ATTACHMENT_TTL_MS = 60 * 1000;
+
+/**
+ * @param {object} options
+ * @param {string} options.connectionString - Postgres URL for the LISTEN connection.
+ * @param {string} [options.channel='socketio'] - NOTIFY channel shared by all instances.
+ * @param {object} [options.prismaClient] - Prisma client used to publish (defaults to the shared one).
+ * @returns {{ Adapter: Function, uid: string, close: () => Promise<void> }}
+ */
+const createPostgresAdapter = ({ connectionString, channel = 'socketio', prismaClient = prisma }) => {
+  const uid = randomUUID(); // Identifies this instance so it ignores its own notifications
+  const adapters = new Map(); // Namespace name -> adapter
+  const retiredClients = new WeakSet();
+  let listener = null;
+  let closed = false;
+  let reconnectDelay = RECONNECT_MIN_DELAY_MS;
+  let reconnectTimer = null;
+  let listenerLostAt = null; // When the last LISTEN connection dropped, until a new one is listening
+
+  const onNotification = async (msg) => {
+    if (msg.channel !== channel) return;
+    try {
+      let message = JSON.parse(msg.payload);
+      if (message.uid === uid) return;
+
+      if (message.attachmentId) {
+        const attachment = await prismaClient.socketEventAttachment.findUnique({ where: { id: message.attachmentId } });
+        if (!attachment) {
+          logger.warn(`[SocketPubSub] Attachment ${message.attachmentId} expired before it was read`);
+          return;
+        }
+        message = JSON.parse(attachment.payload);
+      }
+
+      const adapter = adapters.get(message.nsp);
+      if (adapter) adapter.onRemoteBroadcast(message);
+    } catch (err) {
+      logger.error('[SocketPubSub] Failed to handle notification: %s', err.message, { stack: err.stack });
+    }
+  };
+
+  // Drops a broken LISTEN connection and tries again with exponential backoff.
+  const scheduleReconnect = (failedClient, reason) => {
+    if (closed || retiredClients.has(failedClient)) return;
+    retiredClients.add(failedClient);
+    if (listener === failedClient) {
+      listener = null;
+      listenerLostAt = listenerLostAt || new Date();
+    }
+    failedClient.end().catch(() => {});
+
+    logger.warn(`[SocketPubSub] Listener disconnected (${reason}); reconnecting in ${reconnectDelay}ms`);
+    reconnectTimer = setTimeout(connect, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_DELAY_MS);
+  };
+
+  const connect = async () => {
+    reconnectTimer = null;
+    if (closed) return;
+
+    const client = new Client({ connectionString });
+    client.on('notification', onNotification);
+    client.on('error', (err) => scheduleReconnect(client, err.message));
+    client.on('end', () => scheduleReconnect(client, 'connection ended'));
+
+    try {
+      await client.connect();
+      await client.query(`LISTEN ${client.escapeIdentifier(channel)}`);
+      listener = client;
+      reconnectDelay = RECONNECT_MIN_DELAY_MS;
+      logger.info(`[SocketPubSub] Listening on channel "${channel}" (instance ${uid})`);
+      if (listenerLostAt) {
+        logger.warn(`[SocketPubSub] Broadcasts from other instances since ${listenerLostAt.toISOString()} were not delivered to this instance's sockets`);
+        listenerLostAt = null;
+      }
+    } catch (err) {
+      scheduleReconnect(client, err.message);
+    }
+  };
+
+  const publish = async (message) => {
+    let payload = JSON.stringify({ uid, ...message });
+    if (Buffer.byteLength(payload) > MAX_NOTIFY_PAYLOAD_BYTES) {
+      const attachment = await prismaClient.socketEventAttachment.create({ data: { payload } });
+      payload = JSON.stringify({ uid, attachmentId: attachment.id });
+    }
+    await prismaClient.$executeRaw`SELECT pg_notify(${channel}, ${payload})`;
+  };
+
+  const pruneAttachments = () =>
+    prismaClient.socketEventAttachment
+      .deleteMany({ where: { createdAt: { lt: new Date(Date.now() - ATTACHMENT_TTL_MS) } } })
+      .catch(err => logger.warn(`[SocketPubSub] Failed to prune attachments: ${err.message}`));
+  const pruneTimer = setInterval(pruneAttachments, ATTACHMENT_TTL_MS);
+  pruneTimer.unref();
+
+  class PostgresAdapter extends Adapter {
+    constructor(nsp) {
+      super(nsp);
+      adapters.set(nsp.name, this);
+    }
+
+    // Delivers locally, then relays to the other instances unless the broadcast is flagged local-only.
+    broadcast(packet, opts) {
+      super.broadcast(packet, opts);
+      if (opts.flags?.local) return;
+
+      publish({
+        nsp: this.nsp.name,
+        packet,
+        opts: {
+          rooms: [...opts.rooms],
+          except: [...(opts.except || [])],
+          flags: opts.flags || {},
+        },
+      }).catch(err => logger.error('[SocketPubSub] Failed to publish broadcast: %s', err.message, { stack: err.stack }));
+    }
+
+    // Replays a broadcast published by another instance to the sockets connected here.
+    onRemoteBroadcast({ packet, opts }) {
+      super.broadcast(packet, {
+        rooms: new Set(opts.rooms),
+        except: new Set(opts.except),
+        flags: { ...opts.flags, local: true },
+      });
+    }
+
+    close() {
+      adapters.delete(this.nsp.name);
+    }
+  }
+
+  const close = async () => {
+    closed = true;
+    clearInterval(pruneTimer);
+    if (reconnectTimer) clearTimeout(reconnectTimer);
+    if (listener) {
+      retiredClients.add(listener);
+      await listener.end().catch(() => {});
+      listener = null;
+    }
+  };
+
+  connect();
+
+  return { Adapter: PostgresAdapter, uid, close };
+};
+
+module.exports = { createPostgresAdapter };
@@ -0,0 +1,295 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../utils/prisma');
+const config = require('../config');
+const { getFolderChain } = require('./authorizationService');
+
+/**
+ * Storage quotas.
+ * Every user, and every workspace, has a StorageUsage row counting the bytes of its files (`usedBytes`) and the
+ * bytes held for uploads in progress (`reservedBytes`). A user's files count towards their own quota and, when
+ * stored inside a workspace, towards the workspace's quota too. Limits come from the PlanLimit row of the
+ * user's or workspace's plan.
+ *
+ *   presign      -> reserveStorage      holds the declared size
+ *   complete     -> commitStorage       swaps the reservation for the verified object size
+ *   rejected or abandoned upload -> releaseReservation
+ *   hard delete  -> releaseFileStorage
+ *   folder moved to another workspace -> moveFolderStorage  moves its files' bytes between the workspaces
+ *
+ * Counters only change through conditional UPDATEs, so concurrent uploads cannot overshoot a quota.
+ */
+
+// Uploads not completed within this window are treated as abandoned (matches the cleanup service).
+const RESERVATION_TTL_HOURS = config.cleanup.abandonedUploadMaxAgeHours;
+
+// Thrown inside a transaction to roll it back when an account would go over its quota.
+class QuotaExceededError extends Error {
+  constructor(scope) {
+    super(scope === 'workspace' ? 'Workspace storage quota exceeded' : 'Storage quota exceeded');
+    this.scope = scope;
+  }
+}
+
+const toLimits = (plan, row) => ({
+  plan,
+  maxFileSize: Number(row.maxFileSize),
+  storageQuota: Number(row.storageQuota),
+});
+
+// Limits of a plan; plans without a PlanLimit row fall back to the configured defaults.
+const getPlanLimits = async (plan) => {
+  const row = await prisma.planLimit.findUnique({ where: { name: plan } });
+  return toLimits(plan, row || config.defaultPlanLimits);
+};
+
+const getUserLimits = async (userId) => {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { plan: true } });
+  return getPlanLimits(user?.plan || config.defaultPlan);
+};
+
+// The workspace a folder's contents are billed to: that of the nearest folder in its chain that has one.
+const getWorkspaceIdForFolder = async (folderId) => {
+  if (!folderId) return null;
+  const chain = await getFolderChain(folderId);
+  return chain.find(folder => folder.workspaceId)?.workspaceId || null;
+};
+
+const getWorkspaceAccount = async (workspaceId) => {
+  const workspace = await prisma.workspace.findUnique({ where: { id: workspaceId }, select: { plan: true } });
+  const { storageQuota } = await getPlanLimits(workspace?.plan || config.defaultPlan);
+  return { scope: 'workspace', key: { workspaceId }, quota: storageQuota };
+};
+
+// The usage accounts an upload is charged to, with their quotas.
+const getAccounts = async (userId, workspaceId) => {
+  const accounts = [{ scope: 'user', key: { userId }, quota: (await getUserLimits(userId)).storageQuota }];
+  if (workspaceId) accounts.push(await getWorkspaceAccount(workspaceId));
+  return accounts;
+};
+
+/**
+ * Adds signed deltas to an account's counters. With a quota, an increase is only applied if the new total
+ * stays within it; otherwise QuotaExceededError is thrown so the surrounding transaction rolls back.
+ */
+const adjustUsage = async (client, account, { used = 0n, reserved = 0n }) => {
+  await client.storageUsage.upsert({ where: account.key, create: account.key, update: {} });
+
+  const where = account.key.userId
+    ? Prisma.sql`"userId" = ${account.key.userId}`
+    : Prisma.sql`"workspaceId" = ${account.key.workspaceId}`;
+  const delta = used + reserved;
+  const withinQuota = account.quota === undefined || delta <= 0n
+    ? Prisma.empty
+    : Prisma.sql`AND "usedBytes" + "reservedBytes" + ${delta} <= ${BigInt(account.quota)}`;
+
+  const updated = await client.$executeRaw`
+    UPDATE "StorageUsage"
+    SET "usedBytes" = GREATEST("usedBytes" + ${used}, 0),
+        "reservedBytes" = GREATEST("reservedBytes" + ${reserved}, 0),
+        "updatedAt" = CURRENT_TIMESTAMP
+    WHERE ${where} ${withinQuota}`;
+  if (updated === 0) throw new QuotaExceededError(account.scope);
+};
+
+// Frees the space held by a reservation (if it still exists) and deletes it.
+const dropReservation = async (client, reservation) => {
+  const { count } = await client.storageReservation.deleteMany({ where: { id: reservation.id } });
+  if (!count) return false;
+
+  const accounts = [{ key: { userId: reservation.userId } }];
+  if (reservation.workspaceId) accounts.push({ key: { workspaceId: reservation.workspaceId } });
+  for (const account of accounts) {
+    await adjustUsage(client, account, { reserved: -reservation.bytes });
+  }
+  return true;
+};
+
+// Runs `fn` in a transaction, turning a quota failure into `{ error, scope }`.
+const withQuota = async (fn) => {
+  try {
+    return await prisma.$transaction(fn);
+  } catch (err) {
+    if (err instanceof QuotaExceededError) return { error: err.message, scope: err.scope };
+    throw err;
+  }
+};
+
+/**
+ * Holds space for an upload that is about to be presigned.
+ * @param {object} upload
+ * @param {string} upload.s3Key - Key the object will be uploaded to.
+ * @param {string} upload.userId - The uploader.
+ * @param {string|null} upload.workspaceId - The workspace the destination folder belongs to, if any.
+ * @param {number} upload.bytes - Declared size of the stored object.
+ * @returns {Promise<{ reservation: object } | { error: string, scope: 'user'|'workspace' }>}
+ */
+const reserveStorage = async ({ s3Key, userId, workspaceId, bytes }) => {
+  const accounts = await getAccounts(userId, workspaceId);
+  const expiresAt = new Date(Date.now() + RESERVATION_TTL_HOURS * 60 * 60 * 1000);
+  return withQuota(async (tx) => {
+    for (const account of accounts) {
+      await adjustUsage(tx, account, { reserved: BigInt(bytes) });
+    }
+    const reservation = await tx.storageReservation.create({
+      data: { s3Key, bytes: BigInt(bytes), userId, workspaceId, expiresAt },
+    });
+    return { reservation };
+  });
+};
+
+/**
+ * Charges a completed upload: releases its reservation and adds the verified size to the usage counters.
+ * `onCommit(tx)` runs in the same transaction (e.g. to create the File row), so either both happen or neither.
+ * Uploads whose reservation already expired are charged as long as they still fit in the quota.
+ * @returns {Promise<{ result: any } | { error: string, scope: 'user'|'workspace' }>}
+ */
+const commitStorage = async ({ s3Key, userId, workspaceId, bytes }, onCommit) => {
+  const accounts = await getAccounts(userId, workspaceId);
+  return withQuota(async (tx) => {
+    const reservation = await tx.storageReservation.findUnique({ where: { s3Key } });
+    if (reservation) await dropReservation(tx, reservation);
+
+    for (const account of accounts) {
+      await adjustUsage(tx, account, { used: BigInt(bytes) });
+    }
+    return { result: await onCommit(tx) };
+  });
+};
+
+/**
+ * Releases the reservation held for an upload that was rejected or abandoned.
+ * @returns {Promise<boolean>} - False if there was nothing to release.
+ */
+const releaseReservation = async (s3Key) => {
+  const reservation = await prisma.storageReservation.findUnique({ where: { s3Key } });
+  if (!reservation) return false;
+  return prisma.$transaction(tx => dropReservation(tx, reservation));
+};
+
+/**
+ * Releases reservations whose uploads were never completed in time.
+ * @param {Date} [now]
+ * @param {{ since?: Date|null, dryRun?: boolean }} [options] - `since`: only reservations that expired after it;
+ *   `dryRun`: count them without releasing anything.
+ * @returns {Promise<number>} - How many reservations were (or would be) released.
+ */
+const releaseExpiredReservations = async (now = new Date(), { since = null, dryRun = false } = {}) => {
+  const where = { expiresAt: { lt: now, ...(since && { gte: since }) } };
+  if (dryRun) return prisma.storageReservation.count({ where });
+  const expired = await prisma.storageReservation.findMany({ where });
+  let released = 0;
+  for (const reservation of expired) {
+    if (await prisma.$transaction(tx => dropReservation(tx, reservation))) released++;
+  }
+  return released;
+};
+
+/**
+ * Gives back the space of a file that is being hard-deleted. Pass the transaction that deletes the row.
+ * @param {object} client - Prisma client or transaction.
+ * @param {{ ownerId: string|null, folderId: string|null, size: bigint }} file
+ */
+const releaseFileStorage = async (client, file) => {
+  const workspaceId = await getWorkspaceIdForFolder(file.folderId);
+  const accounts = [];
+  // Unclaimed anonymous drops are not charged to anyone.
+  if (file.ownerId) accounts.push({ key: { userId: file.ownerId } });
+  if (workspaceId) accounts.push({ key: { workspaceId } });
+  for (const account of accounts) {
+    await adjustUsage(client, account, { used: -BigInt(file.size) });
+  }
+};
+
+// The folder and the subfolders whose files are billed through it, i.e. that have no workspace of their own.
+const getBilledFolderIds = async (client, folderId) => {
+  const ids = new Set([folderId]);
+  let parentIds = [folderId];
+  while (parentIds.length) {
+    const children = await client.folder.findMany({
+      where: { parentId: { in: parentIds }, workspaceId: null },
+      select: { id: true },
+    });
+    parentIds = children.map(child => child.id).filter(id => !ids.has(id));
+    parentIds.forEach(id => ids.add(id));
+  }
+  return [...ids];
+};
+
+/**
+ * Moves a folder (new parent and/or workspace). When that changes the workspace its files are billed to, their
+ * bytes leave the old workspace's usage and are charged to the new one, which must have room for them.
+ * `onMove(tx)` applies the move (e.g. updates the Folder row) in the same transaction.
+ * @param {{ id: string, parentId: string|null, workspaceId: string|null }} folder - The folder before the move.
+ * @param {{ parentId?: string|null, workspaceId?: string|null }} changes - Fields being changed.
+ * @returns {Promise<{ result: any } | { error: string, scope: 'workspace' }>}
+ */
+const moveFolderStorage = async (folder, changes, onMove) => {
+  const parentId = changes.parentId !== undefined ? changes.parentId : folder.parentId;
+  const ownWorkspaceId = changes.workspaceId !== undefined ? changes.workspaceId : folder.workspaceId;
+  const fromWorkspaceId = await getWorkspaceIdForFolder(folder.id);
+  const toWorkspaceId = ownWorkspaceId || await getWorkspaceIdForFolder(parentId);
+  if (fromWorkspaceId === toWorkspaceId) {
+    return { result: await onMove(prisma) };
+  }
+
+  const toAccount = toWorkspaceId && await getWorkspaceAccount(toWorkspaceId);
+  return withQuota(async (tx) => {
+    const folderIds = await getBilledFolderIds(tx, folder.id);
+    // Every row counts until it is hard-deleted, soft-deleted ones included (see releaseFileStorage).
+    const { _sum } = await tx.file.aggregate({ where: { folderId: { in: folderIds } }, _sum: { size: true } });
+    const bytes = BigInt(_sum.size || 0);
+
+    if (bytes > 0n) {
+      if (toAccount) await adjustUsage(tx, toAccount, { used: bytes });
+      if (fromWorkspaceId) await adjustUsage(tx, { key: { workspaceId: fromWorkspaceId } }, { used: -bytes });
+    }
+    return { result: await onMove(tx) };
+  });
+};
+
+const summarizeUsage = (usage, storageQuota) => {
+  const usedBytes = Number(usage?.usedBytes || 0);
+  const reservedBytes = Number(usage?.reservedBytes || 0);
+  return { usedBytes, reservedBytes, availableBytes: Math.max(storageQuota - usedBytes - reservedBytes, 0) };
+};
+
+/**
+ * Storage usage and limits of a user and of every workspace they belong to.
+ */
+const getUsage = async (userId) => {
+  const limits = await getUserLimits(userId);
+  const usage = await prisma.storageUsage.findUnique({ where: { userId } });
+
+  const memberships = await prisma.workspaceMember.findMany({
+    where: { userId },
+    select: { workspace: { select: { id: true, name: true, plan: true, storageUsage: true } } },
+    orderBy: { joinedAt: 'asc' },
+  });
+
+  const workspaces = [];
+  for (const { workspace } of memberships) {
+    const { storageQuota } = await getPlanLimits(workspace.plan);
+    workspaces.push({
+      id: workspace.id,
+      name: workspace.name,
+      plan: workspace.plan,
+      storageQuota,
+      ...summarizeUsage(workspace.storageUsage, storageQuota),
+    });
+  }
+
+  return { ...limits, ...summarizeUsage(usage, limits.storageQuota), workspaces };
+};
+
+module.exports = {
+  getPlanLimits,
+  getUserLimits,
+  getWorkspaceIdForFolder,
+  reserveStorage,
+  commitStorage,
+  releaseReservation,
+  releaseExpiredReservations,
+  releaseFileStorage,
+  moveFolderStorage,
+  getUsage,
+};
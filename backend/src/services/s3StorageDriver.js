@@ -0,0 +1,166 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand, HeadObjectCommand, DeleteObjectsCommand, ListMultipartUploadsCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const logger = require('../utils/logger');
+const { keySegments } = require('./storageKeys');
+
+/**
+ * Storage driver backed by an S3 bucket (see storageService for the interface). Uploads and downloads go
+ * straight between the client and S3 through pre-signed URLs; credentials come from the usual AWS sources
+ * (AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY, an instance role, ...). S3 accepts any key, but keys are checked
+ * against the rules every driver enforces (see storageKeys).
+ * @param {{ region: string, bucket: string }} options
+ */
+const createS3Driver = ({ region, bucket }) => {
+  const s3Client = new S3Client({ region });
+
+  return {
+    // Generates a pre-signed URL for a small, single-part file upload.
+    presignPutObject: async ({ key, mimeType, expiresIn }) => {
+      keySegments(key);
+      const command = new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ContentType: mimeType,
+        // Access Control List: ensures the uploaded file is not publicly accessible
+        ACL: 'private',
+      });
+      const url = await getSignedUrl(s3Client, command, { expiresIn });
+      return { url, key, expiresIn };
+    },
+
+    // Generates a pre-signed URL for downloading a file.
+    getPresignedDownloadUrl: async ({ key, expiresIn }) => {
+      keySegments(key);
+      const command = new GetObjectCommand({ Bucket: bucket, Key: key });
+      const url = await getSignedUrl(s3Client, command, { expiresIn });
+      return { url, key, expiresIn };
+    },
+
+    // --- Multipart Upload Helpers (for large files) ---
+
+    // Initiates a multipart upload, returning a unique ID for the session.
+    createMultipart: async ({ key, mimeType }) => {
+      keySegments(key);
+      const command = new CreateMultipartUploadCommand({
+        Bucket: bucket,
+        Key: key,
+        ContentType: mimeType,
+        ACL: 'private',
+      });
+      const res = await s3Client.send(command);
+      // The UploadId is required for all subsequent multipart operations
+      return { uploadId: res.UploadId };
+    },
+
+    // Generates a pre-signed URL for uploading one part of a large file; S3 returns the part's ETag header.
+    presignPart: async ({ key, uploadId, partNumber, expiresIn }) => {
+      keySegments(key);
+      const command = new UploadPartCommand({
+        Bucket: bucket,
+        Key: key,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+      });
+      const url = await getSignedUrl(s3Client, command, { expiresIn });
+      return { partNumber, url, expiresIn };
+    },
+
+    // Assembles the uploaded parts into a single object.
+    completeMultipart: async ({ key, uploadId, parts }) => {
+      // S3 requires the parts list to be sorted by PartNumber
+      const sorted = [...parts].sort((a, b) => a.partNumber - b.partNumber);
+      const command = new CompleteMultipartUploadCommand({
+        Bucket: bucket,
+        Key: key,
+        UploadId: uploadId,
+        // Provide S3 with the list of parts and their ETags to assemble
+        MultipartUpload: {
+          Parts: sorted.map(p => ({ ETag: p.eTag, PartNumber: p.partNumber })),
+        },
+      });
+      return s3Client.send(command);
+    },
+
+    // Cancels a multipart upload, deleting the parts uploaded so far.
+    abortMultipart: async ({ key, uploadId }) => {
+      try {
+        await s3Client.send(new AbortMultipartUploadCommand({ Bucket: bucket, Key: key, UploadId: uploadId }));
+        logger.info(`Aborted multipart upload: ${uploadId} for key: ${key}`);
+      } catch (err) {
+        logger.error('Failed to abort multipart upload %s: %s', uploadId, err.message);
+        // Re-throw the error so the calling function knows the abort failed
+        throw err;
+      }
+    },
+
+    // --- Object Helpers ---
+
+    headObject: async ({ key }) => {
+      keySegments(key);
+      try {
+        const res = await s3Client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return { size: res.ContentLength, contentType: res.ContentType, eTag: res.ETag };
+      } catch (err) {
+        if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) return null;
+        throw err;
+      }
+    },
+
+    // S3 treats deleting a missing key as success. Invalid keys are reported as failed.
+    deleteObjects: async ({ keys }) => {
+      const isValid = (key) => {
+        try {
+          return Boolean(keySegments(key));
+        } catch {
+          return false;
+        }
+      };
+      const valid = keys.filter(isValid);
+      const invalid = keys.filter(key => !isValid(key));
+      if (valid.length === 0) return { deleted: [], errors: invalid };
+      const res = await s3Client.send(new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: valid.map(key => ({ Key: key })), Quiet: true }, // Quiet: only failures are returned
+      }));
+      const failed = new Set((res.Errors || []).map(err => err.Key));
+      return {
+        deleted: valid.filter(key => !failed.has(key)),
+        errors: [...invalid, ...valid.filter(key => failed.has(key))],
+      };
+    },
+
+    // --- Listing Helpers ---
+
+    listMultipartUploads: async ({ prefix, keyMarker, uploadIdMarker, maxUploads }) => {
+      const command = new ListMultipartUploadsCommand({
+        Bucket: bucket,
+        Prefix: prefix,
+        KeyMarker: keyMarker,
+        UploadIdMarker: uploadIdMarker,
+        MaxUploads: maxUploads,
+      });
+      const res = await s3Client.send(command);
+      return {
+        uploads: (res.Uploads || []).map(u => ({ key: u.Key, uploadId: u.UploadId, initiated: u.Initiated })),
+        nextKeyMarker: res.IsTruncated ? res.NextKeyMarker : undefined,
+        nextUploadIdMarker: res.IsTruncated ? res.NextUploadIdMarker : undefined,
+      };
+    },
+
+    listObjects: async ({ prefix, continuationToken, maxKeys }) => {
+      const command = new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        ContinuationToken: continuationToken,
+        MaxKeys: maxKeys,
+      });
+      const res = await s3Client.send(command);
+      return {
+        objects: (res.Contents || []).map(o => ({ key: o.Key, size: o.Size, lastModified: o.LastModified })),
+        nextContinuationToken: res.IsTruncated ? res.NextContinuationToken : undefined,
+      };
+    },
+  };
+};
+
+module.exports = { createS3Driver };
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const prisma = require('../utils/prisma');
+const config = require('../config');
+
+/**
+ * One-time passwords, usage limits and access grants of shares.
+ *
+ * OTP shares get a server-generated 6-digit code that is valid for the share's `otpTtlMinutes` and can be used
+ * once; the sharer can regenerate it. Every share can cap how often it is opened (`maxUses`) and how many
+ * download links it hands out (`maxDownloads`); both counters only move through conditional UPDATEs, so
+ * concurrent requests cannot go past a limit.
+ *
+ * Opening a share (passing its password/OTP/verifier) returns a short-lived access grant, a JWT bound to the
+ * share. Downloads that present it skip the secret check and do not count as another use, which is what lets a
+ * recipient download after their single-use OTP is gone.
+ */
+
+const { otpTtlMinutes: DEFAULT_OTP_TTL_MINUTES, grantTtlMinutes } = config.shareAccess;
+const OTP_SALT_ROUNDS = 10;
+const GRANT_AUDIENCE = 'share-access';
+
+/**
+ * Generates a new OTP.
+ * @param {number|null} [ttlMinutes] - Validity window; defaults to SHARE_OTP_TTL_MINUTES.
+ * @returns {Promise<{ otp: string, data: { otp: string, otpExpiresAt: Date, otpConsumedAt: null } }>}
+ *   The plaintext code (to show the sharer once) and the Share columns to store.
+ */
+const issueOtp = async (ttlMinutes) => {
+  const otp = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const expiresAt = new Date(Date.now() + (ttlMinutes || DEFAULT_OTP_TTL_MINUTES) * 60 * 1000);
+  return {
+    otp,
+    data: { otp: await bcrypt.hash(otp, OTP_SALT_ROUNDS), otpExpiresAt: expiresAt, otpConsumedAt: null },
+  };
+};
+
+// Why the share's current OTP can no longer be used, or null if it still can.
+const getOtpUnavailableReason = (share, now = new Date()) => {
+  if (share.otpConsumedAt) return 'OTP already used';
+  if (share.otpExpiresAt && share.otpExpiresAt < now) return 'OTP expired';
+  return null;
+};
+
+// Marks the OTP as used. False if another request used it first, or it was regenerated meanwhile.
+const consumeOtp = async (share) => {
+  const { count } = await prisma.share.updateMany({
+    where: { id: share.id, otp: share.otp, otpConsumedAt: null },
+    data: { otpConsumedAt: new Date() },
+  });
+  return count > 0;
+};
+
+const isUseLimitReached = (share) => share.maxUses !== null && share.useCount >= share.maxUses;
+
+// Counts one open of the share. False if `maxUses` has been reached.
+const claimUse = async (share) => {
+  const updated = await prisma.$executeRaw`
+    UPDATE "Share"
+    SET "useCount" = "useCount" + 1, "lastAccessedAt" = CURRENT_TIMESTAMP, "updatedAt" = CURRENT_TIMESTAMP
+    WHERE "id" = ${share.id} AND ("maxUses" IS NULL OR "useCount" < "maxUses")`;
+  return updated > 0;
+};
+
+/**
+ * Counts one download link.
+ * @param {object} share
+ * @param {object} [client] - Prisma client or transaction.
+ * @returns {Promise<{ last: boolean }|null>} - Null if `maxDownloads` has been reached, otherwise whether this
+ *   was the last download allowed.
+ */
+const claimDownload = async (share, client = prisma) => {
+  const [claimed] = await client.$queryRaw`
+    UPDATE "Share"
+    SET "downloadCount" = "downloadCount" + 1, "lastAccessedAt" = CURRENT_TIMESTAMP, "updatedAt" = CURRENT_TIMESTAMP
+    WHERE "id" = ${share.id} AND ("maxDownloads" IS NULL OR "downloadCount" < "maxDownloads")
+    RETURNING "downloadCount", "maxDownloads"`;
+  if (!claimed) return null;
+  return { last: claimed.maxDownloads !== null && claimed.downloadCount >= claimed.maxDownloads };
+};
+
+/**
+ * Issues an access grant for a share that was just opened.
+ * @returns {{ token: string, expiresIn: number }} - expiresIn in seconds.
+ */
+const signAccessGrant = (share) => {
+  const expiresIn = grantTtlMinutes * 60;
+  const token = jwt.sign({ shareId: share.id }, process.env.JWT_SECRET, { audience: GRANT_AUDIENCE, expiresIn });
+  return { token, expiresIn };
+};
+
+// The web app page on which recipients open the share.
+const getShareUrl = (share) => `${config.appUrl}/share/${share.shareToken}`;
+
+// True if `token` is an unexpired access grant for this share.
+const verifyAccessGrant = (token, share) => {
+  if (!token) return false;
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET, { audience: GRANT_AUDIENCE });
+    return payload.shareId === share.id;
+  } catch (_) {
+    return false;
+  }
+};
+
+module.exports = {
+  issueOtp,
+  getOtpUnavailableReason,
+  consumeOtp,
+  isUseLimitReached,
+  claimUse,
+  claimDownload,
+  signAccessGrant,
+  verifyAccessGrant,
+  getShareUrl,
+};
@@ -0,0 +1,150 @@
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { publish } = require('./eventBus');
+
+/**
+ * Brute-force protection for share secrets (password, OTP, PASSWORD_KEY verifier).
+ * Failed attempts are counted per share (Share.failedAttempts) and per client IP across all shares
+ * (ShareAccessThrottle). Past a number of free failures, each further failure blocks new attempts for an
+ * exponentially growing delay, up to backoffMaxMs. A share's counter is reset by a successful attempt; an IP's
+ * counter is forgotten once it has had no failure for ipWindowMinutes. OTP shares, whose 6-digit space is small,
+ * are locked for good after otpMaxFailures. The share's creator is told through the activity feed when backoff
+ * starts and when a share gets locked.
+ */
+
+const {
+  freeFailures,
+  ipFreeFailures,
+  backoffBaseMs,
+  backoffMaxMs,
+  ipWindowMinutes,
+  otpMaxFailures,
+} = config.shareAttempts;
+
+const getBackoffMs = (failures, free) =>
+  failures <= free ? 0 : Math.min(backoffBaseMs * 2 ** (failures - free - 1), backoffMaxMs);
+
+const blockedFor = (blockedUntil, now) => Math.ceil((blockedUntil.getTime() - now.getTime()) / 1000);
+
+/**
+ * Decides whether a secret may be checked for this share and client right now.
+ * @returns {Promise<null | { status: number, error: string, retryAfter?: number }>} - Null if the attempt may proceed.
+ */
+const checkAttemptAllowed = async (share, ipAddress, now = new Date()) => {
+  if (share.lockedAt) {
+    return { status: 423, error: 'Share locked after too many failed attempts' };
+  }
+  if (share.blockedUntil && share.blockedUntil > now) {
+    return { status: 429, error: 'Too many failed attempts for this share', retryAfter: blockedFor(share.blockedUntil, now) };
+  }
+
+  const throttle = await prisma.shareAccessThrottle.findUnique({ where: { ipAddress } });
+  if (throttle?.blockedUntil && throttle.blockedUntil > now) {
+    return { status: 429, error: 'Too many failed attempts from this IP', retryAfter: blockedFor(throttle.blockedUntil, now) };
+  }
+  return null;
+};
+
+const notifyCreator = async (share, type, message, event, metadata) => {
+  const activity = await prisma.activity.create({
+    data: {
+      type,
+      message,
+      userId: share.creatorId,
+      fileId: share.fileId,
+      folderId: share.folderId,
+      metadata: { shareId: share.id, accessType: share.accessType, ...metadata },
+    },
+  });
+  // Only the creator is told; other viewers of the file have no business knowing about the attack.
+  publish(event, activity, { userIds: [share.creatorId] });
+};
+
+// Counts a failure against the share, applying backoff and the OTP lockout.
+const recordShareFailure = async (share, now) => {
+  const { failedAttempts } = await prisma.share.update({
+    where: { id: share.id },
+    data: { failedAttempts: { increment: 1 } },
+    select: { failedAttempts: true },
+  });
+
+  if (share.accessType === 'OTP' && failedAttempts >= otpMaxFailures) {
+    // Conditional, so concurrent failures lock (and notify) only once.
+    const { count } = await prisma.share.updateMany({ where: { id: share.id, lockedAt: null }, data: { lockedAt: now } });
+    if (count) {
+      logger.warn(`Share ${share.id} locked after ${failedAttempts} failed OTP attempts`);
+      await notifyCreator(share, 'SHARE_LOCKED', `Share locked after ${failedAttempts} failed OTP attempts`,
+        'share:locked', { failedAttempts });
+    }
+    return;
+  }
+
+  const backoffMs = getBackoffMs(failedAttempts, freeFailures);
+  if (!backoffMs) return;
+  await prisma.share.update({ where: { id: share.id }, data: { blockedUntil: new Date(now.getTime() + backoffMs) } });
+  if (failedAttempts === freeFailures + 1) {
+    logger.warn(`Share ${share.id} throttled after ${failedAttempts} failed attempts`);
+    await notifyCreator(share, 'SHARE_THROTTLED', `Repeated failed attempts to open share (${share.accessType})`,
+      'share:throttled', { failedAttempts });
+  }
+};
+
+// Counts a failure against the client IP. Failures after a quiet window start a new count.
+const recordIpFailure = async (ipAddress, now) => {
+  const windowStart = new Date(now.getTime() - ipWindowMinutes * 60 * 1000);
+  const [{ failures }] = await prisma.$queryRaw`
+    INSERT INTO "ShareAccessThrottle" ("ipAddress", "failures", "lastFailureAt")
+    VALUES (${ipAddress}, 1, ${now})
+    ON CONFLICT ("ipAddress") DO UPDATE
+    SET "failures" = CASE
+          WHEN "ShareAccessThrottle"."lastFailureAt" < ${windowStart} THEN 1
+          ELSE "ShareAccessThrottle"."failures" + 1
+        END,
+        "lastFailureAt" = ${now}
+    RETURNING "failures"`;
+
+  const backoffMs = getBackoffMs(failures, ipFreeFailures);
+  if (backoffMs) {
+    await prisma.shareAccessThrottle.update({
+      where: { ipAddress },
+      data: { blockedUntil: new Date(now.getTime() + backoffMs) },
+    });
+  }
+};
+
+const recordFailedAttempt = async (share, ipAddress, now = new Date()) => {
+  await recordShareFailure(share, now);
+  await recordIpFailure(ipAddress, now);
+};
+
+// A correct secret ends the share's failure streak. The IP's count is kept, so an attacker cannot reset it
+// by opening a share they know the password of.
+const recordSuccessfulAttempt = async (share) => {
+  if (!share.failedAttempts && !share.blockedUntil) return;
+  await prisma.share.update({ where: { id: share.id }, data: { failedAttempts: 0, blockedUntil: null } });
+};
+
+/**
+ * Deletes IP counters that no longer block anything and would be reset by the next failure anyway.
+ * @param {Date} [now]
+ * @param {{ since?: Date|null, dryRun?: boolean }} [options] - `since`: only counters last failed after it;
+ *   `dryRun`: count them without deleting.
+ * @returns {Promise<number>} - How many counters were (or would be) deleted.
+ */
+const pruneAccessThrottles = async (now = new Date(), { since = null, dryRun = false } = {}) => {
+  const where = {
+    lastFailureAt: { lt: new Date(now.getTime() - ipWindowMinutes * 60 * 1000), ...(since && { gte: since }) },
+    OR: [{ blockedUntil: null }, { blockedUntil: { lt: now } }],
+  };
+  if (dryRun) return prisma.shareAccessThrottle.count({ where });
+  const { count } = await prisma.shareAccessThrottle.deleteMany({ where });
+  return count;
+};
+
+module.exports = {
+  checkAttemptAllowed,
+  recordFailedAttempt,
+  recordSuccessfulAttempt,
+  pruneAccessThrottles,
+};
@@ -0,0 +1,24 @@
+/**
+ * Storage key rules shared by the storage drivers. A key is one or more non-empty segments separated by "/".
+ * Keys that would mean something else as a file path ("." and ".." segments, backslashes, NUL) are refused by every
+ * driver, so that objects can move between drivers and the local driver can map segments to directories.
+ */
+
+class InvalidKeyError extends Error {
+  constructor(key) {
+    super(`Invalid storage key: ${key}`);
+    this.name = 'InvalidKey';
+    this.statusCode = 400;
+  }
+}
+
+// The segments of `key`, or an InvalidKeyError if it breaks the rules above.
+const keySegments = (key) => {
+  const segments = typeof key === 'string' ? key.split('/') : [];
+  const invalid = !segments.length
+    || segments.some(segment => !segment || segment === '.' || segment === '..' || /[\\\0]/.test(segment));
+  if (invalid) throw new InvalidKeyError(key);
+  return segments;
+};
+
+module.exports = { InvalidKeyError, keySegments };
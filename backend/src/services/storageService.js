@@ -0,0 +1,124 @@
+const config = require('../config');
+
+/**
+ * Object storage. Every read and write of file contents goes through the driver selected by STORAGE_DRIVER:
+ *   - s3:    an S3 bucket (see s3StorageDriver).
+ *   - local: a directory on this server, with signed URLs served by the backend itself (see localStorageDriver).
+ * Other drivers can be added with `registerDriver`.
+ *
+ * A driver is an object with:
+ *   presignPutObject({ key, mimeType, expiresIn })       -> { url, key, expiresIn }  (client PUTs the body)
+ *   getPresignedDownloadUrl({ key, expiresIn })          -> { url, key, expiresIn }
+ *   createMultipart({ key, mimeType })                   -> { uploadId }
+ *   presignPart({ key, uploadId, partNumber, expiresIn }) -> { partNumber, url, expiresIn }  (response has an ETag)
+ *   completeMultipart({ key, uploadId, parts: [{ partNumber, eTag }] })
+ *   abortMultipart({ key, uploadId })
+ *   headObject({ key })                                  -> { size, contentType, eTag } or null if missing
+ *   deleteObjects({ keys })                              -> { deleted, errors } (keys; missing keys count as deleted)
+ *   listMultipartUploads({ prefix, keyMarker, uploadIdMarker, maxUploads })
+ *     -> { uploads: [{ key, uploadId, initiated }], nextKeyMarker, nextUploadIdMarker }  (markers unset on the last page)
+ *   listObjects({ prefix, continuationToken, maxKeys })
+ *     -> { objects: [{ key, size, lastModified }], nextContinuationToken }  (unset on the last page)
+ * and optionally `router`, an Express router the server mounts at /storage. Page sizes default to 1000. Methods that
+ * take a key reject keys that break the rules in storageKeys with an InvalidKeyError.
+ * tests/storageDrivers.test.js checks that a driver behaves like the others.
+ */
+
+const { driver: driverName, presignExpires } = config.storage;
+
+// The AWS SDK is only loaded when the S3 driver is used.
+const factories = {
+  s3: ({ s3 }) => require('./s3StorageDriver').createS3Driver(s3),
+  local: ({ local }) => require('./localStorageDriver').createLocalDriver(local),
+};
+
+/**
+ * Adds a driver that can then be selected with STORAGE_DRIVER.
+ * @param {string} name
+ * @param {(options: object) => object} factory - Called with config.storage.
+ */
+const registerDriver = (name, factory) => {
+  factories[name] = factory;
+};
+
+const createDriver = (name, options) => {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${name}" (available: ${Object.keys(factories).join(', ')})`);
+  }
+  return factory(options);
+};
+
+let driver;
+const getDriver = () => {
+  if (!driver) driver = createDriver(driverName, config.storage);
+  return driver;
+};
+
+// Express router the driver needs mounted at /storage, or null.
+const getStorageRouter = () => getDriver().router || null;
+
+const getObjectKey = ({ userId, fileName, uuid }) => {
+  // Sanitize the filename to remove characters that might be problematic in a URL or path
+  const safeName = fileName.replace(/[^\w.-]/g, '_');
+  return `uploads/${userId}/${uuid}-${safeName}`;
+};
+
+// Pre-signed URL for a small, single-part file upload.
+const presignPutObject = ({ key, mimeType, expiresIn = presignExpires }) =>
+  getDriver().presignPutObject({ key, mimeType, expiresIn });
+
+// Pre-signed URL for downloading a file.
+const getPresignedDownloadUrl = ({ key, expiresIn = presignExpires }) =>
+  getDriver().getPresignedDownloadUrl({ key, expiresIn });
+
+// Starts a multipart upload (for large files); the uploadId is needed by every later call.
+const createMultipart = ({ key, mimeType }) => getDriver().createMultipart({ key, mimeType });
+
+// Pre-signed URL for uploading one part of a multipart upload.
+const presignPart = ({ key, uploadId, partNumber, expiresIn = presignExpires }) =>
+  getDriver().presignPart({ key, uploadId, partNumber, expiresIn });
+
+// Assembles the uploaded parts into the final object.
+const completeMultipart = ({ key, uploadId, parts }) => getDriver().completeMultipart({ key, uploadId, parts });
+
+// Cancels a multipart upload and deletes its parts. Rejects if the upload does not exist.
+const abortMultipart = ({ key, uploadId }) => getDriver().abortMultipart({ key, uploadId });
+
+// A stored object's metadata, or null if it does not exist.
+const headObject = ({ key }) => getDriver().headObject({ key });
+
+// Deletes up to 1000 objects. Returns the keys that were deleted and those that failed.
+const deleteObjects = ({ keys }) => getDriver().deleteObjects({ keys });
+
+// Deletes a single object. Deleting a missing key succeeds.
+const deleteObject = async ({ key }) => {
+  const { errors } = await deleteObjects({ keys: [key] });
+  if (errors.length) throw new Error(`Failed to delete object ${key}`);
+};
+
+// One page of in-progress (never completed or aborted) multipart uploads under a key prefix.
+const listMultipartUploads = ({ prefix, keyMarker, uploadIdMarker, maxUploads }) =>
+  getDriver().listMultipartUploads({ prefix, keyMarker, uploadIdMarker, maxUploads });
+
+// One page (up to 1000) of stored objects under a key prefix.
+const listObjects = ({ prefix, continuationToken, maxKeys }) =>
+  getDriver().listObjects({ prefix, continuationToken, maxKeys });
+
+module.exports = {
+  registerDriver,
+  createDriver,
+  getStorageRouter,
+  getObjectKey,
+  presignPutObject,
+  getPresignedDownloadUrl,
+  createMultipart,
+  presignPart,
+  completeMultipart,
+  abortMultipart,
+  headObject,
+  deleteObject,
+  deleteObjects,
+  listMultipartUploads,
+  listObjects,
+};
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+
+/**
+ * Session and token lifecycle.
+ * Every login creates a Session. The client gets a short-lived access token (JWT, carrying the session ID as `sid`)
+ * and an opaque refresh token. Refresh tokens are single-use: each refresh consumes the presented token and issues
+ * a new one in the same session (rotation). Presenting an already-used token means it was copied, so the whole
+ * session — the token family — is revoked.
+ */
+
+// Lifetime of access tokens (any `jsonwebtoken` duration string, e.g. "15m").
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+// Absolute lifetime of a session; refreshing does not extend it.
+const SESSION_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+// Only a hash of each refresh token is stored, so a database leak cannot be replayed.
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user.id, role: user.role, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Creates a new refresh token in the given session and returns its plaintext value.
+const issueRefreshToken = async (client, session) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  await client.refreshToken.create({
+    data: {
+      token: hashToken(refreshToken),
+      userId: session.userId,
+      sessionId: session.id,
+      expiresAt: session.expiresAt,
+    },
+  });
+  return refreshToken;
+};
+
+/**
+ * Starts a new session for a user who just authenticated.
+ * @param {object} user - The user record (needs `id` and `role`).
+ * @param {{ userAgent?: string, ipAddress?: string }} context - Device details shown in the sessions list.
+ * @returns {Promise<{ token: string, refreshToken: string }>}
+ */
+const createSession = async (user, { userAgent, ipAddress } = {}) => {
+  return prisma.$transaction(async (tx) => {
+    const session = await tx.session.create({
+      data: {
+        userId: user.id,
+        userAgent: userAgent || null,
+        ipAddress: ipAddress || null,
+        expiresAt: new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000),
+      },
+    });
+    const refreshToken = await issueRefreshToken(tx, session);
+    return { token: signAccessToken(user, session.id), refreshToken };
+  });
+};
+
+/**
+ * Revokes a session and, with it, every refresh and access token issued for it.
+ * @returns {Promise<boolean>} - False if the session was already revoked.
+ */
+const revokeSession = async (sessionId, reason) => {
+  const { count } = await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return count > 0;
+};
+
+/**
+ * Exchanges a refresh token for a new access/refresh token pair.
+ * @returns {Promise<{ token: string, refreshToken: string } | { error: string }>}
+ */
+const rotateRefreshToken = async (refreshToken, { userAgent, ipAddress } = {}) => {
+  const record = await prisma.refreshToken.findUnique({
+    where: { token: hashToken(refreshToken) },
+    include: { session: true, user: { select: { id: true, role: true } } },
+  });
+
+  if (!record || record.session.revokedAt) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const now = new Date();
+  if (record.expiresAt < now) {
+    return { error: 'Refresh token expired' };
+  }
+
+  // Mark the token as used only if nobody else has; losing this race counts as reuse too.
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { id: record.id, usedAt: null },
+    data: { usedAt: now },
+  });
+  if (count === 0) {
+    await revokeSession(record.sessionId, 'token_reuse');
+    logger.warn(`Refresh token reuse detected; session ${record.sessionId} of user ${record.userId} revoked`);
+    return { error: 'Refresh token reuse detected' };
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const session = await tx.session.update({
+      where: { id: record.sessionId },
+      data: {
+        lastUsedAt: now,
+        userAgent: userAgent || record.session.userAgent,
+        ipAddress: ipAddress || record.session.ipAddress,
+      },
+    });
+    const nextRefreshToken = await issueRefreshToken(tx, session);
+    return { token: signAccessToken(record.user, session.id), refreshToken: nextRefreshToken };
+  });
+};
+
+// Looks up the session a refresh token belongs to (regardless of whether it was used).
+const findSessionByRefreshToken = (refreshToken) =>
+  prisma.refreshToken.findUnique({
+    where: { token: hashToken(refreshToken) },
+    select: { sessionId: true, userId: true },
+  });
+
+const listActiveSessions = (userId) =>
+  prisma.session.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: { id: true, userAgent: true, ipAddress: true, createdAt: true, lastUsedAt: true, expiresAt: true },
+    orderBy: { lastUsedAt: 'desc' },
+  });
+
+/**
+ * Verifies an access token's signature and expiry and that its session is still active.
+ * Throws if the token is invalid or its session has been revoked.
+ * @param {string} token - The raw JWT.
+ * @returns {Promise<object>} - The token payload ({ userId, role, sid }).
+ */
+const verifyAccessToken = async (token) => {
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+  if (!payload.sid) {
+    throw new Error('Token is not bound to a session');
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { id: payload.sid },
+    select: { revokedAt: true, expiresAt: true },
+  });
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    throw new Error('Session revoked or expired');
+  }
+  return payload;
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  findSessionByRefreshToken,
+  listActiveSessions,
+  verifyAccessToken,
+  hashToken,
+};
@@ -0,0 +1,42 @@
+const prisma = require('../utils/prisma');
+
+/**
+ * Helpers for server-tracked (resumable) multipart uploads.
+ * An UploadSession is created at presign time and records every part the client reports as uploaded,
+ * so the client can resume after a refresh and complete without holding the ETags itself.
+ */
+
+// Part numbers (1-based) that have not been reported as uploaded yet.
+const getRemainingParts = (uploadSession) => {
+  const uploaded = new Set(uploadSession.parts.map(part => part.partNumber));
+  return Array.from({ length: uploadSession.totalParts }, (_, i) => i + 1)
+    .filter(partNumber => !uploaded.has(partNumber));
+};
+
+// Loads an upload session with its parts, only if it belongs to the given user.
+const findUserUploadSession = async (sessionId, userId) => {
+  const uploadSession = await prisma.uploadSession.findUnique({
+    where: { id: sessionId },
+    include: { parts: { orderBy: { partNumber: 'asc' } } },
+  });
+  return uploadSession && uploadSession.userId === userId ? uploadSession : null;
+};
+
+// Shape returned to clients: progress plus what is left to upload.
+const serializeUploadSession = (uploadSession) => ({
+  id: uploadSession.id,
+  s3Key: uploadSession.s3Key,
+  uploadId: uploadSession.uploadId,
+  fileName: uploadSession.fileName,
+  mimeType: uploadSession.mimeType,
+  folderId: uploadSession.folderId,
+  partSize: uploadSession.partSize,
+  totalParts: uploadSession.totalParts,
+  status: uploadSession.status,
+  createdAt: uploadSession.createdAt,
+  updatedAt: uploadSession.updatedAt,
+  uploadedParts: uploadSession.parts.map(({ partNumber, eTag, size }) => ({ partNumber, eTag, size })),
+  remainingParts: getRemainingParts(uploadSession),
+});
+
+module.exports = { getRemainingParts, findUserUploadSession, serializeUploadSession };
@@ -0,0 +1,124 @@
+const { headObject } = require('./storageService');
+
+/**
+ * Verifies an uploaded object before its File row is marked COMPLETED.
+ * The client uploads straight to storage through a signed URL, so nothing it declares (size, type, encryption
+ * layout) is trusted until it has been checked against the stored object.
+ *
+ * Files are encrypted client-side with AES-GCM, which adds a fixed-size authentication tag to the ciphertext.
+ * `encryptedKeyMetadata` is a JSON string describing how the object was produced:
+ *   { "algo": "AES-GCM", "iv": "<base64>", "tagLength": 128, "plaintextSize": 1234 }
+ * stores the ciphertext and tag of a single encryption (the IV lives in the metadata), while
+ *   { "algo": "AES-GCM", "ivLength": 12, "tagLength": 128, "plaintextSize": 1234, "chunkSize": 5242880 }
+ * stores the file as consecutive chunks of `IV || ciphertext || tag`, each encrypting `chunkSize` plaintext bytes
+ * (the last one possibly fewer). `size` is accepted as an alias for `plaintextSize`.
+ */
+
+// Tag lengths (in bits) allowed by the Web Crypto API for AES-GCM.
+const GCM_TAG_LENGTHS = [96, 104, 112, 120, 128];
+const DEFAULT_TAG_LENGTH = 128;
+const DEFAULT_IV_LENGTH = 12;
+const MAX_IV_LENGTH = 64;
+
+// Objects are keyed under `uploads/<userId>/`, so a user can only claim objects they were presigned for.
+const ownsObjectKey = (key, userId) => key.startsWith(`uploads/${userId}/`);
+
+const decodedLength = (base64) => Buffer.from(base64, 'base64').length;
+
+/**
+ * Works out the ciphertext size implied by `encryptedKeyMetadata`.
+ * @returns {{ expectedSize: number } | { error: string }}
+ */
+const getExpectedCiphertextSize = (encryptedKeyMetadata) => {
+  let metadata;
+  try {
+    metadata = JSON.parse(encryptedKeyMetadata);
+  } catch (_) {
+    return { error: 'encryptedKeyMetadata is not valid JSON' };
+  }
+  if (!metadata || typeof metadata !== 'object') {
+    return { error: 'encryptedKeyMetadata must be an object' };
+  }
+
+  const algo = String(metadata.algo || '').toUpperCase();
+  if (algo !== 'AES-GCM' && algo !== 'AES-256-GCM') {
+    return { error: `Unsupported encryption algorithm: ${metadata.algo}` };
+  }
+
+  const tagLength = metadata.tagLength ?? DEFAULT_TAG_LENGTH;
+  if (!GCM_TAG_LENGTHS.includes(tagLength)) {
+    return { error: `Invalid AES-GCM tag length: ${tagLength}` };
+  }
+  const tagBytes = tagLength / 8;
+
+  const plaintextSize = metadata.plaintextSize ?? metadata.size;
+  if (!Number.isSafeInteger(plaintextSize) || plaintextSize < 0) {
+    return { error: 'encryptedKeyMetadata must declare the plaintext size' };
+  }
+
+  if (metadata.chunkSize === undefined) {
+    if (typeof metadata.iv !== 'string' || decodedLength(metadata.iv) !== (metadata.ivLength ?? DEFAULT_IV_LENGTH)) {
+      return { error: 'encryptedKeyMetadata must include an IV of the declared length' };
+    }
+    return { expectedSize: plaintextSize + tagBytes };
+  }
+
+  const { chunkSize } = metadata;
+  const ivLength = metadata.ivLength ?? DEFAULT_IV_LENGTH;
+  if (!Number.isSafeInteger(chunkSize) || chunkSize < 1) {
+    return { error: 'Invalid chunkSize' };
+  }
+  if (!Number.isInteger(ivLength) || ivLength < 1 || ivLength > MAX_IV_LENGTH) {
+    return { error: 'Invalid ivLength' };
+  }
+  // An empty file is still encrypted once, producing a single tag-only chunk.
+  const chunks = Math.max(1, Math.ceil(plaintextSize / chunkSize));
+  return { expectedSize: plaintextSize + chunks * (ivLength + tagBytes) };
+};
+
+/**
+ * Checks the stored object against what the client declared.
+ * @param {object} upload
+ * @param {string} upload.s3Key - Key of the uploaded object.
+ * @param {number} upload.size - Declared size of the stored (encrypted) object in bytes.
+ * @param {string} upload.mimeType - Declared content type.
+ * @param {string} upload.encryptedKeyMetadata - Declared encryption layout (see above).
+ * @param {{ maxFileSize: number }} limits - The uploader's plan limits (see quotaService.getUserLimits).
+ * @returns {Promise<{ object: object } | { reason: string, error: string }>} - The object's metadata, or why it was rejected.
+ */
+const verifyUploadedObject = async ({ s3Key, size, mimeType, encryptedKeyMetadata }, limits) => {
+  const object = await headObject({ key: s3Key });
+  if (!object) {
+    return { reason: 'missing_object', error: 'Uploaded object not found' };
+  }
+
+  if (object.size > limits.maxFileSize) {
+    return { reason: 'too_large', error: `File exceeds the maximum size of ${limits.maxFileSize} bytes` };
+  }
+  if (object.size !== size) {
+    return { reason: 'size_mismatch', error: `Uploaded object is ${object.size} bytes, expected ${size}` };
+  }
+  // Presigned uploads fix the content type at presign time, so the stored type must match the declared one.
+  if (object.contentType && object.contentType !== mimeType) {
+    return { reason: 'content_type_mismatch', error: 'Uploaded object has a different content type' };
+  }
+
+  // Every completed file is stored as encrypted, so an upload without a layout to check is refused.
+  if (!encryptedKeyMetadata) {
+    return { reason: 'invalid_encryption_metadata', error: 'encryptedKeyMetadata is required' };
+  }
+  const layout = getExpectedCiphertextSize(encryptedKeyMetadata);
+  if (layout.error) {
+    return { reason: 'invalid_encryption_metadata', error: layout.error };
+  }
+  if (layout.expectedSize !== object.size) {
+    return {
+      reason: 'layout_mismatch',
+      error: `Ciphertext is ${object.size} bytes but the declared AES-GCM layout requires ${layout.expectedSize}`,
+    };
+  }
+
+  return { object };
+};
+
+module.exports = { ownsObjectKey, getExpectedCiphertextSize, verifyUploadedObject };
@@ -0,0 +1,37 @@
+const logger = require('../utils/logger');
+const { subscribe } = require('../services/eventBus');
+const { getFolderChain } = require('../services/authorizationService');
+const { roomName } = require('../utils/socketRooms');
+
+// Works out every room an event should reach: the users involved, the file, its folder,
+// and the workspace the folder tree belongs to.
+const resolveRooms = async ({ userIds = [], fileId, folderId, workspaceId }) => {
+  const rooms = userIds.filter(Boolean).map(id => roomName('user', id));
+  if (fileId) rooms.push(roomName('file', fileId));
+
+  if (folderId) {
+    rooms.push(roomName('folder', folderId));
+    if (!workspaceId) {
+      const chain = await getFolderChain(folderId);
+      workspaceId = chain.find(folder => folder.workspaceId)?.workspaceId;
+    }
+  }
+  if (workspaceId) rooms.push(roomName('workspace', workspaceId));
+
+  return [...new Set(rooms)];
+};
+
+/**
+ * Fans server-side events from the event bus out to Socket.IO rooms.
+ * Registered once at startup with the shared `io` instance.
+ */
+module.exports = (io) => subscribe(async ({ event, payload, scope }) => {
+  try {
+    const rooms = await resolveRooms(scope);
+    if (!rooms.length) return;
+    io.to(rooms).emit(event, payload);
+    logger.info(`[Socket] ${event} sent to ${rooms.join(', ')}`);
+  } catch (err) {
+    logger.error('[Socket] Failed to deliver %s: %s', event, err.message, { stack: err.stack });
+  }
+});
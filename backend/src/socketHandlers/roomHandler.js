@@ -0,0 +1,57 @@
+const logger = require('../utils/logger');
+const Roles = require('../config/roles');
+const { getPermission, hasPermission } = require('../services/authorizationService');
+const { ROOM_TYPES, roomName } = require('../utils/socketRooms');
+
+/**
+ * Handles joining and leaving resource rooms for a single connected (authenticated) user.
+ * A socket may only join `workspace:`, `folder:` or `file:` rooms it has at least VIEWER access to.
+ * Every request is answered through the optional acknowledgement callback:
+ *   { ok: true, room } on success, or { error } when the join is rejected.
+ */
+module.exports = (io, socket) => {
+  const { userId } = socket.data.auth;
+
+  // Personal room for events addressed to this user (e.g. their own uploads and shares).
+  socket.join(roomName('user', userId));
+
+  const joinRoom = async (type, id, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    if (!ROOM_TYPES.includes(type) || typeof id !== 'string' || !id) {
+      return reply({ error: 'Invalid room' });
+    }
+
+    try {
+      const { found, permission } = await getPermission(userId, type, id);
+      if (!found || !hasPermission(permission, Roles.VIEWER)) {
+        logger.warn(`[Socket] User ${userId} denied access to ${roomName(type, id)}`);
+        return reply({ error: 'Forbidden' });
+      }
+
+      const room = roomName(type, id);
+      socket.join(room);
+      logger.info(`[Socket] User ${userId} (${socket.id}) joined ${room}`);
+      reply({ ok: true, room });
+    } catch (err) {
+      logger.error('[Socket] joinRoom failed: %s', err.message, { stack: err.stack });
+      reply({ error: 'Could not join room' });
+    }
+  };
+
+  // Generic form: socket.emit('joinRoom', { type: 'folder', id }, ack)
+  socket.on('joinRoom', (data = {}, ack) => joinRoom(data.type, data.id, ack));
+
+  // Shorthand kept for existing clients: socket.emit('joinWorkspace', workspaceId, ack)
+  socket.on('joinWorkspace', (workspaceId, ack) => joinRoom('workspace', workspaceId, ack));
+
+  socket.on('leaveRoom', (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (!ROOM_TYPES.includes(data.type) || !data.id) {
+      return reply({ error: 'Invalid room' });
+    }
+    const room = roomName(data.type, data.id);
+    socket.leave(room);
+    reply({ ok: true, room });
+  });
+};
@@ -1,4 +1,5 @@
 const logger = require('../utils/logger');
+const { roomName } = require('../utils/socketRooms');
 
 /**
  * Handles all real-time events for a single connected user (e.g., Alex).
@@ -6,39 +7,41 @@ const logger = require('../utils/logger');
  */
 module.exports = (io, socket) => {
   // Listen for 'uploadProgress' event from a client (e.g., Alex's browser).
-  socket.on('uploadProgress', (data) => {
-    const { workspaceId, fileName, progress, uploaderId } = data;
+  socket.on('uploadProgress', (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const { workspaceId, folderId, fileName, progress } = data;
+    // The uploader is whoever holds the verified token, never a client-supplied ID.
+    const uploaderId = socket.data.auth.userId;
 
-    if (!workspaceId || progress === undefined) {
+    if ((!workspaceId && !folderId) || progress === undefined) {
       logger.warn(`[Socket] Invalid upload progress data: ${JSON.stringify(data)}`);
-      return; // Stop if data is bad.
+      return reply({ error: 'Invalid upload progress data' }); // Stop if data is bad.
     }
 
-    // Log for debugging, e.g., "Progress from Alex in Project Dragon: 42%..."
+    // Progress can only be broadcast into a room the sender was allowed to join.
+    const room = workspaceId ? roomName('workspace', workspaceId) : roomName('folder', folderId);
+    if (!socket.rooms.has(room)) {
+      return reply({ error: 'Join the room before broadcasting to it' });
+    }
+
+    // Log for debugging, e.g., "Progress from Alex in workspace:dragon: 42%..."
     logger.info(
-      `[Socket] Progress from user ${uploaderId} in workspace ${workspaceId}: ${progress}% for ${fileName}`
+      `[Socket] Progress from user ${uploaderId} in ${room}: ${progress}% for ${fileName}`
     );
 
     // Broadcast a *new* event 'progressUpdate' to a specific room.
     // NOTE: socket.to(room) sends to everyone in the room EXCEPT the original sender.
     // So, this goes to Ben and Chloe, but not back to Alex.
-    socket.to(workspaceId).emit('progressUpdate', {
+    socket.to(room).emit('progressUpdate', {
       fileName,
       progress,
       uploaderId,
     });
-  });
-
-  // Listen for when a user wants to join a workspace room.
-  // This is how we group Alex, Ben, and Chloe together.
-  socket.on('joinWorkspace', (workspaceId) => {
-    // This command subscribes the user's socket to the given room name.
-    socket.join(workspaceId);
-    logger.info(`[Socket] User ${socket.id} joined workspace: ${workspaceId}`);
+    reply({ ok: true });
   });
 
   // Built-in event that fires when a user closes the tab or loses connection.
   socket.on('disconnect', () => {
     logger.info(`[Socket] User disconnected: ${socket.id}`);
   });
-};
\ No newline at end of file
+};
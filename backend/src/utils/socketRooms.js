@@ -0,0 +1,8 @@
+// Socket.IO room naming. Rooms are namespaced by resource type so IDs can never collide,
+// e.g. "workspace:<id>", "folder:<id>", "file:<id>".
+// Every socket is also placed in its own "user:<id>" room on connect; that one cannot be joined on request.
+const ROOM_TYPES = ['workspace', 'folder', 'file'];
+
+const roomName = (type, id) => `${type}:${id}`;
+
+module.exports = { ROOM_TYPES, roomName };
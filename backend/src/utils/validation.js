@@ -64,28 +64,51 @@ const loginSchema = Joi.object({
   password: Joi.string().required(),
 });
 
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required(),
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required(),
+});
+
 // --- File Upload Flow Schemas ---
 const presignSchema = Joi.object({
   fileName: Joi.string().min(1).max(255).required(),
   mimeType: Joi.string().min(1).required(),
+  // Size of the encrypted object; reserved against the uploader's quota before presigning.
+  size: Joi.number().integer().min(0).required(),
   multipart: Joi.boolean().default(false),
   parts: Joi.number().integer().min(1).max(10000).when('multipart', {
     is: true,
     then: Joi.required(),
     otherwise: Joi.forbidden(),
   }),
+  // S3 parts must be at least 5MB (except the last); stored so resumed uploads can re-slice the file identically.
+  partSize: Joi.number().integer().min(5 * 1024 * 1024).max(1024 * 1024 * 1024).when('multipart', {
+    is: true,
+    then: Joi.optional(),
+    otherwise: Joi.forbidden(),
+  }),
   expiresIn: Joi.number().integer().min(60).max(3600).optional(),
   folderId: Joi.string().uuid().optional().allow(null),
   expiry: Joi.date().iso().optional().allow(null),
   encryptedKeyMetadata: Joi.string().optional().allow(null),
 });
 
+// With an uploadSessionId, the server already knows the uploadId and the reported parts,
+// so the client does not need to keep them across a refresh.
 const completeUploadSchema = Joi.object({
   s3Key: Joi.string().required(),
   multipart: Joi.boolean().default(false),
+  uploadSessionId: Joi.string().uuid().when('multipart', {
+    is: true,
+    then: Joi.optional(),
+    otherwise: Joi.forbidden(),
+  }),
   uploadId: Joi.string().when('multipart', {
     is: true,
-    then: Joi.required(),
+    then: Joi.when('uploadSessionId', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() }),
     otherwise: Joi.forbidden(),
   }),
   parts: Joi.array().items(
@@ -95,15 +118,76 @@ const completeUploadSchema = Joi.object({
     })
   ).when('multipart', {
     is: true,
-    then: Joi.required(),
+    then: Joi.when('uploadSessionId', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() }),
     otherwise: Joi.forbidden(),
   }),
   fileName: Joi.string().min(1).max(255).required(),
   mimeType: Joi.string().min(1).required(),
   size: Joi.number().integer().min(0).required(),
-  encryptedKeyMetadata: Joi.string().optional().allow(null),
+  encryptedKeyMetadata: Joi.string().required(), // Checked against the stored object; every file is encrypted
   folderId: Joi.string().uuid().optional().allow(null),
   expiry: Joi.date().iso().optional().allow(null),
+  maxDownloads: Joi.number().integer().min(1).max(1000).optional().allow(null), // Delete after N downloads; 1 = burn after reading
+});
+
+const presignPartsSchema = Joi.object({
+  partNumbers: Joi.array().items(Joi.number().integer().min(1).max(10000)).min(1).max(1000).unique().required(),
+  expiresIn: Joi.number().integer().min(60).max(3600).optional(),
+});
+
+const reportPartsSchema = Joi.object({
+  parts: Joi.array().items(
+    Joi.object({
+      partNumber: Joi.number().integer().min(1).max(10000).required(),
+      eTag: Joi.string().required(),
+      size: Joi.number().integer().min(0).optional(),
+    })
+  ).min(1).max(1000).unique('partNumber').required(),
+});
+
+// --- Anonymous Drop Schemas ---
+// Drops are always single-part: the anonymous size limit is below S3's multipart threshold.
+const presignDropSchema = Joi.object({
+  fileName: Joi.string().min(1).max(255).required(),
+  mimeType: Joi.string().min(1).required(),
+  size: Joi.number().integer().min(0).required(),
+  expiresIn: Joi.number().integer().min(60).max(3600).optional(),
+  notifyEmail: Joi.string().email().optional().allow(null), // Receives an email before the drop expires
+});
+
+const completeDropSchema = Joi.object({
+  encryptedKeyMetadata: Joi.string().required(), // Checked against the stored object; every drop is encrypted
+  maxDownloads: Joi.number().integer().min(1).max(1000).optional().allow(null), // Delete after N downloads
+});
+
+const updateDropSchema = Joi.object({
+  expiry: Joi.date().iso().greater('now').required(),
+});
+
+const claimDropSchema = Joi.object({
+  expiry: Joi.date().iso().greater('now').optional().allow(null), // Defaults to no expiry once claimed
+});
+
+// --- Key Exchange Schemas ---
+const registerPublicKeySchema = Joi.object({
+  publicKey: Joi.string().base64().max(4096).required(), // SPKI (DER), base64
+  algorithm: Joi.string().valid('RSA-OAEP-256').default('RSA-OAEP-256'),
+});
+
+const publicKeyLookupSchema = Joi.object({
+  email: Joi.string().email(),
+  userId: Joi.string().uuid(),
+}).xor('email', 'userId');
+
+const uploadFileKeysSchema = Joi.object({
+  keys: Joi.array().items(
+    Joi.object({
+      recipientId: Joi.string().uuid().required(),
+      publicKeyId: Joi.string().uuid().required(),
+      wrappedKey: Joi.string().base64().max(2048).required(),
+      shareId: Joi.string().uuid().optional().allow(null),
+    })
+  ).min(1).max(100).unique('recipientId').required(),
 });
 
 const createFolderSchema = Joi.object({
@@ -118,20 +202,89 @@ const updateFolderSchema = Joi.object({
   workspaceId: Joi.string().uuid().optional().allow(null),
 }).min(1); // At least one field must be provided for update
 
+const createCommentSchema = Joi.object({
+  content: Joi.string().trim().min(1).max(5000).required(),
+  parentId: Joi.string().uuid().optional().allow(null), // Set to reply to an existing comment
+});
+
+const updateCommentSchema = Joi.object({
+  content: Joi.string().trim().min(1).max(5000).required(),
+});
+
+const createWorkspaceSchema = Joi.object({
+  name: Joi.string().min(1).max(255).required(),
+  description: Joi.string().max(1000).optional().allow(null, ''),
+});
+
+const updateWorkspaceSchema = Joi.object({
+  name: Joi.string().min(1).max(255).optional(),
+  description: Joi.string().max(1000).optional().allow(null, ''),
+}).min(1); // At least one field must be provided for update
+
+// OWNER is never assignable directly; ownership moves through the transfer endpoint.
+const workspaceMemberRole = Joi.string().valid('ADMIN', 'MEMBER', 'VIEWER');
+
+const inviteMemberSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: workspaceMemberRole.default('MEMBER'),
+});
+
+const updateMemberRoleSchema = Joi.object({
+  role: workspaceMemberRole.required(),
+});
+
+const transferOwnershipSchema = Joi.object({
+  userId: Joi.string().uuid().required(),
+});
+
+// File keys wrapped with a password-derived key (AES-KW), one per shared file.
+const passwordWrappedKeysSchema = Joi.array().items(
+  Joi.object({
+    fileId: Joi.string().uuid().required(),
+    wrappedKey: Joi.string().base64().max(64).required(),
+  })
+).min(1).max(1000).unique('fileId');
+
+// KDF parameters and verifier for PASSWORD_KEY shares. The password itself is never sent.
+const passwordKeySchema = Joi.object({
+  algorithm: Joi.string().valid('PBKDF2-SHA256').default('PBKDF2-SHA256'),
+  iterations: Joi.number().integer().min(100000).max(10000000).required(),
+  salt: Joi.string().base64().min(22).max(88).required(), // 16-64 bytes
+  verifierSalt: Joi.string().base64().min(22).max(88).invalid(Joi.ref('salt')).required(),
+  verifier: Joi.string().base64().length(44).required(), // 32 bytes
+  keys: passwordWrappedKeysSchema.required(),
+});
+
 const createShareSchema = Joi.object({
   fileId: Joi.string().uuid().optional().allow(null),
   folderId: Joi.string().uuid().optional().allow(null),
-  accessType: Joi.string().valid('OTP', 'EMAIL', 'QR', 'LINK', 'PASSWORD').default('LINK').required(),
+  accessType: Joi.string().valid('OTP', 'EMAIL', 'QR', 'LINK', 'PASSWORD', 'PASSWORD_KEY').default('LINK').required(),
   password: Joi.string().min(6).when('accessType', {
-    is: 'PASSWORD',
-    then: Joi.required(),
+    switch: [
+      { is: 'PASSWORD', then: Joi.required() },
+      { is: 'PASSWORD_KEY', then: Joi.forbidden() }, // Only the verifier may reach the server
+    ],
     otherwise: Joi.optional().allow(null),
   }),
-  otp: Joi.string().length(6).pattern(/^[0-9]+$/).when('accessType', {
-    is: 'OTP',
+  passwordKey: passwordKeySchema.when('accessType', {
+    is: 'PASSWORD_KEY',
     then: Joi.required(),
-    otherwise: Joi.optional().allow(null),
+    otherwise: Joi.forbidden(),
+  }),
+  otp: Joi.forbidden(), // OTPs are generated by the server and returned once
+  otpTtlMinutes: Joi.number().integer().min(1).max(1440).when('accessType', {
+    is: 'OTP',
+    then: Joi.optional().allow(null), // Defaults to SHARE_OTP_TTL_MINUTES
+    otherwise: Joi.forbidden(),
   }),
+  // Emails the OTP along with the link to recipientEmail. Off by default: the code is meant to travel separately.
+  emailOtp: Joi.boolean().when('accessType', { is: 'OTP', then: Joi.boolean().default(false), otherwise: Joi.forbidden() }),
+  maxUses: Joi.number().integer().min(1).optional().allow(null),
+  maxDownloads: Joi.number().integer().min(1).optional().allow(null),
+  // File shares with maxDownloads: the last allowed download deletes the file (maxDownloads 1 = burn after reading).
+  burnOnLimit: Joi.boolean().default(false)
+    .when('folderId', { is: Joi.string().required(), then: Joi.valid(false) })
+    .when('maxDownloads', { is: Joi.number().required(), otherwise: Joi.valid(false) }),
   expiry: Joi.date().iso().optional().allow(null),
   recipientEmail: Joi.string().email().optional().allow(null),
 }).or('fileId', 'folderId'); // Must have either fileId or folderId
@@ -139,6 +292,53 @@ const createShareSchema = Joi.object({
 const getShareSchema = Joi.object({
   password: Joi.string().min(6).optional(),
   otp: Joi.string().length(6).pattern(/^[0-9]+$/).optional(),
+  verifier: Joi.string().base64().length(44).optional(), // PASSWORD_KEY shares
+  grant: Joi.string().max(2048).optional(), // Access grant returned when the share was opened
+});
+
+const shareDownloadSchema = getShareSchema.keys({
+  fileId: Joi.string().uuid().optional(), // Required for folder shares
+});
+
+const listSharesSchema = paginationSchema.keys({
+  fileId: Joi.string().uuid().optional(),
+  folderId: Joi.string().uuid().optional(),
+  status: Joi.string().valid('active', 'expired', 'revoked').optional(),
+  expiresAfter: Joi.date().iso().optional(),
+  expiresBefore: Joi.date().iso().optional(),
+});
+
+const updateShareSchema = Joi.object({
+  expiry: Joi.date().iso().greater('now').allow(null), // Null removes the expiry
+  password: Joi.string().min(6), // PASSWORD shares only
+  recipientEmail: Joi.string().email().allow(null),
+}).min(1); // At least one field must be provided for update
+
+const regenerateOtpSchema = Joi.object({
+  emailOtp: Joi.boolean().default(false), // Email the new code to the share's recipientEmail
+});
+
+const shareQrSchema = Joi.object({
+  format: Joi.string().valid('png', 'svg').default('png'),
+  size: Joi.number().integer().min(128).max(2048).default(512), // Width and height in pixels
+  errorCorrection: Joi.string().valid('L', 'M', 'Q', 'H').default('M'),
+  margin: Joi.number().integer().min(0).max(16).default(4), // Quiet zone, in modules
+  includeOtp: Joi.boolean().default(false), // OTP shares: issue a new code and put it in the URL fragment
+  regenerate: Joi.boolean().default(false), // With includeOtp: allows revoking a code that is still usable
+});
+
+const addShareKeysSchema = Joi.object({
+  keys: passwordWrappedKeysSchema.required(),
+});
+
+// --- Access Log Schemas ---
+
+const accessLogQuerySchema = paginationSchema.keys({
+  format: Joi.string().valid('json', 'csv').default('json'), // csv exports every matching entry, ignoring paging
+  action: Joi.string().valid('VIEW', 'DOWNLOAD').optional(),
+  outcome: Joi.string().valid('GRANTED', 'DENIED').optional(),
+  since: Joi.date().iso().optional(),
+  until: Joi.date().iso().optional(),
 });
 
 module.exports = {
@@ -149,10 +349,35 @@ module.exports = {
   updateFileSchema,
   registerSchema,
   loginSchema,
+  refreshTokenSchema,
+  verifyEmailSchema,
   presignSchema,
   completeUploadSchema,
+  presignPartsSchema,
+  reportPartsSchema,
+  presignDropSchema,
+  completeDropSchema,
+  updateDropSchema,
+  claimDropSchema,
+  registerPublicKeySchema,
+  publicKeyLookupSchema,
+  uploadFileKeysSchema,
   createFolderSchema,
   updateFolderSchema,
+  createCommentSchema,
+  updateCommentSchema,
+  createWorkspaceSchema,
+  updateWorkspaceSchema,
+  inviteMemberSchema,
+  updateMemberRoleSchema,
+  transferOwnershipSchema,
   createShareSchema,
   getShareSchema,
+  shareDownloadSchema,
+  listSharesSchema,
+  updateShareSchema,
+  regenerateOtpSchema,
+  shareQrSchema,
+  addShareKeysSchema,
+  accessLogQuerySchema,
 };
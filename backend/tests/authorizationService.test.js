@@ -0,0 +1,95 @@
+jest.mock('../src/utils/prisma', () => ({
+  user: { findUnique: jest.fn() },
+  file: { findUnique: jest.fn() },
+  folder: { findUnique: jest.fn() },
+  workspaceMember: { findUnique: jest.fn() },
+  share: { findFirst: jest.fn() },
+}));
+
+const express = require('express');
+const request = require('supertest');
+const prisma = require('../src/utils/prisma');
+const Roles = require('../src/config/roles');
+const authorize = require('../src/middleware/authorize');
+
+// The authorization in front of GET /api/files/:id/download; the handler stands in for fileController.download.
+const app = express();
+app.get('/files/:id/download', (req, _res, next) => {
+  req.auth = { userId: 'recipient-1' };
+  next();
+}, authorize('file', Roles.VIEWER), (req, res) => res.json({ downloadUrl: 'https://storage.example/file.bin' }));
+
+// Applies the parts of a share.findFirst filter that getSharePermissionFor uses.
+const matches = (share, where) => Object.entries(where).every(([field, condition]) => {
+  if (field === 'OR') return condition.some(option => matches(share, option));
+  if (field === 'AND') return condition.every(option => matches(share, option));
+  if (condition && condition.in) return condition.in.includes(share[field]);
+  if (condition && condition.gt) return share[field] > condition.gt;
+  return share[field] === condition;
+});
+
+const share = fields => ({
+  id: `share-${fields.accessType}`,
+  fileId: 'file-1',
+  folderId: null,
+  recipientEmail: 'alice@example.com',
+  revokedAt: null,
+  expiry: null,
+  maxUses: null,
+  maxDownloads: null,
+  ...fields,
+});
+
+describe('file access through shares addressed to the user', () => {
+  let shares;
+
+  const registeredUser = fields => prisma.user.findUnique.mockResolvedValue({
+    email: 'alice@example.com',
+    emailVerifiedAt: null,
+    ...fields,
+  });
+
+  beforeEach(() => {
+    shares = [];
+    prisma.file.findUnique.mockResolvedValue({ ownerId: 'owner-1', folderId: null });
+    prisma.workspaceMember.findUnique.mockResolvedValue(null);
+    prisma.share.findFirst.mockImplementation(async ({ where }) => shares.find(s => matches(s, where)) || null);
+  });
+
+  it('does not let a newly registered account with the recipient email download an OTP or PASSWORD share', async () => {
+    registeredUser();
+    shares.push(share({ accessType: 'OTP', otp: 'hash' }), share({ accessType: 'PASSWORD', password: 'hash' }));
+
+    const res = await request(app).get('/files/file-1/download');
+
+    expect(res.status).toBe(403);
+  });
+
+  it('does not grant access through shares with a secret even once the email is verified', async () => {
+    registeredUser({ emailVerifiedAt: new Date() });
+    shares.push(
+      share({ accessType: 'OTP' }),
+      share({ accessType: 'PASSWORD' }),
+      share({ accessType: 'PASSWORD_KEY' }),
+    );
+
+    expect((await request(app).get('/files/file-1/download')).status).toBe(403);
+  });
+
+  it('grants access through an EMAIL share only to a verified address', async () => {
+    shares.push(share({ accessType: 'EMAIL' }));
+
+    registeredUser();
+    expect((await request(app).get('/files/file-1/download')).status).toBe(403);
+
+    registeredUser({ emailVerifiedAt: new Date() });
+    expect((await request(app).get('/files/file-1/download')).status).toBe(200);
+  });
+
+  it('leaves EMAIL shares with download limits to the share endpoints', async () => {
+    registeredUser({ emailVerifiedAt: new Date() });
+    shares.push(share({ accessType: 'EMAIL', maxDownloads: 1, burnOnLimit: true }));
+
+    expect((await request(app).get('/files/file-1/download')).status).toBe(403);
+  });
+});
@@ -0,0 +1,64 @@
+jest.mock('../src/utils/prisma', () => ({
+  user: { findUnique: jest.fn(), updateMany: jest.fn() },
+}));
+jest.mock('../src/services/mailService', () => ({ queueMail: jest.fn() }));
+
+const prisma = require('../src/utils/prisma');
+const { queueMail } = require('../src/services/mailService');
+const { sendVerificationMail, verifyEmail } = require('../src/services/emailVerificationService');
+
+const user = { id: 'user-1', email: 'alice@example.com' };
+
+// The token in the link of the last verification email.
+const mailedToken = () => {
+  const [{ data }] = queueMail.mock.calls[queueMail.mock.calls.length - 1];
+  return new URL(data.verifyUrl).searchParams.get('token');
+};
+
+describe('email verification', () => {
+  const jwtSecret = process.env.JWT_SECRET;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  afterAll(() => {
+    process.env.JWT_SECRET = jwtSecret;
+  });
+
+  beforeEach(() => {
+    queueMail.mockReset();
+    prisma.user.updateMany.mockReset().mockResolvedValue({ count: 1 });
+    prisma.user.findUnique.mockReset();
+  });
+
+  it('verifies the address the link was mailed to', async () => {
+    await sendVerificationMail(user);
+    const verifiedAt = new Date();
+    prisma.user.findUnique.mockResolvedValue({ ...user, emailVerifiedAt: verifiedAt });
+
+    const result = await verifyEmail(mailedToken());
+
+    expect(queueMail).toHaveBeenCalledWith(expect.objectContaining({ to: user.email, template: 'email-verification' }));
+    expect(prisma.user.updateMany).toHaveBeenCalledWith({
+      where: { id: user.id, email: user.email, emailVerifiedAt: null },
+      data: { emailVerifiedAt: expect.any(Date) },
+    });
+    expect(result).toEqual({ user: { ...user, emailVerifiedAt: verifiedAt } });
+  });
+
+  it('refuses tokens that were not issued for email verification', async () => {
+    const result = await verifyEmail('not-a-token');
+
+    expect(result).toEqual({ error: 'Invalid or expired verification link' });
+    expect(prisma.user.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('does not verify an address the account no longer has', async () => {
+    await sendVerificationMail(user);
+    prisma.user.updateMany.mockResolvedValue({ count: 0 });
+    prisma.user.findUnique.mockResolvedValue({ ...user, email: 'bob@example.com', emailVerifiedAt: null });
+
+    expect(await verifyEmail(mailedToken())).toEqual({ error: 'Invalid or expired verification link' });
+  });
+});
@@ -0,0 +1,158 @@
+jest.mock('../src/utils/prisma', () => ({}));
+
+const { createExpiryScheduler } = require('../src/services/fileExpiryService');
+
+const MINUTE = 60 * 1000;
+
+// Lets the promises of a scheduler run settle.
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// A clock whose time only moves on `advance`, firing the timers that come due on the way.
+const createFakeClock = (start = 0) => {
+  let now = start;
+  const timers = [];
+  return {
+    now: () => now,
+    setTimeout: (callback, ms) => {
+      const timer = { at: now + ms, callback };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimeout: (timer) => {
+      const index = timers.indexOf(timer);
+      if (index !== -1) timers.splice(index, 1);
+    },
+    advance: async (ms) => {
+      const end = now + ms;
+      for (;;) {
+        timers.sort((a, b) => a.at - b.at);
+        if (!timers.length || timers[0].at > end) break;
+        const timer = timers.shift();
+        now = timer.at;
+        timer.callback();
+        await flush();
+      }
+      now = end;
+    },
+  };
+};
+
+// An in-memory File table, with the `expire` and `findNextExpiry` the scheduler runs against it.
+const createFiles = (clock) => {
+  const files = [];
+  const expire = jest.fn(async (now) => {
+    const due = files.filter(file => file.expiredAt === null && file.expiry <= now.getTime());
+    for (const file of due) file.expiredAt = clock.now();
+    return due.length;
+  });
+  const findNextExpiry = jest.fn(async (now) => {
+    const pending = files.filter(file => file.expiredAt === null && file.expiry > now.getTime());
+    if (!pending.length) return null;
+    return new Date(Math.min(...pending.map(file => file.expiry)));
+  });
+  const add = (expiry) => {
+    const file = { expiry, expiredAt: null };
+    files.push(file);
+    return file;
+  };
+  return { files, expire, findNextExpiry, add };
+};
+
+describe('createExpiryScheduler', () => {
+  let clock;
+  let table;
+  let scheduler;
+
+  const createScheduler = (maxLatenessMs) => createExpiryScheduler({
+    clock,
+    maxLatenessMs,
+    expire: table.expire,
+    findNextExpiry: table.findNextExpiry,
+  });
+
+  beforeEach(() => {
+    clock = createFakeClock(Date.UTC(2026, 0, 1));
+    table = createFiles(clock);
+  });
+
+  afterEach(() => scheduler?.stop());
+
+  it('expires every file within maxLatenessMs of its expiry', async () => {
+    const maxLatenessMs = 5 * MINUTE;
+    const start = clock.now();
+    // Some expiries are known when the scheduler starts; the rest are set later, as if by another instance
+    // that does not wake this scheduler.
+    [0, 30 * 1000, 7 * MINUTE, 20 * MINUTE].forEach(offset => table.add(start + offset));
+    scheduler = createScheduler(maxLatenessMs);
+    scheduler.start();
+    await clock.advance(0);
+
+    await clock.advance(MINUTE);
+    [2 * MINUTE, 2 * MINUTE + 1, 9 * MINUTE, 44 * MINUTE].forEach(offset => table.add(start + offset));
+
+    await clock.advance(60 * MINUTE);
+
+    for (const file of table.files) {
+      expect(file.expiredAt).not.toBeNull();
+      expect(file.expiredAt).toBeGreaterThanOrEqual(file.expiry);
+      expect(file.expiredAt - file.expiry).toBeLessThanOrEqual(maxLatenessMs);
+    }
+  });
+
+  it('re-arms for an earlier expiry passed to schedule', async () => {
+    const start = clock.now();
+    table.add(start + 30 * MINUTE);
+    scheduler = createScheduler(60 * MINUTE);
+    scheduler.start();
+    await clock.advance(0);
+    expect(table.expire).toHaveBeenCalledTimes(1);
+
+    const early = table.add(start + 2 * MINUTE);
+    scheduler.schedule(new Date(early.expiry));
+
+    await clock.advance(2 * MINUTE - 1);
+    expect(table.expire).toHaveBeenCalledTimes(1);
+    await clock.advance(1);
+    expect(table.expire).toHaveBeenCalledTimes(2);
+    expect(early.expiredAt).toBe(early.expiry);
+
+    // Back to the expiry that was pending before.
+    await clock.advance(28 * MINUTE);
+    expect(table.expire).toHaveBeenCalledTimes(3);
+    expect(table.files.every(file => file.expiredAt === file.expiry)).toBe(true);
+  });
+
+  it('does not run between wake-ups while nothing is due', async () => {
+    const maxLatenessMs = 10 * MINUTE;
+    scheduler = createScheduler(maxLatenessMs);
+    scheduler.start();
+    await clock.advance(0);
+    // The catch-up run on start.
+    expect(table.expire).toHaveBeenCalledTimes(1);
+
+    // A later expiry than the pending wake-up does not add a run, and neither does clearing one.
+    scheduler.schedule(new Date(clock.now() + 2 * maxLatenessMs));
+    scheduler.schedule(null);
+
+    await clock.advance(maxLatenessMs - 1);
+    expect(table.expire).toHaveBeenCalledTimes(1);
+    await clock.advance(1);
+    expect(table.expire).toHaveBeenCalledTimes(2);
+
+    scheduler.stop();
+    await clock.advance(5 * maxLatenessMs);
+    expect(table.expire).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps waking up after a failed run', async () => {
+    table.expire.mockRejectedValueOnce(new Error('database unavailable'));
+    const file = table.add(clock.now());
+    scheduler = createScheduler(MINUTE);
+    scheduler.start();
+    await clock.advance(0);
+    expect(file.expiredAt).toBeNull();
+
+    await clock.advance(MINUTE);
+    expect(file.expiredAt).toBe(file.expiry + MINUTE);
+  });
+});
@@ -0,0 +1,88 @@
+jest.mock('../src/utils/prisma', () => ({
+  folder: { findUnique: jest.fn(), update: jest.fn() },
+  workspace: { findUnique: jest.fn() },
+  workspaceMember: { findUnique: jest.fn() },
+  user: { findUnique: jest.fn() },
+}));
+// The caller is whoever the X-User-Id header names.
+jest.mock('../src/middleware/authMiddleware', () => () => (req, _res, next) => {
+  req.auth = { userId: req.get('X-User-Id') };
+  next();
+});
+// Every folder in these tests is billed to the same account, so moves only update the folder.
+jest.mock('../src/services/quotaService', () => ({
+  moveFolderStorage: jest.fn(async (_folder, _changes, onMove) => ({ result: await onMove(require('../src/utils/prisma')) })),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const prisma = require('../src/utils/prisma');
+const folderRoutes = require('../src/routes/folderRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/folders', folderRoutes);
+
+const id = n => `00000000-0000-4000-8000-${String(n).padStart(12, '0')}`;
+const [team, projects, drafts, wsTeam, wsOwn] = [1, 2, 3, 4, 5].map(id);
+
+// The tree team > projects > drafts in a workspace of owner-1 that member-1 is a MEMBER of, and a workspace of
+// member-1's own.
+const folders = [
+  { id: team, name: 'team', ownerId: 'owner-1', parentId: null, workspaceId: wsTeam },
+  { id: projects, name: 'projects', ownerId: 'owner-1', parentId: team, workspaceId: null },
+  { id: drafts, name: 'drafts', ownerId: 'owner-1', parentId: projects, workspaceId: null },
+];
+const workspaces = { [wsTeam]: { ownerId: 'owner-1' }, [wsOwn]: { ownerId: 'member-1' } };
+const memberships = { [`member-1:${wsTeam}`]: 'MEMBER', [`member-1:${wsOwn}`]: 'OWNER' };
+
+const updateFolder = (userId, folderId, body) => request(app)
+  .put(`/folders/${folderId}`)
+  .set('X-User-Id', userId)
+  .send(body);
+
+describe('PUT /folders/:id', () => {
+  beforeEach(() => {
+    prisma.folder.findUnique.mockImplementation(async ({ where }) => {
+      const folder = folders.find(f => f.id === where.id);
+      return folder ? { ...folder } : null;
+    });
+    prisma.folder.update.mockReset().mockImplementation(async ({ where, data }) => ({
+      ...folders.find(f => f.id === where.id),
+      ...data,
+    }));
+    prisma.workspace.findUnique.mockImplementation(async ({ where }) => workspaces[where.id] || null);
+    prisma.workspaceMember.findUnique.mockImplementation(async ({ where }) => {
+      const { userId, workspaceId } = where.userId_workspaceId;
+      const role = memberships[`${userId}:${workspaceId}`];
+      return role ? { role } : null;
+    });
+    prisma.user.findUnique.mockResolvedValue(null);
+  });
+
+  it('lets a workspace member rename a folder but not move it out of the workspace or into another', async () => {
+    expect((await updateFolder('member-1', projects, { name: 'Projects 2026' })).status).toBe(200);
+
+    for (const move of [{ parentId: null }, { parentId: null, workspaceId: wsOwn }, { workspaceId: wsOwn }]) {
+      const res = await updateFolder('member-1', projects, move);
+      expect(res.status).toBe(403);
+    }
+    expect(prisma.folder.update).toHaveBeenCalledTimes(1);
+  });
+
+  it('lets an admin of the folder move it', async () => {
+    const res = await updateFolder('owner-1', drafts, { parentId: team });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ id: drafts, parentId: team });
+  });
+
+  it('refuses to move a folder into itself or one of its subfolders', async () => {
+    for (const parentId of [projects, drafts]) {
+      const res = await updateFolder('owner-1', projects, { parentId });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/into itself or one of its subfolders/);
+    }
+    expect(prisma.folder.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,117 @@
+// The adapters get their own client for the test database.
+jest.mock('../src/utils/prisma', () => ({}));
+
+const { randomUUID } = require('crypto');
+const { Client } = require('pg');
+const { Server } = require('socket.io');
+const logger = require('../src/utils/logger');
+const { createPostgresAdapter } = require('../src/services/postgresSocketAdapter');
+
+/**
+ * Two adapter instances sharing one Postgres, as two backend instances do. Needs a migrated database: set
+ * SOCKET_PUBSUB_TEST_DATABASE_URL to a direct connection URL to run it. Each run uses its own NOTIFY channel.
+ */
+
+const connectionString = process.env.SOCKET_PUBSUB_TEST_DATABASE_URL;
+
+const waitFor = async (condition, timeoutMs = 10000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// How many messages containing `text` were logged through `spy`.
+const countLogged = (spy, text) => spy.mock.calls.filter(([message]) => String(message).includes(text)).length;
+
+(connectionString ? describe : describe.skip)('postgresSocketAdapter with two instances', () => {
+  const channel = `socketio_test_${randomUUID().replace(/-/g, '')}`;
+  let prismaClient;
+  let admin;
+  let infoSpy;
+  let warnSpy;
+  let first;
+  let second;
+
+  const createInstance = () => {
+    const pubsub = createPostgresAdapter({ connectionString, channel, prismaClient });
+    const io = new Server({ adapter: pubsub.Adapter });
+    const adapter = io.of('/').adapter;
+    jest.spyOn(adapter, 'onRemoteBroadcast');
+    return { pubsub, io, adapter };
+  };
+
+  // The data of every broadcast `instance` received from the other one.
+  const received = instance => instance.adapter.onRemoteBroadcast.mock.calls.map(([message]) => message.packet.data);
+
+  beforeAll(async () => {
+    const { PrismaClient } = require('@prisma/client');
+    prismaClient = new PrismaClient({ datasources: { db: { url: connectionString } } });
+    admin = new Client({ connectionString });
+    await admin.connect();
+    infoSpy = jest.spyOn(logger, 'info');
+    warnSpy = jest.spyOn(logger, 'warn');
+
+    first = createInstance();
+    second = createInstance();
+    await waitFor(() => countLogged(infoSpy, first.pubsub.uid) && countLogged(infoSpy, second.pubsub.uid));
+  });
+
+  afterAll(async () => {
+    for (const instance of [first, second]) {
+      if (instance) await instance.pubsub.close();
+    }
+    await admin?.end();
+    await prismaClient?.$disconnect();
+    jest.restoreAllMocks();
+  });
+
+  it('relays a broadcast to the other instance only', async () => {
+    first.io.to('room-1').except('room-2').emit('file:uploaded', { fileId: 'f1' });
+
+    await waitFor(() => received(second).length === 1);
+    expect(second.adapter.onRemoteBroadcast).toHaveBeenCalledWith({
+      nsp: '/',
+      uid: first.pubsub.uid,
+      packet: expect.objectContaining({ data: ['file:uploaded', { fileId: 'f1' }] }),
+      opts: { rooms: ['room-1'], except: ['room-2'], flags: {} },
+    });
+    expect(first.adapter.onRemoteBroadcast).not.toHaveBeenCalled();
+  });
+
+  it('relays a broadcast too large for NOTIFY through the attachment table', async () => {
+    const sentAt = new Date();
+    const content = 'x'.repeat(20000);
+    second.adapter.onRemoteBroadcast.mockClear();
+
+    second.io.to('room-1').emit('note:updated', { content });
+
+    await waitFor(() => received(first).length === 1);
+    expect(received(first)).toEqual([['note:updated', { content }]]);
+    expect(await prismaClient.socketEventAttachment.count({ where: { createdAt: { gte: sentAt } } })).toBe(1);
+    expect(received(second)).toEqual([]);
+  });
+
+  it('logs, and does not replay, broadcasts missed while the listener reconnects', async () => {
+    first.adapter.onRemoteBroadcast.mockClear();
+    second.adapter.onRemoteBroadcast.mockClear();
+
+    // Drop the LISTEN connection of both instances.
+    await admin.query(
+      'SELECT pg_terminate_backend(pid) FROM pg_stat_activity WHERE query = $1',
+      [`LISTEN "${channel}"`],
+    );
+    await waitFor(() => countLogged(warnSpy, 'Listener disconnected') === 2);
+
+    first.io.to('room-1').emit('file:deleted', { fileId: 'missed' });
+    await waitFor(() => countLogged(warnSpy, 'were not delivered to this instance') === 2);
+
+    first.io.to('room-1').emit('file:deleted', { fileId: 'delivered' });
+    await waitFor(() => received(second).length === 1);
+    await sleep(200);
+    expect(received(second)).toEqual([['file:deleted', { fileId: 'delivered' }]]);
+  }, 20000);
+});
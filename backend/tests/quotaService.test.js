@@ -0,0 +1,150 @@
+// The generated client is not needed: adjustUsage only builds SQL fragments with Prisma.sql.
+jest.mock('@prisma/client', () => {
+  const { sqltag, empty } = jest.requireActual('@prisma/client/runtime/library');
+  return { Prisma: { sql: sqltag, empty } };
+});
+jest.mock('../src/utils/prisma', () => ({}));
+
+const prisma = require('../src/utils/prisma');
+const { moveFolderStorage } = require('../src/services/quotaService');
+
+/**
+ * In-memory stand-in for the tables quotaService touches. Transactions run on the same data and put the usage
+ * counters back when they throw.
+ */
+const createDatabase = ({ folders, files, workspaces, planLimits }) => {
+  const usage = new Map(); // "workspace:<id>" or "user:<id>" -> usedBytes
+  const usageKey = key => (key.userId ? `user:${key.userId}` : `workspace:${key.workspaceId}`);
+
+  const client = {
+    folder: {
+      findUnique: async ({ where }) => folders.find(folder => folder.id === where.id) || null,
+      findMany: async ({ where }) => folders.filter(folder => where.parentId.in.includes(folder.parentId)
+        && (where.workspaceId !== null || !folder.workspaceId)),
+      update: jest.fn(async ({ where, data }) => Object.assign(folders.find(folder => folder.id === where.id), data)),
+    },
+    file: {
+      aggregate: async ({ where }) => {
+        const sizes = files.filter(file => where.folderId.in.includes(file.folderId)).map(file => file.size);
+        return { _sum: { size: sizes.length ? sizes.reduce((a, b) => a + b) : null } };
+      },
+    },
+    workspace: {
+      findUnique: async ({ where }) => workspaces.find(workspace => workspace.id === where.id) || null,
+    },
+    planLimit: {
+      findUnique: async ({ where }) => planLimits.find(limit => limit.name === where.name) || null,
+    },
+    storageUsage: {
+      upsert: async ({ where }) => {
+        if (!usage.has(usageKey(where))) usage.set(usageKey(where), 0n);
+      },
+    },
+    // The UPDATE of adjustUsage: values are (used, reserved, WHERE account, optional quota condition).
+    $executeRaw: async (_strings, used, _reserved, where, withinQuota) => {
+      const column = where.strings[0].includes('userId') ? 'userId' : 'workspaceId';
+      const key = usageKey({ [column]: where.values[0] });
+      if (withinQuota.values.length) {
+        const [delta, quota] = withinQuota.values;
+        if (usage.get(key) + delta > quota) return 0;
+      }
+      const next = usage.get(key) + used;
+      usage.set(key, next < 0n ? 0n : next);
+      return 1;
+    },
+    $transaction: async (fn) => {
+      const saved = new Map(usage);
+      try {
+        return await fn(client);
+      } catch (err) {
+        usage.clear();
+        saved.forEach((value, key) => usage.set(key, value));
+        throw err;
+      }
+    },
+  };
+  return { client, usage };
+};
+
+describe('moveFolderStorage', () => {
+  let db;
+
+  const folder = id => db.client.folder.findUnique({ where: { id } });
+  const move = async (id, changes) => moveFolderStorage(
+    await folder(id),
+    changes,
+    tx => tx.folder.update({ where: { id }, data: changes }),
+  );
+  const workspaceUsage = workspaceId => db.usage.get(`workspace:${workspaceId}`);
+
+  beforeEach(() => {
+    db = createDatabase({
+      folders: [
+        { id: 'root-a', parentId: null, workspaceId: 'ws-a' },
+        { id: 'root-b', parentId: null, workspaceId: 'ws-b' },
+        { id: 'personal', parentId: null, workspaceId: null },
+        { id: 'projects', parentId: 'root-a', workspaceId: null },
+        { id: 'drafts', parentId: 'projects', workspaceId: null },
+        // Billed to its own workspace wherever it sits.
+        { id: 'pinned', parentId: 'projects', workspaceId: 'ws-c' },
+      ],
+      files: [
+        { folderId: 'projects', size: 300n },
+        { folderId: 'drafts', size: 200n },
+        { folderId: 'pinned', size: 5000n },
+        { folderId: 'root-a', size: 50n },
+      ],
+      workspaces: [
+        { id: 'ws-a', plan: 'team' },
+        { id: 'ws-b', plan: 'team' },
+        { id: 'ws-c', plan: 'team' },
+        { id: 'ws-small', plan: 'small' },
+      ],
+      planLimits: [
+        { name: 'team', maxFileSize: 10000n, storageQuota: 10000n },
+        { name: 'small', maxFileSize: 10000n, storageQuota: 400n },
+      ],
+    });
+    db.usage.set('workspace:ws-a', 550n);
+    db.usage.set('workspace:ws-b', 1000n);
+    db.usage.set('workspace:ws-c', 5000n);
+    Object.assign(prisma, db.client);
+  });
+
+  it('moves the bytes of a folder moved to a folder of another workspace', async () => {
+    const moved = await move('projects', { parentId: 'root-b' });
+
+    expect(moved.result).toMatchObject({ id: 'projects', parentId: 'root-b' });
+    // The 500 bytes of projects and drafts; pinned stays billed to ws-c.
+    expect(workspaceUsage('ws-a')).toBe(50n);
+    expect(workspaceUsage('ws-b')).toBe(1500n);
+    expect(workspaceUsage('ws-c')).toBe(5000n);
+  });
+
+  it('moves the bytes of a folder given a workspace of its own, and of one moved out of every workspace', async () => {
+    await move('projects', { workspaceId: 'ws-b' });
+    expect(workspaceUsage('ws-a')).toBe(50n);
+    expect(workspaceUsage('ws-b')).toBe(1500n);
+
+    await move('projects', { parentId: 'personal', workspaceId: null });
+    expect(workspaceUsage('ws-b')).toBe(1000n);
+    expect(workspaceUsage('ws-a')).toBe(50n);
+  });
+
+  it('refuses a move that would take the new workspace over its quota', async () => {
+    const moved = await move('projects', { workspaceId: 'ws-small' });
+
+    expect(moved).toEqual({ error: 'Workspace storage quota exceeded', scope: 'workspace' });
+    expect(db.client.folder.update).not.toHaveBeenCalled();
+    expect(workspaceUsage('ws-a')).toBe(550n);
+    expect(workspaceUsage('ws-small') || 0n).toBe(0n);
+  });
+
+  it('leaves usage alone when the workspace does not change', async () => {
+    await move('drafts', { name: 'Old drafts', parentId: 'root-a' });
+
+    expect(db.client.folder.update).toHaveBeenCalledTimes(1);
+    expect(workspaceUsage('ws-a')).toBe(550n);
+    expect(workspaceUsage('ws-b')).toBe(1000n);
+  });
+});
@@ -0,0 +1,2 @@
+// Keeps test output readable; tests that care about logging spy on the logger instead.
+require('../src/utils/logger').silent = true;
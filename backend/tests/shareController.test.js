@@ -0,0 +1,134 @@
+jest.mock('../src/utils/prisma', () => ({
+  share: { findUnique: jest.fn(), update: jest.fn() },
+}));
+
+const bcrypt = require('bcrypt');
+const express = require('express');
+const request = require('supertest');
+const prisma = require('../src/utils/prisma');
+const {
+  getShareQr,
+  updateShare,
+  regenerateOtp,
+  addShareKeys,
+} = require('../src/controllers/shareController');
+
+const asCreator = (req, _res, next) => {
+  req.auth = { userId: 'creator-1' };
+  next();
+};
+
+const app = express();
+app.use(express.json());
+app.get('/shares/:id/qr', asCreator, getShareQr);
+app.put('/shares/:id', asCreator, updateShare);
+app.post('/shares/:id/otp', asCreator, regenerateOtp);
+app.post('/shares/:id/keys', asCreator, addShareKeys);
+
+const minutesFromNow = minutes => new Date(Date.now() + minutes * 60 * 1000);
+
+const otpShare = fields => ({
+  id: 'share-1',
+  shareToken: 'token-1',
+  creatorId: 'creator-1',
+  accessType: 'OTP',
+  revokedAt: null,
+  otp: null,
+  otpExpiresAt: null,
+  otpConsumedAt: null,
+  otpTtlMinutes: 10,
+  ...fields,
+});
+
+describe('GET /shares/:id/qr with includeOtp', () => {
+  beforeEach(() => {
+    prisma.share.findUnique.mockReset();
+    prisma.share.update.mockReset().mockResolvedValue({});
+  });
+
+  it('refuses to revoke an unused OTP without regenerate=true', async () => {
+    prisma.share.findUnique.mockResolvedValue(otpShare({ otp: 'hash', otpExpiresAt: minutesFromNow(5) }));
+
+    const res = await request(app).get('/shares/share-1/qr').query({ includeOtp: true });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/regenerate=true/);
+    expect(prisma.share.update).not.toHaveBeenCalled();
+  });
+
+  it('replaces an unused OTP with regenerate=true and says so', async () => {
+    prisma.share.findUnique.mockResolvedValue(otpShare({ otp: 'hash', otpExpiresAt: minutesFromNow(5) }));
+
+    const res = await request(app).get('/shares/share-1/qr').query({ includeOtp: true, regenerate: true });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('image/png');
+    expect(res.headers['x-otp-revoked']).toBe('true');
+    const [{ data }] = prisma.share.update.mock.calls[0];
+    expect(data.otp).not.toBe('hash');
+    expect(data.otpExpiresAt.toISOString()).toBe(res.headers['x-otp-expires-at']);
+  });
+
+  it('issues a code without regenerate when the current one can no longer be used', async () => {
+    for (const fields of [
+      {},
+      { otp: 'hash', otpExpiresAt: minutesFromNow(-1) },
+      { otp: 'hash', otpExpiresAt: minutesFromNow(5), otpConsumedAt: new Date() },
+    ]) {
+      prisma.share.findUnique.mockResolvedValue(otpShare(fields));
+      prisma.share.update.mockClear();
+
+      const res = await request(app).get('/shares/share-1/qr').query({ includeOtp: true, format: 'svg' });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['x-otp-revoked']).toBe('false');
+      expect(prisma.share.update).toHaveBeenCalledTimes(1);
+    }
+  });
+
+  it('puts the new code in the URL fragment', async () => {
+    prisma.share.findUnique.mockResolvedValue(otpShare());
+    const QRCode = require('qrcode');
+    const toString = jest.spyOn(QRCode, 'toString');
+
+    await request(app).get('/shares/share-1/qr').query({ includeOtp: true, format: 'svg' });
+
+    const [url] = toString.mock.calls[0];
+    const otp = /#otp=(\d{6})$/.exec(url)[1];
+    const [{ data }] = prisma.share.update.mock.calls[0];
+    expect(await bcrypt.compare(otp, data.otp)).toBe(true);
+    toString.mockRestore();
+  });
+});
+
+describe('share ids that do not exist', () => {
+  beforeEach(() => {
+    prisma.share.findUnique.mockReset().mockResolvedValue(null);
+    prisma.share.update.mockReset();
+  });
+
+  it('answers 404 to an update', async () => {
+    const res = await request(app).put('/shares/missing').send({ recipientEmail: 'bob@example.com' });
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: 'Share not found' });
+    expect(prisma.share.update).not.toHaveBeenCalled();
+  });
+
+  it('answers 404 to an OTP regeneration', async () => {
+    const res = await request(app).post('/shares/missing/otp').send({});
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: 'Share not found' });
+    expect(prisma.share.update).not.toHaveBeenCalled();
+  });
+
+  it('answers 404 to new file keys', async () => {
+    const keys = [{ fileId: '00000000-0000-4000-8000-000000000001', wrappedKey: Buffer.alloc(40).toString('base64') }];
+
+    const res = await request(app).post('/shares/missing/keys').send({ keys });
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: 'Share not found' });
+  });
+});
@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createLocalDriver } = require('../src/services/localStorageDriver');
+
+/**
+ * Conformance suite for storage drivers: every driver must pass it, so the app behaves the same on any of them.
+ * The local driver runs against a temporary directory. The S3 driver runs only with STORAGE_CONFORMANCE_S3=1,
+ * against the bucket in AWS_REGION / AWS_S3_BUCKET, under a fresh prefix that is emptied afterwards.
+ */
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// The URL with the key in its path replaced, which invalidates the signature for every driver.
+const withOtherKey = (url, key, otherKey) => url.replace(`/${key}?`, `/${otherKey}?`);
+
+const listAll = async (list, pageKey, nextParams) => {
+  const pages = [];
+  let params = {};
+  for (;;) {
+    const page = await list(params);
+    pages.push(page[pageKey]);
+    params = nextParams(page);
+    if (!params) return pages;
+  }
+};
+
+/**
+ * @param {string} name
+ * @param {() => Promise<{ driver: object, partSize: number, close: () => Promise<void> }>} setup - `partSize`
+ *   is the smallest size the driver allows for a multipart part other than the last.
+ */
+const describeStorageDriver = (name, setup, { skip = false } = {}) => (skip ? describe.skip : describe)(name, () => {
+  let driver;
+  let partSize;
+  let close;
+  let prefix;
+  const key = objectName => `${prefix}${objectName}`;
+
+  const put = async (objectKey, body, contentType = 'text/plain') => {
+    const { url } = await driver.presignPutObject({ key: objectKey, mimeType: contentType, expiresIn: 60 });
+    const res = await fetch(url, { method: 'PUT', body, headers: { 'Content-Type': contentType } });
+    expect(res.status).toBe(200);
+  };
+
+  const get = async (objectKey) => {
+    const { url } = await driver.getPresignedDownloadUrl({ key: objectKey, expiresIn: 60 });
+    return fetch(url);
+  };
+
+  const uploadPart = async (objectKey, uploadId, partNumber, body) => {
+    const { url } = await driver.presignPart({ key: objectKey, uploadId, partNumber, expiresIn: 60 });
+    const res = await fetch(url, { method: 'PUT', body });
+    expect(res.status).toBe(200);
+    return res.headers.get('etag');
+  };
+
+  beforeAll(async () => {
+    ({ driver, partSize, close } = await setup());
+    prefix = `conformance-${crypto.randomUUID()}/`;
+  });
+
+  afterAll(async () => {
+    if (!driver) return;
+    const pages = await listAll(
+      params => driver.listObjects({ prefix, ...params }),
+      'objects',
+      page => page.nextContinuationToken && { continuationToken: page.nextContinuationToken },
+    );
+    const keys = pages.flat().map(object => object.key);
+    if (keys.length) await driver.deleteObjects({ keys });
+    const { uploads } = await driver.listMultipartUploads({ prefix });
+    for (const upload of uploads) await driver.abortMultipart({ key: upload.key, uploadId: upload.uploadId });
+    await close();
+  });
+
+  describe('signed URLs', () => {
+    it('uploads and downloads an object', async () => {
+      await put(key('hello.txt'), 'hello world');
+
+      const res = await get(key('hello.txt'));
+      expect(res.status).toBe(200);
+      expect(res.headers.get('content-type')).toBe('text/plain');
+      expect(await res.text()).toBe('hello world');
+      expect(await driver.headObject({ key: key('hello.txt') })).toEqual({
+        size: 11,
+        contentType: 'text/plain',
+        eTag: `"${crypto.createHash('md5').update('hello world').digest('hex')}"`,
+      });
+    });
+
+    it('refuses an upload with another Content-Type than the URL was signed for', async () => {
+      const { url } = await driver.presignPutObject({ key: key('typed.txt'), mimeType: 'text/plain', expiresIn: 60 });
+      const res = await fetch(url, { method: 'PUT', body: 'x', headers: { 'Content-Type': 'text/html' } });
+      expect(res.status).toBe(403);
+      expect(await driver.headObject({ key: key('typed.txt') })).toBeNull();
+    });
+
+    it('refuses URLs used for another key', async () => {
+      await put(key('signed.txt'), 'secret');
+      const { url: putUrl } = await driver.presignPutObject({ key: key('signed.txt'), mimeType: 'text/plain', expiresIn: 60 });
+      const { url: getUrl } = await driver.getPresignedDownloadUrl({ key: key('signed.txt'), expiresIn: 60 });
+
+      const putRes = await fetch(withOtherKey(putUrl, 'signed.txt', 'other.txt'), {
+        method: 'PUT',
+        body: 'x',
+        headers: { 'Content-Type': 'text/plain' },
+      });
+      expect(putRes.status).toBe(403);
+      expect(await driver.headObject({ key: key('other.txt') })).toBeNull();
+
+      const getRes = await fetch(withOtherKey(getUrl, 'signed.txt', 'hello.txt'));
+      expect(getRes.status).toBe(403);
+    });
+
+    it('refuses expired URLs', async () => {
+      await put(key('expiring.txt'), 'soon gone');
+      const { url: getUrl } = await driver.getPresignedDownloadUrl({ key: key('expiring.txt'), expiresIn: 1 });
+      const { url: putUrl } = await driver.presignPutObject({ key: key('late.txt'), mimeType: 'text/plain', expiresIn: 1 });
+      await sleep(2500);
+
+      expect((await fetch(getUrl)).status).toBe(403);
+      const putRes = await fetch(putUrl, { method: 'PUT', body: 'x', headers: { 'Content-Type': 'text/plain' } });
+      expect(putRes.status).toBe(403);
+      expect(await driver.headObject({ key: key('late.txt') })).toBeNull();
+    });
+  });
+
+  describe('keys', () => {
+    it('refuses keys with . or .. segments', async () => {
+      for (const badKey of [`${prefix}../escape`, `${prefix}a/../../escape`, `${prefix}./a`, `${prefix}a//b`, '']) {
+        await expect(driver.presignPutObject({ key: badKey, mimeType: 'text/plain', expiresIn: 60 }))
+          .rejects.toMatchObject({ name: 'InvalidKey' });
+        await expect(driver.getPresignedDownloadUrl({ key: badKey, expiresIn: 60 }))
+          .rejects.toMatchObject({ name: 'InvalidKey' });
+        await expect(driver.createMultipart({ key: badKey, mimeType: 'text/plain' }))
+          .rejects.toMatchObject({ name: 'InvalidKey' });
+        await expect(driver.headObject({ key: badKey })).rejects.toMatchObject({ name: 'InvalidKey' });
+        expect(await driver.deleteObjects({ keys: [badKey] })).toEqual({ deleted: [], errors: [badKey] });
+      }
+    });
+
+    it('stores an object and objects under its key as a prefix', async () => {
+      await put(key('nested'), 'parent');
+      await put(key('nested/child'), 'child');
+      await put(key('nested/child/grandchild'), 'grandchild');
+
+      expect(await (await get(key('nested'))).text()).toBe('parent');
+      expect(await (await get(key('nested/child'))).text()).toBe('child');
+      const { objects } = await driver.listObjects({ prefix: key('nested') });
+      expect(objects.map(object => object.key)).toEqual([
+        key('nested'),
+        key('nested/child'),
+        key('nested/child/grandchild'),
+      ]);
+
+      expect(await driver.deleteObjects({ keys: [key('nested'), key('nested/child')] }))
+        .toEqual({ deleted: [key('nested'), key('nested/child')], errors: [] });
+      expect(await driver.headObject({ key: key('nested') })).toBeNull();
+      expect(await (await get(key('nested/child/grandchild'))).text()).toBe('grandchild');
+    });
+
+    it('returns null for a missing object and treats deleting one as success', async () => {
+      expect(await driver.headObject({ key: key('missing.txt') })).toBeNull();
+      expect(await driver.headObject({ key: key('hello.txt/missing') })).toBeNull();
+      expect(await driver.deleteObjects({ keys: [key('missing.txt')] }))
+        .toEqual({ deleted: [key('missing.txt')], errors: [] });
+    });
+  });
+
+  describe('multipart uploads', () => {
+    it('assembles the parts in order', async () => {
+      const first = Buffer.alloc(partSize, 'a');
+      const { uploadId } = await driver.createMultipart({ key: key('big.bin'), mimeType: 'application/octet-stream' });
+      const eTag2 = await uploadPart(key('big.bin'), uploadId, 2, 'tail');
+      const eTag1 = await uploadPart(key('big.bin'), uploadId, 1, first);
+
+      await driver.completeMultipart({
+        key: key('big.bin'),
+        uploadId,
+        parts: [{ partNumber: 2, eTag: eTag2 }, { partNumber: 1, eTag: eTag1 }],
+      });
+
+      const head = await driver.headObject({ key: key('big.bin') });
+      expect(head).toMatchObject({ size: partSize + 4, contentType: 'application/octet-stream' });
+      expect(head.eTag).toMatch(/-2"$/);
+      const body = Buffer.from(await (await get(key('big.bin'))).arrayBuffer());
+      expect(body.equals(Buffer.concat([first, Buffer.from('tail')]))).toBe(true);
+    });
+
+    it('refuses to complete with a wrong part ETag', async () => {
+      const { uploadId } = await driver.createMultipart({ key: key('wrong.bin'), mimeType: 'text/plain' });
+      await uploadPart(key('wrong.bin'), uploadId, 1, 'part one');
+
+      await expect(driver.completeMultipart({
+        key: key('wrong.bin'),
+        uploadId,
+        parts: [{ partNumber: 1, eTag: `"${crypto.createHash('md5').update('other').digest('hex')}"` }],
+      })).rejects.toMatchObject({ name: 'InvalidPart' });
+      expect(await driver.headObject({ key: key('wrong.bin') })).toBeNull();
+
+      await driver.abortMultipart({ key: key('wrong.bin'), uploadId });
+    });
+
+    it('aborts an upload', async () => {
+      const { uploadId } = await driver.createMultipart({ key: key('aborted.bin'), mimeType: 'text/plain' });
+      const eTag = await uploadPart(key('aborted.bin'), uploadId, 1, 'never kept');
+
+      await driver.abortMultipart({ key: key('aborted.bin'), uploadId });
+
+      const { uploads } = await driver.listMultipartUploads({ prefix: key('aborted.bin') });
+      expect(uploads).toEqual([]);
+      await expect(driver.completeMultipart({ key: key('aborted.bin'), uploadId, parts: [{ partNumber: 1, eTag }] }))
+        .rejects.toMatchObject({ name: 'NoSuchUpload' });
+      expect(await driver.headObject({ key: key('aborted.bin') })).toBeNull();
+    });
+  });
+
+  describe('listings', () => {
+    it('pages through objects in key order', async () => {
+      const names = ['list/e', 'list/a', 'list/c/d', 'list/b', 'list/c'];
+      for (const name of names) await put(key(name), name);
+
+      const pages = await listAll(
+        params => driver.listObjects({ prefix: key('list/'), maxKeys: 2, ...params }),
+        'objects',
+        page => page.nextContinuationToken && { continuationToken: page.nextContinuationToken },
+      );
+
+      expect(pages.map(page => page.length)).toEqual([2, 2, 1]);
+      expect(pages.flat().map(object => object.key))
+        .toEqual(['list/a', 'list/b', 'list/c', 'list/c/d', 'list/e'].map(key));
+      expect(pages.flat().find(object => object.key === key('list/c/d'))).toMatchObject({ size: 8 });
+    });
+
+    it('pages through multipart uploads by key, then upload ID', async () => {
+      const started = [];
+      for (const name of ['uploads/b', 'uploads/a', 'uploads/b']) {
+        const { uploadId } = await driver.createMultipart({ key: key(name), mimeType: 'text/plain' });
+        started.push({ key: key(name), uploadId });
+      }
+
+      const pages = await listAll(
+        params => driver.listMultipartUploads({ prefix: key('uploads/'), maxUploads: 2, ...params }),
+        'uploads',
+        page => page.nextKeyMarker && { keyMarker: page.nextKeyMarker, uploadIdMarker: page.nextUploadIdMarker },
+      );
+
+      expect(pages.map(page => page.length)).toEqual([2, 1]);
+      const listed = pages.flat();
+      expect(listed.map(upload => upload.key)).toEqual(['uploads/a', 'uploads/b', 'uploads/b'].map(key));
+      expect(listed.map(upload => upload.uploadId).sort()).toEqual(started.map(upload => upload.uploadId).sort());
+      listed.forEach(upload => expect(upload.initiated).toBeInstanceOf(Date));
+
+      for (const upload of started) await driver.abortMultipart(upload);
+    });
+  });
+});
+
+describeStorageDriver('local storage driver', async () => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'ghostdrop-storage-'));
+  let driver;
+  const app = express();
+  app.use('/storage', (req, res, next) => driver.router(req, res, next));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  driver = createLocalDriver({
+    dir,
+    publicUrl: `http://127.0.0.1:${server.address().port}/storage`,
+    signingSecret: 'conformance-test-secret',
+  });
+  return {
+    driver,
+    partSize: 16,
+    close: async () => {
+      await new Promise(resolve => server.close(resolve));
+      await fsp.rm(dir, { recursive: true, force: true });
+    },
+  };
+});
+
+describeStorageDriver('S3 storage driver', async () => {
+  const { createS3Driver } = require('../src/services/s3StorageDriver');
+  return {
+    driver: createS3Driver({ region: process.env.AWS_REGION, bucket: process.env.AWS_S3_BUCKET }),
+    partSize: 5 * 1024 * 1024,
+    close: async () => {},
+  };
+}, { skip: process.env.STORAGE_CONFORMANCE_S3 !== '1' });
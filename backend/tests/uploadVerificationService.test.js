@@ -0,0 +1,54 @@
+jest.mock('../src/services/storageService', () => ({ headObject: jest.fn() }));
+
+const { headObject } = require('../src/services/storageService');
+const { verifyUploadedObject } = require('../src/services/uploadVerificationService');
+
+const limits = { maxFileSize: 100 * 1024 * 1024 };
+const iv = Buffer.alloc(12, 1).toString('base64');
+
+// An upload of `plaintextSize` bytes, declared as the single-shot AES-GCM ciphertext of that much plaintext.
+const declaredUpload = (plaintextSize, storedSize) => {
+  headObject.mockResolvedValue({ size: storedSize, contentType: 'application/octet-stream', eTag: '"etag"' });
+  return {
+    s3Key: 'uploads/user-1/file.bin',
+    size: storedSize,
+    mimeType: 'application/octet-stream',
+    encryptedKeyMetadata: JSON.stringify({ algo: 'AES-GCM', iv, tagLength: 128, plaintextSize }),
+  };
+};
+
+describe('verifyUploadedObject', () => {
+  beforeEach(() => headObject.mockReset());
+
+  it('accepts an object with the size of the declared ciphertext', async () => {
+    const result = await verifyUploadedObject(declaredUpload(1000, 1016), limits);
+    expect(result).toEqual({ object: expect.objectContaining({ size: 1016 }) });
+  });
+
+  it('rejects plaintext uploaded in place of the declared ciphertext', async () => {
+    // The plaintext itself, without the 16-byte authentication tag.
+    const result = await verifyUploadedObject(declaredUpload(1000, 1000), limits);
+    expect(result).toMatchObject({ reason: 'layout_mismatch' });
+  });
+
+  it('rejects an upload without encryption metadata', async () => {
+    const upload = { ...declaredUpload(1000, 1016), encryptedKeyMetadata: undefined };
+    expect(await verifyUploadedObject(upload, limits)).toMatchObject({ reason: 'invalid_encryption_metadata' });
+    expect(await verifyUploadedObject({ ...upload, encryptedKeyMetadata: null }, limits))
+      .toMatchObject({ reason: 'invalid_encryption_metadata' });
+  });
+
+  it('rejects metadata that does not describe AES-GCM ciphertext', async () => {
+    const upload = declaredUpload(1000, 1016);
+    const withMetadata = metadata => ({ ...upload, encryptedKeyMetadata: JSON.stringify(metadata) });
+
+    for (const metadata of [
+      { algo: 'none', plaintextSize: 1016 },
+      { algo: 'AES-GCM', iv, tagLength: 0, plaintextSize: 1016 },
+      { algo: 'AES-GCM', tagLength: 128, plaintextSize: 1000 },
+    ]) {
+      expect(await verifyUploadedObject(withMetadata(metadata), limits))
+        .toMatchObject({ reason: 'invalid_encryption_metadata' });
+    }
+  });
+});